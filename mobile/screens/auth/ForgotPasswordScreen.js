@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../../context/AuthContext';
+
+const ForgotPasswordScreen = ({ navigation, route }) => {
+  const { requestPasswordReset, resetPassword } = useAuth();
+  const [step, setStep] = useState('request'); // 'request' | 'reset'
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [token, setToken] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRequest = async () => {
+    if (!email) {
+      Alert.alert('Error', 'Please enter your email');
+      return;
+    }
+
+    setLoading(true);
+    const result = await requestPasswordReset(email.toLowerCase().trim());
+    setLoading(false);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error || 'Please try again');
+      return;
+    }
+
+    Alert.alert('Check Your Email', result.message);
+    setStep('reset');
+  };
+
+  const handleReset = async () => {
+    if (!token || !newPassword) {
+      Alert.alert('Error', 'Please enter the reset code and a new password');
+      return;
+    }
+
+    if (newPassword.length < 8) {
+      Alert.alert('Error', 'Password must be at least 8 characters');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const result = await resetPassword(token.trim(), newPassword);
+    setLoading(false);
+
+    if (!result.success) {
+      Alert.alert('Reset Failed', result.error || 'Please try again');
+      return;
+    }
+
+    Alert.alert('Password Reset', result.message, [
+      { text: 'Sign In', onPress: () => navigation.navigate('Login') },
+    ]);
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.content}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.subtitle}>
+            {step === 'request'
+              ? "Enter your email and we'll send you a reset code"
+              : 'Enter the code from your email and choose a new password'}
+          </Text>
+        </View>
+
+        <View style={styles.form}>
+          {step === 'request' ? (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Email</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter your email"
+                placeholderTextColor="#999"
+                value={email}
+                onChangeText={setEmail}
+                autoCapitalize="none"
+                keyboardType="email-address"
+                autoComplete="email"
+                editable={!loading}
+              />
+            </View>
+          ) : (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Reset Code</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Paste the code from your email"
+                  placeholderTextColor="#999"
+                  value={token}
+                  onChangeText={setToken}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!loading}
+                />
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>New Password</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="At least 8 characters"
+                  placeholderTextColor="#999"
+                  value={newPassword}
+                  onChangeText={setNewPassword}
+                  secureTextEntry
+                  autoComplete="password-new"
+                  editable={!loading}
+                />
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Confirm Password</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Re-enter your new password"
+                  placeholderTextColor="#999"
+                  value={confirmPassword}
+                  onChangeText={setConfirmPassword}
+                  secureTextEntry
+                  autoComplete="password-new"
+                  editable={!loading}
+                />
+              </View>
+            </>
+          )}
+
+          <TouchableOpacity
+            style={[styles.submitButton, loading && styles.submitButtonDisabled]}
+            onPress={step === 'request' ? handleRequest : handleReset}
+            disabled={loading}
+          >
+            {loading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.submitButtonText}>
+                {step === 'request' ? 'Send Reset Code' : 'Reset Password'}
+              </Text>
+            )}
+          </TouchableOpacity>
+
+          <View style={styles.footer}>
+            {step === 'reset' ? (
+              <TouchableOpacity onPress={handleRequest} disabled={loading}>
+                <Text style={styles.linkText}>Resend code</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity onPress={() => setStep('reset')}>
+                <Text style={styles.linkText}>I already have a code</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <View style={styles.footer}>
+            <Text style={styles.footerText}>Remembered it? </Text>
+            <TouchableOpacity onPress={() => navigation.navigate('Login')}>
+              <Text style={styles.linkText}>Sign In</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  content: {
+    flex: 1,
+    padding: 24,
+    justifyContent: 'center',
+  },
+  header: {
+    marginBottom: 40,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+  },
+  form: {
+    width: '100%',
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    padding: 16,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  submitButton: {
+    backgroundColor: '#6366f1',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+    marginTop: 8,
+    shadowColor: '#6366f1',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 24,
+  },
+  footerText: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#6366f1',
+    fontWeight: '600',
+  },
+});
+
+export default ForgotPasswordScreen;
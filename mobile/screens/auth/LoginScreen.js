@@ -74,6 +74,14 @@ const LoginScreen = ({ navigation }) => {
             />
           </View>
 
+          <TouchableOpacity
+            style={styles.forgotPassword}
+            onPress={() => navigation.navigate('ForgotPassword', { email: email.toLowerCase().trim() })}
+            disabled={loading}
+          >
+            <Text style={styles.linkText}>Forgot password?</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={[styles.loginButton, loading && styles.loginButtonDisabled]}
             onPress={handleLogin}
@@ -165,6 +173,11 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#1f2937',
   },
+  forgotPassword: {
+    alignSelf: 'flex-end',
+    marginTop: -8,
+    marginBottom: 20,
+  },
   loginButton: {
     backgroundColor: '#6366f1',
     borderRadius: 12,
@@ -1,86 +1,399 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View, Text, FlatList, TextInput, TouchableOpacity,
-  StyleSheet, KeyboardAvoidingView, Platform, ActivityIndicator,
+  StyleSheet, KeyboardAvoidingView, Platform, ActivityIndicator, Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
-import { API_URL } from '../../config/api';
+import api from '../../config/api';
+import { encryptMessage, decryptMessage, getConversationBundles } from '../../crypto/e2e';
 
-const Bubble = ({ message, isOwn }) => (
+const TYPING_IDLE_MS = 3000;
+const TYPING_TIMEOUT_MS = 5000;
+
+const STATUS_LABELS = { sent: 'Sent', delivered: 'Delivered', read: 'Read' };
+const QUICK_REACTIONS = ['❤️', '👍', '😂'];
+
+const Bubble = ({ message, isOwn, showStatus, onRetry, onLongPress }) => (
   <View style={[styles.bubbleWrap, isOwn ? styles.bubbleWrapOwn : styles.bubbleWrapOther]}>
-    <View style={[styles.bubble, isOwn ? styles.bubbleOwn : styles.bubbleOther]}>
-      <Text style={[styles.bubbleText, isOwn && styles.bubbleTextOwn]}>{message.content}</Text>
-    </View>
-    <Text style={styles.bubbleTime}>
-      {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-    </Text>
+    <TouchableOpacity
+      activeOpacity={message.failed ? 0.6 : 1}
+      onPress={() => message.failed && onRetry(message)}
+      onLongPress={() => !message.pending && !message.failed && !message.deletedAt && onLongPress(message)}
+      style={[styles.bubble, isOwn ? styles.bubbleOwn : styles.bubbleOther, message.pending && styles.bubblePending]}
+    >
+      {message.replyTo && !message.deletedAt && (
+        <Text style={[styles.replyQuote, isOwn && styles.replyQuoteOwn]} numberOfLines={2}>
+          {message.replyTo.deletedAt ? 'Message unsent' : message.replyTo.content}
+        </Text>
+      )}
+      {message.deletedAt ? (
+        <Text style={[styles.bubbleText, styles.bubbleUnsent, isOwn && styles.bubbleTextOwn]}>Message unsent</Text>
+      ) : (
+        <Text style={[styles.bubbleText, isOwn && styles.bubbleTextOwn]}>{message.content}</Text>
+      )}
+    </TouchableOpacity>
+    {message.reactions?.length > 0 && (
+      <Text style={styles.reactions}>
+        {message.reactions.map(r => (r.count > 1 ? `${r.emoji} ${r.count}` : r.emoji)).join('  ')}
+      </Text>
+    )}
+    {message.failed ? (
+      <Text style={styles.bubbleFailed}>Not sent · Tap to retry</Text>
+    ) : (
+      <Text style={styles.bubbleTime}>
+        {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        {message.editedAt && !message.deletedAt && ' · Edited'}
+        {showStatus && ` · ${message.pending ? 'Sending…' : STATUS_LABELS[message.status] ?? 'Sent'}`}
+      </Text>
+    )}
   </View>
 );
 
+// Insert or replace by id (or by clientId for our own pending messages)
+const upsertMessage = (messages, message, clientId) => {
+  const withoutPending = clientId ? messages.filter(m => m.clientId !== clientId) : messages;
+  if (withoutPending.some(m => m.id === message.id)) return withoutPending;
+  return [...withoutPending, message];
+};
+
 const ChatScreen = ({ route, navigation }) => {
   const { userId, userName } = route.params;
-  const { token, user: currentUser } = useAuth();
+  const { user: currentUser, socket, socketConnected } = useAuth();
   const [messages, setMessages] = useState([]);
   const [text, setText] = useState('');
   const [loading, setLoading] = useState(true);
-  const [sending, setSending] = useState(false);
+  const [otherTyping, setOtherTyping] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+  const [conversation, setConversation] = useState(null);
   const flatListRef = useRef(null);
+  const typingRef = useRef({ sent: false, idleTimer: null });
+  const otherTypingTimer = useRef(null);
 
+  // The conversation itself, for its ID and whether it's end-to-end encrypted
   useEffect(() => {
-    navigation.setOptions({ title: userName });
-    fetchMessages();
-    // Poll for new messages every 3s
-    const interval = setInterval(fetchMessages, 3000);
-    return () => clearInterval(interval);
+    api.post(`/conversations/direct/${userId}`)
+      .then(res => setConversation(res.data.conversation))
+      .catch(err => console.warn('Error loading conversation:', err));
   }, [userId]);
 
+  const enableEncryption = () => {
+    Alert.alert(
+      'Turn on end-to-end encryption?',
+      `Only your and ${userName}'s devices will be able to read new messages. This can't be turned off.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn on',
+          onPress: async () => {
+            try {
+              const res = await api.put(`/conversations/${conversation.id}/encryption`);
+              setConversation(res.data.conversation);
+            } catch (err) {
+              Alert.alert('Error', err.response?.data?.message ?? 'Could not turn on encryption');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  useEffect(() => {
+    navigation.setOptions({
+      title: userName,
+      headerRight: () => conversation && (
+        <TouchableOpacity
+          onPress={conversation.encrypted
+            ? () => Alert.alert('End-to-end encrypted', `Messages here can only be read on your and ${userName}'s devices.`)
+            : enableEncryption}
+          style={styles.headerBtn}
+        >
+          <Ionicons name={conversation.encrypted ? 'lock-closed' : 'lock-open-outline'} size={20} color="#6366f1" />
+        </TouchableOpacity>
+      ),
+    });
+  }, [userName, conversation]);
+
+  // Swap an encrypted message's content for this device's decrypted copy
+  const reveal = useCallback(async (message) => {
+    if (!message.encrypted || message.deletedAt) return message;
+    const content = await decryptMessage(currentUser?.id, message).catch(() => null);
+    return { ...message, content: content ?? 'Encrypted message (not available on this device)' };
+  }, [currentUser?.id]);
+
+  // History over REST - on open and after every reconnect, to fill any gap
+  // Opening the chat reads everything fetched
   const fetchMessages = useCallback(async () => {
     try {
-      const res = await fetch(`${API_URL}/api/messages/${userId}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const data = await res.json();
-      if (data.success) setMessages(data.messages ?? []);
+      const res = await api.get(`/messages/conversation/${userId}`, { params: { markRead: true } });
+      const history = await Promise.all((res.data.messages ?? []).map(reveal));
+      // Keep messages still waiting for the server
+      setMessages(prev => [...history, ...prev.filter(m => m.pending || m.failed)]);
     } catch (err) {
       console.warn('Error fetching messages:', err);
     } finally {
       setLoading(false);
     }
-  }, [userId, token]);
+  }, [userId, reveal]);
 
-  const sendMessage = async () => {
-    const content = text.trim();
-    if (!content || sending) return;
-    setSending(true);
-    setText('');
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages, socketConnected]);
+
+  // Read everything up to a message we're looking at
+  const markRead = useCallback((message) => {
+    const { conversationId, id: upToMessageId } = message;
+    if (socketConnected) {
+      socket.emit('mark_read', { conversationId, upToMessageId });
+    } else {
+      api.post(`/conversations/${conversationId}/read`, { upToMessageId })
+        .catch(err => console.warn('Error marking read:', err));
+    }
+  }, [socket, socketConnected]);
+
+  // Live events for this conversation
+  useEffect(() => {
+    if (!socket) return;
+
+    const inConversation = (message) =>
+      (message.senderId === userId && message.recipientId === currentUser?.id) ||
+      (message.senderId === currentUser?.id && message.recipientId === userId);
+
+    const onNewMessage = async (message) => {
+      if (!inConversation(message)) return;
+      const revealed = await reveal(message);
+      setMessages(prev => upsertMessage(prev, revealed));
+      if (message.senderId === userId) {
+        setOtherTyping(false);
+        markRead(message);
+      }
+    };
+
+    const onMessageSent = async ({ clientId, message }) => {
+      if (message && inConversation(message)) {
+        const revealed = await reveal(message);
+        setMessages(prev => upsertMessage(prev, revealed, clientId));
+      }
+    };
+
+    const onError = ({ clientId, message }) => {
+      if (!clientId) return;
+      console.warn('Message not sent:', message);
+      setMessages(prev => prev.map(m => (m.clientId === clientId ? { ...m, pending: false, failed: true } : m)));
+    };
+
+    // Receipts from the other user for our messages
+    const onMessageStatus = ({ userId: receiptUserId, status, messageIds }) => {
+      if (receiptUserId !== userId) return;
+      const ids = new Set(messageIds);
+      setMessages(prev => prev.map(m => (ids.has(m.id) ? { ...m, status } : m)));
+    };
+
+    const updateMessage = (messageId, changes) => {
+      setMessages(prev => prev.map(m => (m.id === messageId ? { ...m, ...changes } : m)));
+    };
+
+    const onMessageEdited = (message) => {
+      if (inConversation(message)) updateMessage(message.id, { content: message.content, editedAt: message.editedAt });
+    };
+
+    const onMessageUnsent = ({ messageId, deletedAt }) => {
+      updateMessage(messageId, { content: '', deletedAt, reactions: [] });
+    };
+
+    const onMessageReaction = ({ messageId, reactions }) => {
+      updateMessage(messageId, { reactions });
+    };
+
+    const onConversationUpdated = (updated) => {
+      setConversation(prev => (prev?.id === updated.id ? updated : prev));
+    };
+
+    const onTyping = ({ userId: typingUserId }) => {
+      if (typingUserId !== userId) return;
+      setOtherTyping(true);
+      // Clear it ourselves in case the stop event is lost
+      clearTimeout(otherTypingTimer.current);
+      otherTypingTimer.current = setTimeout(() => setOtherTyping(false), TYPING_TIMEOUT_MS);
+    };
+
+    const onStopTyping = ({ userId: typingUserId }) => {
+      if (typingUserId !== userId) return;
+      clearTimeout(otherTypingTimer.current);
+      setOtherTyping(false);
+    };
+
+    socket.on('new_message', onNewMessage);
+    socket.on('message_sent', onMessageSent);
+    socket.on('error', onError);
+    socket.on('message_status', onMessageStatus);
+    socket.on('message_edited', onMessageEdited);
+    socket.on('message_unsent', onMessageUnsent);
+    socket.on('message_reaction', onMessageReaction);
+    socket.on('conversation_updated', onConversationUpdated);
+    socket.on('user_typing', onTyping);
+    socket.on('user_stop_typing', onStopTyping);
+
+    return () => {
+      socket.off('new_message', onNewMessage);
+      socket.off('message_sent', onMessageSent);
+      socket.off('error', onError);
+      socket.off('message_status', onMessageStatus);
+      socket.off('message_edited', onMessageEdited);
+      socket.off('message_unsent', onMessageUnsent);
+      socket.off('message_reaction', onMessageReaction);
+      socket.off('conversation_updated', onConversationUpdated);
+      socket.off('user_typing', onTyping);
+      socket.off('user_stop_typing', onStopTyping);
+      clearTimeout(otherTypingTimer.current);
+    };
+  }, [socket, userId, currentUser?.id, markRead, reveal]);
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(typingRef.current.idleTimer);
+    if (typingRef.current.sent && socketConnected) {
+      socket.emit('stop_typing', { recipientId: userId });
+    }
+    typingRef.current.sent = false;
+  }, [socket, socketConnected, userId]);
+
+  // Stop our typing indicator when leaving the chat
+  useEffect(() => stopTyping, [stopTyping]);
+
+  const handleChangeText = (value) => {
+    setText(value);
+    if (!socketConnected) return;
+
+    if (!typingRef.current.sent && value.trim()) {
+      socket.emit('typing', { recipientId: userId });
+      typingRef.current.sent = true;
+    }
+
+    clearTimeout(typingRef.current.idleTimer);
+    typingRef.current.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  // Encrypted conversations send a ciphertext per device instead of the text
+  const messagePayload = async (pending) => {
+    if (!conversation?.encrypted) {
+      return { recipientId: userId, content: pending.content, replyToId: pending.replyToId };
+    }
+
+    const bundles = await getConversationBundles(conversation.id);
+    return {
+      conversationId: conversation.id,
+      encrypted: true,
+      ciphertexts: await encryptMessage(currentUser?.id, conversation.id, pending.content, bundles),
+      replyToId: pending.replyToId,
+    };
+  };
+
+  // Socket when connected, REST otherwise
+  const deliver = async (pending) => {
     try {
-      const res = await fetch(`${API_URL}/api/messages`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ recipientId: userId, content }),
-      });
-      const data = await res.json();
-      if (data.success) {
-        setMessages(prev => [...prev, data.message]);
-        setTimeout(() => flatListRef.current?.scrollToEnd({ animated: true }), 100);
+      const payload = await messagePayload(pending);
+
+      if (socketConnected) {
+        socket.emit('send_message', { ...payload, clientId: pending.clientId });
+        return;
       }
+
+      const res = await api.post('/messages', payload);
+      const message = await reveal(res.data.message);
+      setMessages(prev => upsertMessage(prev, message, pending.clientId));
     } catch (err) {
       console.warn('Error sending message:', err);
-    } finally {
-      setSending(false);
+      setMessages(prev => prev.map(m => (m.clientId === pending.clientId ? { ...m, pending: false, failed: true } : m)));
     }
   };
 
+  const sendMessage = () => {
+    const content = text.trim();
+    if (!content) return;
+    setText('');
+    stopTyping();
+
+    const clientId = `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const pending = {
+      id: clientId,
+      clientId,
+      senderId: currentUser?.id,
+      recipientId: userId,
+      content,
+      replyToId: replyTo?.id,
+      replyTo,
+      createdAt: new Date().toISOString(),
+      pending: true,
+    };
+
+    setReplyTo(null);
+    setMessages(prev => [...prev, pending]);
+    deliver(pending);
+  };
+
+  // Toggle one of our reactions
+  const toggleReaction = async (message, emoji) => {
+    const reacted = message.reactions?.some(r => r.emoji === emoji && r.userIds.includes(currentUser?.id));
+    try {
+      const res = reacted
+        ? await api.delete(`/messages/${message.id}/reactions/${encodeURIComponent(emoji)}`)
+        : await api.post(`/messages/${message.id}/reactions`, { emoji });
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, reactions: res.data.reactions } : m)));
+    } catch (err) {
+      console.warn('Error updating reaction:', err);
+    }
+  };
+
+  const unsendMessage = async (message) => {
+    try {
+      const res = await api.delete(`/messages/${message.id}`);
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, ...res.data.message } : m)));
+    } catch (err) {
+      Alert.alert('Error', err.response?.data?.message ?? 'Could not unsend message');
+    }
+  };
+
+  const showMessageActions = (message) => {
+    const isOwn = message.senderId === currentUser?.id;
+    Alert.alert(null, null, [
+      ...QUICK_REACTIONS.map(emoji => ({ text: emoji, onPress: () => toggleReaction(message, emoji) })),
+      { text: 'Reply', onPress: () => setReplyTo(message) },
+      ...(isOwn ? [{ text: 'Unsend', style: 'destructive', onPress: () => unsendMessage(message) }] : []),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const retryMessage = (message) => {
+    const pending = { ...message, pending: true, failed: false };
+    setMessages(prev => prev.map(m => (m.clientId === message.clientId ? pending : m)));
+    deliver(pending);
+  };
+
   if (loading) return <View style={styles.center}><ActivityIndicator size="large" color="#6366f1" /></View>;
 
+  // Delivery status only under our latest message
+  const lastOwnId = [...messages].reverse().find(m => m.senderId === currentUser?.id)?.id;
+
   return (
     <KeyboardAvoidingView style={styles.container} behavior={Platform.OS === 'ios' ? 'padding' : 'height'} keyboardVerticalOffset={90}>
+      {!socketConnected && (
+        <View style={styles.offlineBanner}>
+          <Text style={styles.offlineText}>Reconnecting…</Text>
+        </View>
+      )}
       <FlatList
         ref={flatListRef}
         data={messages}
         keyExtractor={item => item.id}
-        renderItem={({ item }) => <Bubble message={item} isOwn={item.senderId === currentUser?.id} />}
+        renderItem={({ item }) => (
+          <Bubble
+            message={item}
+            isOwn={item.senderId === currentUser?.id}
+            showStatus={item.id === lastOwnId}
+            onRetry={retryMessage}
+            onLongPress={showMessageActions}
+          />
+        )}
         contentContainerStyle={styles.list}
         onContentSizeChange={() => flatListRef.current?.scrollToEnd({ animated: false })}
         ListEmptyComponent={
@@ -88,27 +401,32 @@ const ChatScreen = ({ route, navigation }) => {
             <Text style={styles.emptyText}>No messages yet. Say hi!</Text>
           </View>
         }
+        ListFooterComponent={otherTyping ? <Text style={styles.typing}>{userName} is typing…</Text> : null}
       />
+      {replyTo && (
+        <View style={styles.replyBar}>
+          <Text style={styles.replyBarText} numberOfLines={1}>Replying to: {replyTo.content}</Text>
+          <TouchableOpacity onPress={() => setReplyTo(null)}>
+            <Ionicons name="close" size={18} color="#6b7280" />
+          </TouchableOpacity>
+        </View>
+      )}
       <View style={styles.inputRow}>
         <TextInput
           style={styles.input}
           placeholder="Type a message..."
           placeholderTextColor="#9ca3af"
           value={text}
-          onChangeText={setText}
+          onChangeText={handleChangeText}
           multiline
           maxLength={1000}
         />
         <TouchableOpacity
-          style={[styles.sendBtn, (!text.trim() || sending) && styles.sendBtnDisabled]}
+          style={[styles.sendBtn, !text.trim() && styles.sendBtnDisabled]}
           onPress={sendMessage}
-          disabled={!text.trim() || sending}
+          disabled={!text.trim()}
         >
-          {sending ? (
-            <ActivityIndicator size="small" color="#fff" />
-          ) : (
-            <Ionicons name="send" size={20} color="#fff" />
-          )}
+          <Ionicons name="send" size={20} color="#fff" />
         </TouchableOpacity>
       </View>
     </KeyboardAvoidingView>
@@ -127,11 +445,23 @@ const styles = StyleSheet.create({
   bubbleOther: { backgroundColor: '#fff', borderBottomLeftRadius: 4, shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: 0.05, shadowRadius: 2 },
   bubbleText: { fontSize: 16, color: '#1f2937', lineHeight: 22 },
   bubbleTextOwn: { color: '#fff' },
+  bubblePending: { opacity: 0.6 },
   bubbleTime: { fontSize: 11, color: '#9ca3af', marginTop: 2, marginHorizontal: 4 },
+  bubbleFailed: { fontSize: 11, color: '#ef4444', marginTop: 2, marginHorizontal: 4 },
+  bubbleUnsent: { fontStyle: 'italic', opacity: 0.7 },
+  replyQuote: { fontSize: 13, color: '#6b7280', borderLeftWidth: 2, borderLeftColor: '#d1d5db', paddingLeft: 8, marginBottom: 4 },
+  replyQuoteOwn: { color: '#e0e7ff', borderLeftColor: '#a5b4fc' },
+  reactions: { fontSize: 13, marginTop: 2, marginHorizontal: 4 },
+  replyBar: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 16, paddingVertical: 8, backgroundColor: '#eef2ff', gap: 8 },
+  replyBarText: { flex: 1, fontSize: 13, color: '#4338ca' },
+  typing: { fontSize: 13, color: '#6b7280', fontStyle: 'italic', marginTop: 8, marginLeft: 4 },
+  offlineBanner: { backgroundColor: '#fef3c7', paddingVertical: 6, alignItems: 'center' },
+  offlineText: { fontSize: 12, color: '#92400e' },
   inputRow: { flexDirection: 'row', padding: 12, backgroundColor: '#fff', borderTopWidth: 1, borderTopColor: '#f3f4f6', alignItems: 'flex-end', gap: 8 },
   input: { flex: 1, backgroundColor: '#f3f4f6', borderRadius: 22, paddingHorizontal: 16, paddingVertical: 10, fontSize: 16, color: '#1f2937', maxHeight: 120 },
   sendBtn: { width: 44, height: 44, borderRadius: 22, backgroundColor: '#6366f1', justifyContent: 'center', alignItems: 'center' },
   sendBtnDisabled: { backgroundColor: '#c7d2fe' },
+  headerBtn: { paddingHorizontal: 8 },
   empty: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingTop: 40 },
   emptyText: { fontSize: 16, color: '#9ca3af' },
 });
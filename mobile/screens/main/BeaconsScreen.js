@@ -6,87 +6,133 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 import { useLocation } from '../../context/LocationContext';
-import { API_URL } from '../../config/api';
+import api from '../../config/api';
 
-const BeaconCard = ({ beacon, onPress, onJoin }) => (
-  <TouchableOpacity style={styles.card} onPress={() => onPress(beacon)}>
-    <View style={styles.cardHeader}>
-      <View style={styles.iconWrap}>
-        <Ionicons name="radio" size={22} color="#f59e0b" />
-      </View>
-      <View style={styles.cardInfo}>
-        <Text style={styles.cardTitle}>{beacon.title}</Text>
-        <Text style={styles.cardMeta}>
-          by {beacon.user?.displayName ?? 'Unknown'} · {beacon.attendeeCount ?? 0} joined
-        </Text>
+// /nearby returns flat rows, /mine returns beacons with a nested user
+const normalizeBeacon = (beacon) => ({
+  ...beacon,
+  user: beacon.user ?? { id: beacon.userId, displayName: beacon.userDisplayName, photoUrl: beacon.userPhotoUrl },
+  isActive: beacon.active !== false && new Date(beacon.expiresAt) > new Date(),
+  distance: beacon.distanceMeters !== undefined ? Number(beacon.distanceMeters) / 1000 : undefined,
+});
+
+const BeaconCard = ({ beacon, isOwn, onPress, onJoin, onLeave }) => {
+  const isFull = beacon.maxAttendees != null && (beacon.attendeeCount ?? 0) >= beacon.maxAttendees;
+
+  return (
+    <TouchableOpacity style={styles.card} onPress={() => onPress(beacon)}>
+      <View style={styles.cardHeader}>
+        <View style={styles.iconWrap}>
+          <Ionicons name="radio" size={22} color="#f59e0b" />
+        </View>
+        <View style={styles.cardInfo}>
+          <Text style={styles.cardTitle}>{beacon.title}</Text>
+          <Text style={styles.cardMeta}>
+            by {beacon.user?.displayName ?? 'Unknown'} · {beacon.attendeeCount ?? 0}
+            {beacon.maxAttendees != null ? `/${beacon.maxAttendees}` : ''} joined
+          </Text>
+        </View>
+        <View style={[styles.statusBadge, beacon.isActive ? styles.statusActive : styles.statusExpired]}>
+          <Text style={styles.statusText}>{beacon.isActive ? 'Live' : 'Ended'}</Text>
+        </View>
       </View>
-      <View style={[styles.statusBadge, beacon.isActive ? styles.statusActive : styles.statusExpired]}>
-        <Text style={styles.statusText}>{beacon.isActive ? 'Live' : 'Ended'}</Text>
+      {beacon.description ? <Text style={styles.description} numberOfLines={2}>{beacon.description}</Text> : null}
+      <View style={styles.footer}>
+        {beacon.distance !== undefined && (
+          <Text style={styles.distance}>
+            <Ionicons name="location-outline" size={12} color="#9ca3af" />
+            {' '}{beacon.distance < 1 ? `${Math.round(beacon.distance * 1000)}m` : `${beacon.distance.toFixed(1)}km`}
+          </Text>
+        )}
+        {beacon.expiresAt && (
+          <Text style={styles.expires}>
+            Expires {new Date(beacon.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </Text>
+        )}
+        {beacon.isActive && !isOwn && (
+          beacon.joined ? (
+            <TouchableOpacity style={[styles.joinBtn, styles.leaveBtn]} onPress={() => onLeave(beacon)}>
+              <Text style={[styles.joinBtnText, styles.leaveBtnText]}>Leave</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.joinBtn, isFull && styles.joinBtnDisabled]}
+              onPress={() => onJoin(beacon)}
+              disabled={isFull}
+            >
+              <Text style={styles.joinBtnText}>{isFull ? 'Full' : 'Join'}</Text>
+            </TouchableOpacity>
+          )
+        )}
       </View>
-    </View>
-    {beacon.description ? <Text style={styles.description} numberOfLines={2}>{beacon.description}</Text> : null}
-    <View style={styles.footer}>
-      {beacon.distance !== undefined && (
-        <Text style={styles.distance}>
-          <Ionicons name="location-outline" size={12} color="#9ca3af" />
-          {' '}{beacon.distance < 1 ? `${Math.round(beacon.distance * 1000)}m` : `${beacon.distance.toFixed(1)}km`}
-        </Text>
-      )}
-      {beacon.expiresAt && (
-        <Text style={styles.expires}>
-          Expires {new Date(beacon.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-        </Text>
-      )}
-      {beacon.isActive && (
-        <TouchableOpacity style={styles.joinBtn} onPress={() => onJoin(beacon)}>
-          <Text style={styles.joinBtnText}>Join</Text>
-        </TouchableOpacity>
-      )}
-    </View>
-  </TouchableOpacity>
-);
+    </TouchableOpacity>
+  );
+};
 
 const BeaconsScreen = ({ navigation }) => {
-  const { token } = useAuth();
+  const { user } = useAuth();
   const { location } = useLocation();
   const [beacons, setBeacons] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [tab, setTab] = useState('nearby'); // nearby | mine
 
-  const fetchBeacons = useCallback(async () => {
+  // Nearby is paged: the first page (cursor null) replaces the list, later pages append to it
+  const fetchBeacons = useCallback(async (cursor = null) => {
     try {
-      const params = new URLSearchParams({ tab });
-      if (location) {
-        params.append('lat', location.coords.latitude);
-        params.append('lng', location.coords.longitude);
+      let data;
+      if (tab === 'mine') {
+        ({ data } = await api.get('/beacons/mine'));
+      } else {
+        if (!location) return;
+        ({ data } = await api.get('/beacons/nearby', {
+          params: { lat: location.coords.latitude, lng: location.coords.longitude, cursor: cursor ?? undefined },
+        }));
+      }
+      if (data.success) {
+        const page = (data.beacons ?? []).map(normalizeBeacon);
+        setBeacons(prev => (cursor ? [...prev, ...page] : page));
+        setNextCursor(data.meta?.hasMore ? data.meta.nextCursor : null);
       }
-      const res = await fetch(`${API_URL}/api/beacons?${params}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const data = await res.json();
-      if (data.success) setBeacons(data.beacons ?? []);
     } catch (err) {
       console.warn('Error fetching beacons:', err);
     } finally {
       setLoading(false);
+      setLoadingMore(false);
       setRefreshing(false);
     }
-  }, [token, location, tab]);
+  }, [location, tab]);
 
   useEffect(() => { fetchBeacons(); }, [fetchBeacons]);
 
+  const loadMore = () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    fetchBeacons(nextCursor);
+  };
+
+  const updateBeacon = (beaconId, changes) => {
+    setBeacons(prev => prev.map(b => (b.id === beaconId ? { ...b, ...changes } : b)));
+  };
+
   const handleJoin = async (beacon) => {
     try {
-      const res = await fetch(`${API_URL}/api/beacons/${beacon.id}/join`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const data = await res.json();
-      if (data.success) Alert.alert('Joined!', `You joined "${beacon.title}"`);
-      else Alert.alert('Error', data.error ?? 'Could not join beacon');
-    } catch {
-      Alert.alert('Error', 'Network error');
+      const { data } = await api.post(`/beacons/${beacon.id}/join`);
+      updateBeacon(beacon.id, { joined: true, attendeeCount: data.attendeeCount });
+      Alert.alert('Joined!', `You joined "${beacon.title}"`);
+    } catch (err) {
+      Alert.alert('Error', err.response?.data?.message ?? 'Could not join beacon');
+    }
+  };
+
+  const handleLeave = async (beacon) => {
+    try {
+      const { data } = await api.post(`/beacons/${beacon.id}/leave`);
+      updateBeacon(beacon.id, { joined: false, attendeeCount: data.attendeeCount });
+    } catch (err) {
+      Alert.alert('Error', err.response?.data?.message ?? 'Could not leave beacon');
     }
   };
 
@@ -114,9 +160,20 @@ const BeaconsScreen = ({ navigation }) => {
       <FlatList
         data={beacons}
         keyExtractor={item => item.id}
-        renderItem={({ item }) => <BeaconCard beacon={item} onPress={() => {}} onJoin={handleJoin} />}
+        renderItem={({ item }) => (
+          <BeaconCard
+            beacon={item}
+            isOwn={item.user?.id === user?.id}
+            onPress={() => {}}
+            onJoin={handleJoin}
+            onLeave={handleLeave}
+          />
+        )}
         refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => { setRefreshing(true); fetchBeacons(); }} tintColor="#6366f1" />}
         contentContainerStyle={styles.list}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.loadingMore} color="#6366f1" /> : null}
         ListEmptyComponent={
           <View style={styles.empty}>
             <Ionicons name="radio-outline" size={48} color="#9ca3af" />
@@ -143,6 +200,7 @@ const styles = StyleSheet.create({
   tabText: { fontSize: 14, color: '#6b7280', fontWeight: '500' },
   tabTextActive: { color: '#fff' },
   list: { padding: 16, gap: 12 },
+  loadingMore: { paddingVertical: 16 },
   card: { backgroundColor: '#fff', borderRadius: 16, padding: 16, shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: 0.05, shadowRadius: 4, elevation: 2 },
   cardHeader: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
   iconWrap: { width: 40, height: 40, borderRadius: 12, backgroundColor: '#fef3c7', justifyContent: 'center', alignItems: 'center', marginRight: 12 },
@@ -159,6 +217,9 @@ const styles = StyleSheet.create({
   expires: { fontSize: 12, color: '#9ca3af', flex: 1 },
   joinBtn: { backgroundColor: '#6366f1', paddingHorizontal: 16, paddingVertical: 6, borderRadius: 10 },
   joinBtnText: { color: '#fff', fontSize: 13, fontWeight: '600' },
+  joinBtnDisabled: { backgroundColor: '#c7d2fe' },
+  leaveBtn: { backgroundColor: '#f3f4f6' },
+  leaveBtnText: { color: '#6b7280' },
   empty: { alignItems: 'center', paddingTop: 80 },
   emptyText: { fontSize: 18, fontWeight: '600', color: '#374151', marginTop: 16, marginBottom: 24 },
   createEmptyBtn: { backgroundColor: '#6366f1', paddingHorizontal: 24, paddingVertical: 12, borderRadius: 12 },
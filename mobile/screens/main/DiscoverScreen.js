@@ -34,12 +34,13 @@ const UserCard = ({ user, onPress }) => (
           ))}
         </View>
       )}
-      {user.distance !== undefined && (
+      {/* Approximate distance bucket from the server, e.g. "<1 km" */}
+      {user.distance ? (
         <Text style={styles.distance}>
           <Ionicons name="location-outline" size={12} color="#9ca3af" />
-          {' '}{user.distance < 1 ? `${Math.round(user.distance * 1000)}m away` : `${user.distance.toFixed(1)}km away`}
+          {' '}{user.distance} away
         </Text>
-      )}
+      ) : null}
     </View>
     <TouchableOpacity style={styles.messageBtn} onPress={() => onPress(user)}>
       <Ionicons name="chatbubble-outline" size={20} color="#6366f1" />
@@ -51,26 +52,36 @@ const DiscoverScreen = ({ navigation }) => {
   const { token } = useAuth();
   const { location } = useLocation();
   const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [filter, setFilter] = useState('nearby'); // nearby | new | online
 
-  const fetchUsers = useCallback(async () => {
+  // First page (cursor null) replaces the list, later pages append to it
+  const fetchUsers = useCallback(async (cursor = null) => {
     try {
-      const params = new URLSearchParams({ filter });
-      if (location) {
-        params.append('lat', location.coords.latitude);
-        params.append('lng', location.coords.longitude);
-      }
-      const res = await fetch(`${API_URL}/api/profiles?${params}`, {
+      if (!location) return;
+      const params = new URLSearchParams({
+        filter,
+        lat: location.coords.latitude,
+        lng: location.coords.longitude,
+      });
+      if (cursor) params.append('cursor', cursor);
+      const res = await fetch(`${API_URL}/api/profiles/search?${params}`, {
         headers: { Authorization: `Bearer ${token}` },
       });
       const data = await res.json();
-      if (data.success) setUsers(data.profiles ?? []);
+      if (data.success) {
+        const page = data.profiles ?? [];
+        setUsers(prev => (cursor ? [...prev, ...page] : page));
+        setNextCursor(data.meta?.hasMore ? data.meta.nextCursor : null);
+      }
     } catch (err) {
       Alert.alert('Error', 'Could not load users');
     } finally {
       setLoading(false);
+      setLoadingMore(false);
       setRefreshing(false);
     }
   }, [token, location, filter]);
@@ -79,6 +90,12 @@ const DiscoverScreen = ({ navigation }) => {
 
   const onRefresh = () => { setRefreshing(true); fetchUsers(); };
 
+  const loadMore = () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    fetchUsers(nextCursor);
+  };
+
   const goToProfile = (user) => navigation.navigate('UserProfile', { userId: user.id, userName: user.displayName });
 
   if (loading) {
@@ -110,6 +127,9 @@ const DiscoverScreen = ({ navigation }) => {
         renderItem={({ item }) => <UserCard user={item} onPress={goToProfile} />}
         refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor="#6366f1" />}
         contentContainerStyle={styles.list}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.footer} color="#6366f1" /> : null}
         ListEmptyComponent={
           <View style={styles.empty}>
             <Ionicons name="people-outline" size={48} color="#9ca3af" />
@@ -155,6 +175,7 @@ const styles = StyleSheet.create({
   tagText: { fontSize: 12, color: '#6366f1' },
   distance: { fontSize: 12, color: '#9ca3af' },
   messageBtn: { padding: 8 },
+  footer: { paddingVertical: 16 },
   empty: { alignItems: 'center', paddingTop: 80 },
   emptyText: { fontSize: 18, fontWeight: '600', color: '#374151', marginTop: 16 },
   emptySubtext: { fontSize: 14, color: '#9ca3af', marginTop: 8, textAlign: 'center' },
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
 import MapView, { Marker, Circle, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
@@ -6,42 +6,99 @@ import { useLocation } from '../../context/LocationContext';
 import { useAuth } from '../../context/AuthContext';
 import { API_URL } from '../../config/api';
 
+const EMPTY_FEATURES = { beacons: [], venues: [], spots: [], users: [] };
+
+// Cluster marker colors per layer
+const CLUSTER_COLORS = { beacons: '#f59e0b', venues: '#10b981', spots: '#ec4899', users: '#6366f1' };
+
+// Wait for the map to settle before refetching, so a pan is one request
+const REFETCH_DELAY_MS = 300;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// The visible region as the bbox and zoom level /api/map/features expects
+const regionToParams = (region) => {
+  const west = clamp(region.longitude - region.longitudeDelta / 2, -180, 180);
+  const east = clamp(region.longitude + region.longitudeDelta / 2, -180, 180);
+  const south = clamp(region.latitude - region.latitudeDelta / 2, -90, 90);
+  const north = clamp(region.latitude + region.latitudeDelta / 2, -90, 90);
+  const zoom = clamp(Math.round(Math.log2(360 / region.longitudeDelta)), 0, 22);
+  return new URLSearchParams({ bbox: [west, south, east, north].map(n => n.toFixed(6)).join(','), zoom });
+};
+
 const MapScreen = ({ navigation }) => {
   const mapRef = useRef(null);
+  const regionRef = useRef(null);
+  const requestRef = useRef(null);
+  const timerRef = useRef(null);
   const { location, requestLocation } = useLocation();
   const { token } = useAuth();
-  const [nearbyUsers, setNearbyUsers] = useState([]);
-  const [beacons, setBeacons] = useState([]);
+  const [features, setFeatures] = useState(EMPTY_FEATURES);
+  const [clustered, setClustered] = useState(false);
   const [loading, setLoading] = useState(false);
 
-  useEffect(() => {
-    if (location) fetchNearbyData();
-  }, [location]);
-
-  const fetchNearbyData = async () => {
-    if (!location) return;
+  // Features in the visible region - a newer request cancels the one in flight
+  const fetchFeatures = useCallback(async (region) => {
+    if (!region) return;
+    requestRef.current?.abort();
+    const request = new AbortController();
+    requestRef.current = request;
     setLoading(true);
     try {
-      const { latitude, longitude } = location.coords;
-      const [usersRes, beaconsRes] = await Promise.all([
-        fetch(`${API_URL}/api/profiles?lat=${latitude}&lng=${longitude}&filter=nearby`, {
-          headers: { Authorization: `Bearer ${token}` },
-        }),
-        fetch(`${API_URL}/api/beacons?lat=${latitude}&lng=${longitude}`, {
-          headers: { Authorization: `Bearer ${token}` },
-        }),
-      ]);
-      const usersData = await usersRes.json();
-      const beaconsData = await beaconsRes.json();
-      if (usersData.success) setNearbyUsers(usersData.profiles ?? []);
-      if (beaconsData.success) setBeacons(beaconsData.beacons ?? []);
+      const res = await fetch(`${API_URL}/api/map/features?${regionToParams(region)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: request.signal,
+      });
+      const data = await res.json();
+      if (data.success) {
+        setFeatures(Object.fromEntries(Object.keys(EMPTY_FEATURES).map(layer => [layer, data[layer] ?? []])));
+        setClustered(data.clustered);
+      }
     } catch (err) {
-      console.warn('Error fetching map data:', err);
+      if (err.name !== 'AbortError') console.warn('Error fetching map data:', err);
     } finally {
-      setLoading(false);
+      if (requestRef.current === request) setLoading(false);
     }
+  }, [token]);
+
+  useEffect(() => {
+    if (!location || regionRef.current) return;
+    regionRef.current = {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      latitudeDelta: 0.02,
+      longitudeDelta: 0.02,
+    };
+    fetchFeatures(regionRef.current);
+  }, [location, fetchFeatures]);
+
+  useEffect(() => () => {
+    clearTimeout(timerRef.current);
+    requestRef.current?.abort();
+  }, []);
+
+  const onRegionChangeComplete = (region) => {
+    regionRef.current = region;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => fetchFeatures(region), REFETCH_DELAY_MS);
+  };
+
+  // Zoom in on a cluster until it breaks up into its features
+  const expandCluster = (cluster) => {
+    const region = regionRef.current;
+    if (!region || !mapRef.current) return;
+    mapRef.current.animateToRegion({
+      latitude: cluster.lat,
+      longitude: cluster.lng,
+      latitudeDelta: region.latitudeDelta / 4,
+      longitudeDelta: region.longitudeDelta / 4,
+    }, 500);
   };
 
+  const countOf = (layer) => (clustered
+    ? features[layer].reduce((sum, cluster) => sum + cluster.count, 0)
+    : features[layer].length);
+
   const centerOnUser = () => {
     if (!location || !mapRef.current) return;
     mapRef.current.animateToRegion({
@@ -79,6 +136,7 @@ const MapScreen = ({ navigation }) => {
         showsUserLocation
         showsMyLocationButton={false}
         customMapStyle={darkMapStyle}
+        onRegionChangeComplete={onRegionChangeComplete}
       >
         {/* Discovery radius */}
         <Circle
@@ -89,8 +147,21 @@ const MapScreen = ({ navigation }) => {
           strokeWidth={1}
         />
 
-        {/* Nearby users */}
-        {nearbyUsers.map(user => user.lat && user.lng ? (
+        {/* Clusters at low zoom, one per layer and grid cell */}
+        {clustered && Object.keys(CLUSTER_COLORS).flatMap(layer => features[layer].map(cluster => (
+          <Marker
+            key={`${layer}:${cluster.id}`}
+            coordinate={{ latitude: cluster.lat, longitude: cluster.lng }}
+            onPress={() => expandCluster(cluster)}
+          >
+            <View style={[styles.clusterMarker, { backgroundColor: CLUSTER_COLORS[layer] }]}>
+              <Text style={styles.clusterMarkerText}>{cluster.count}</Text>
+            </View>
+          </Marker>
+        )))}
+
+        {/* Nearby users (approximate positions) */}
+        {!clustered && features.users.map(user => (
           <Marker
             key={user.id}
             coordinate={{ latitude: user.lat, longitude: user.lng }}
@@ -100,10 +171,10 @@ const MapScreen = ({ navigation }) => {
               <Text style={styles.userMarkerText}>{user.displayName?.[0] ?? '?'}</Text>
             </View>
           </Marker>
-        ) : null)}
+        ))}
 
         {/* Beacons */}
-        {beacons.map(beacon => (
+        {!clustered && features.beacons.map(beacon => (
           <Marker
             key={beacon.id}
             coordinate={{ latitude: beacon.lat, longitude: beacon.lng }}
@@ -115,6 +186,32 @@ const MapScreen = ({ navigation }) => {
             </View>
           </Marker>
         ))}
+
+        {/* Venues */}
+        {!clustered && features.venues.map(venue => (
+          <Marker
+            key={venue.id}
+            coordinate={{ latitude: venue.lat, longitude: venue.lng }}
+            title={venue.name}
+          >
+            <View style={[styles.placeMarker, { backgroundColor: CLUSTER_COLORS.venues }]}>
+              <Ionicons name="business" size={14} color="#fff" />
+            </View>
+          </Marker>
+        ))}
+
+        {/* Spots */}
+        {!clustered && features.spots.map(spot => (
+          <Marker
+            key={spot.id}
+            coordinate={{ latitude: spot.lat, longitude: spot.lng }}
+            title={spot.title}
+          >
+            <View style={[styles.placeMarker, { backgroundColor: CLUSTER_COLORS.spots }]}>
+              <Ionicons name="pin" size={14} color="#fff" />
+            </View>
+          </Marker>
+        ))}
       </MapView>
 
       {/* Controls */}
@@ -122,7 +219,7 @@ const MapScreen = ({ navigation }) => {
         <TouchableOpacity style={styles.controlBtn} onPress={centerOnUser}>
           <Ionicons name="locate" size={22} color="#6366f1" />
         </TouchableOpacity>
-        <TouchableOpacity style={styles.controlBtn} onPress={fetchNearbyData}>
+        <TouchableOpacity style={styles.controlBtn} onPress={() => fetchFeatures(regionRef.current)}>
           <Ionicons name={loading ? 'hourglass' : 'refresh'} size={22} color="#6366f1" />
         </TouchableOpacity>
       </View>
@@ -137,7 +234,7 @@ const MapScreen = ({ navigation }) => {
 
       {/* Stats */}
       <View style={styles.stats}>
-        <Text style={styles.statsText}>{nearbyUsers.length} nearby · {beacons.length} beacons</Text>
+        <Text style={styles.statsText}>{countOf('users')} nearby · {countOf('beacons')} beacons</Text>
       </View>
     </View>
   );
@@ -169,6 +266,17 @@ const styles = StyleSheet.create({
     justifyContent: 'center', alignItems: 'center',
     borderWidth: 2, borderColor: '#fff',
   },
+  placeMarker: {
+    width: 28, height: 28, borderRadius: 14,
+    justifyContent: 'center', alignItems: 'center',
+    borderWidth: 2, borderColor: '#fff',
+  },
+  clusterMarker: {
+    minWidth: 36, height: 36, borderRadius: 18, paddingHorizontal: 8,
+    justifyContent: 'center', alignItems: 'center',
+    borderWidth: 2, borderColor: '#fff', opacity: 0.9,
+  },
+  clusterMarkerText: { color: '#fff', fontWeight: 'bold', fontSize: 13 },
   controls: {
     position: 'absolute', right: 16, top: 60,
     gap: 8,
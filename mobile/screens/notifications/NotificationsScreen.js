@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View, Text, FlatList, TouchableOpacity, StyleSheet,
+  RefreshControl, ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../config/api';
+
+const TYPE_ICONS = {
+  message: 'chatbubble-outline',
+  beacon_join: 'radio-outline',
+  report_actioned: 'shield-checkmark-outline',
+  moderation_action: 'warning-outline',
+  media_moderated: 'image-outline',
+  payment_failed: 'card-outline',
+};
+
+const formatTime = (iso) => {
+  const d = new Date(iso);
+  const diff = Date.now() - d;
+  if (diff < 60000) return 'now';
+  if (diff < 3600000) return `${Math.floor(diff / 60000)}m`;
+  if (diff < 86400000) return `${Math.floor(diff / 3600000)}h`;
+  return d.toLocaleDateString();
+};
+
+const NotificationItem = ({ item, onPress }) => (
+  <TouchableOpacity style={[styles.item, !item.read && styles.itemUnread]} onPress={() => onPress(item)}>
+    <View style={styles.iconWrap}>
+      <Ionicons name={TYPE_ICONS[item.type] ?? 'notifications-outline'} size={22} color="#6366f1" />
+    </View>
+    <View style={styles.body}>
+      <View style={styles.row}>
+        <Text style={[styles.title, !item.read && styles.titleBold]} numberOfLines={1}>{item.title}</Text>
+        <Text style={styles.time}>{formatTime(item.createdAt)}</Text>
+      </View>
+      <Text style={styles.text} numberOfLines={2}>{item.body}</Text>
+    </View>
+    {!item.read && <View style={styles.unreadDot} />}
+  </TouchableOpacity>
+);
+
+const NotificationsScreen = ({ navigation }) => {
+  const { socket, unreadNotifications, setUnreadNotifications } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // First page (cursor null) replaces the list, later pages append to it
+  const fetchPage = useCallback(async (cursor = null) => {
+    try {
+      const { data } = await api.get('/notifications', { params: { cursor: cursor ?? undefined } });
+      setNotifications(prev => (cursor ? [...prev, ...data.notifications] : data.notifications));
+      setNextCursor(data.meta.hasMore ? data.meta.nextCursor : null);
+      setUnreadNotifications(data.unreadCount);
+    } catch (err) {
+      console.warn('Error fetching notifications:', err);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+      setRefreshing(false);
+    }
+  }, [setUnreadNotifications]);
+
+  useEffect(() => { fetchPage(); }, [fetchPage]);
+
+  // New entries arrive live while the screen is open
+  useEffect(() => {
+    if (!socket) return;
+
+    const onNotification = (notification) => {
+      setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+    };
+
+    const onRead = ({ all, notificationIds }) => {
+      setNotifications(prev => prev.map(n =>
+        (all || notificationIds?.includes(n.id) ? { ...n, read: true } : n)
+      ));
+    };
+
+    socket.on('notification', onNotification);
+    socket.on('notifications_read', onRead);
+    return () => {
+      socket.off('notification', onNotification);
+      socket.off('notifications_read', onRead);
+    };
+  }, [socket]);
+
+  const loadMore = () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    fetchPage(nextCursor);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api.post('/notifications/read-all');
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+      setUnreadNotifications(0);
+    } catch (err) {
+      console.warn('Error marking notifications read:', err);
+    }
+  };
+
+  const onPress = async (item) => {
+    if (!item.read) {
+      setNotifications(prev => prev.map(n => (n.id === item.id ? { ...n, read: true } : n)));
+      api.put(`/notifications/${item.id}/read`)
+        .then(({ data }) => setUnreadNotifications(data.unreadCount))
+        .catch(err => console.warn('Error marking notification read:', err));
+    }
+
+    if (item.type === 'message' && item.data?.senderId) {
+      navigation.navigate('Chat', { userId: item.data.senderId, userName: item.title });
+    } else if (item.type === 'beacon_join') {
+      navigation.navigate('Beacons');
+    }
+  };
+
+  if (loading) {
+    return <View style={styles.center}><ActivityIndicator size="large" color="#6366f1" /></View>;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Notifications</Text>
+        {unreadNotifications > 0 && (
+          <TouchableOpacity onPress={markAllRead}>
+            <Text style={styles.markAll}>Mark all read</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      <FlatList
+        data={notifications}
+        keyExtractor={item => item.id}
+        renderItem={({ item }) => <NotificationItem item={item} onPress={onPress} />}
+        ItemSeparatorComponent={() => <View style={styles.separator} />}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.footer} color="#6366f1" /> : null}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => { setRefreshing(true); fetchPage(); }} tintColor="#6366f1" />}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Ionicons name="notifications-outline" size={48} color="#9ca3af" />
+            <Text style={styles.emptyText}>No notifications yet</Text>
+            <Text style={styles.emptySubtext}>Messages, beacon joins and account updates will show up here</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#fff' },
+  center: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+  header: { paddingTop: 60, paddingHorizontal: 16, paddingBottom: 12, borderBottomWidth: 1, borderBottomColor: '#f3f4f6', flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-end' },
+  headerTitle: { fontSize: 28, fontWeight: 'bold', color: '#1f2937' },
+  markAll: { fontSize: 14, color: '#6366f1', fontWeight: '600', marginBottom: 6 },
+  item: { flexDirection: 'row', padding: 16, alignItems: 'center' },
+  itemUnread: { backgroundColor: '#eef2ff' },
+  iconWrap: { width: 40, height: 40, borderRadius: 20, backgroundColor: '#e0e7ff', justifyContent: 'center', alignItems: 'center', marginRight: 12 },
+  body: { flex: 1 },
+  row: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4 },
+  title: { fontSize: 15, color: '#1f2937', flex: 1, marginRight: 8 },
+  titleBold: { fontWeight: '700' },
+  time: { fontSize: 12, color: '#9ca3af' },
+  text: { fontSize: 14, color: '#6b7280' },
+  unreadDot: { width: 8, height: 8, borderRadius: 4, backgroundColor: '#6366f1', marginLeft: 8 },
+  separator: { height: 1, backgroundColor: '#f3f4f6', marginLeft: 68 },
+  footer: { paddingVertical: 16 },
+  empty: { alignItems: 'center', paddingTop: 80 },
+  emptyText: { fontSize: 18, fontWeight: '600', color: '#374151', marginTop: 16 },
+  emptySubtext: { fontSize: 14, color: '#9ca3af', marginTop: 8, textAlign: 'center', paddingHorizontal: 32 },
+});
+
+export default NotificationsScreen;
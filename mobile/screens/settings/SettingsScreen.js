@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import {
   View, Text, TextInput, TouchableOpacity, StyleSheet,
-  ScrollView, Alert, ActivityIndicator, KeyboardAvoidingView, Platform,
+  ScrollView, Alert, ActivityIndicator, KeyboardAvoidingView, Platform, Switch,
 } from 'react-native';
 import { useAuth } from '../../context/AuthContext';
 import { API_URL } from '../../config/api';
@@ -10,9 +10,36 @@ const SettingsScreen = ({ navigation }) => {
   const { token } = useAuth();
   const [form, setForm] = useState({ displayName: '', bio: '', age: '' });
   const [tagsInput, setTagsInput] = useState('');
+  const [hideDistance, setHideDistance] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
 
+  useEffect(() => {
+    fetch(`${API_URL}/api/privacy/settings`, { headers: { Authorization: `Bearer ${token}` } })
+      .then(r => r.json())
+      .then(data => {
+        if (data.success) setHideDistance(data.settings.hideDistance);
+      })
+      .catch(() => {});
+  }, []);
+
+  // Privacy toggles save straight away, reverting if the server refuses
+  const toggleHideDistance = async (value) => {
+    setHideDistance(value);
+    try {
+      const res = await fetch(`${API_URL}/api/privacy/settings`, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ hideDistance: value }),
+      });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.message);
+    } catch {
+      setHideDistance(!value);
+      Alert.alert('Error', 'Could not update privacy settings');
+    }
+  };
+
   useEffect(() => {
     fetch(`${API_URL}/api/users/me`, { headers: { Authorization: `Bearer ${token}` } })
       .then(r => r.json())
@@ -112,6 +139,20 @@ const SettingsScreen = ({ navigation }) => {
         >
           {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.saveBtnText}>Save Changes</Text>}
         </TouchableOpacity>
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Privacy</Text>
+
+        <View style={styles.switchRow}>
+          <View style={styles.switchText}>
+            <Text style={styles.label}>Hide exact distance</Text>
+            <Text style={styles.hint}>Others only see a distance range, and you never appear as a pin on the map</Text>
+          </View>
+          <Switch
+            value={hideDistance}
+            onValueChange={toggleHideDistance}
+            trackColor={{ true: '#6366f1' }}
+          />
+        </View>
       </ScrollView>
     </KeyboardAvoidingView>
   );
@@ -131,6 +172,9 @@ const styles = StyleSheet.create({
   saveBtn: { backgroundColor: '#6366f1', borderRadius: 14, padding: 16, alignItems: 'center', marginTop: 8 },
   saveBtnDisabled: { opacity: 0.6 },
   saveBtnText: { color: '#fff', fontSize: 16, fontWeight: '600' },
+  sectionSpacing: { marginTop: 32 },
+  switchRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
+  switchText: { flex: 1, marginRight: 12 },
 });
 
 export default SettingsScreen;
@@ -5,6 +5,9 @@ import Constants from 'expo-constants';
 // API Base URL - use your actual backend URL
 const API_URL = Constants.expoConfig?.extra?.apiUrl || 'http://localhost:4000/api';
 
+// Socket.IO server - same host as the API, without the /api prefix
+const SOCKET_URL = API_URL.replace(/\/api\/?$/, '');
+
 // Create axios instance
 const api = axios.create({
   baseURL: API_URL,
@@ -28,6 +31,38 @@ api.interceptors.request.use(
   }
 );
 
+// Shared so concurrent 401s (and socket reconnects) trigger a single refresh
+let refreshPromise = null;
+
+// Exchange the stored refresh token for new tokens, returning the new access token
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+
+      const response = await axios.post(`${API_URL}/auth/refresh`, {
+        refreshToken,
+      });
+
+      const { accessToken, refreshToken: newRefreshToken } = response.data;
+
+      // Save new tokens
+      await AsyncStorage.setItem('accessToken', accessToken);
+      await AsyncStorage.setItem('refreshToken', newRefreshToken);
+
+      return accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor - handle token refresh
 api.interceptors.response.use(
   (response) => response,
@@ -39,22 +74,7 @@ api.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const refreshToken = await AsyncStorage.getItem('refreshToken');
-        
-        if (!refreshToken) {
-          throw new Error('No refresh token');
-        }
-
-        // Refresh the token
-        const response = await axios.post(`${API_URL}/auth/refresh`, {
-          refreshToken,
-        });
-
-        const { accessToken, refreshToken: newRefreshToken } = response.data;
-
-        // Save new tokens
-        await AsyncStorage.setItem('accessToken', accessToken);
-        await AsyncStorage.setItem('refreshToken', newRefreshToken);
+        const accessToken = await refreshAccessToken();
 
         // Retry original request with new token
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -71,4 +91,4 @@ api.interceptors.response.use(
 );
 
 export default api;
-export { API_URL };
+export { API_URL, SOCKET_URL, refreshAccessToken };
@@ -0,0 +1,16 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+
+// Stable ID for this install - the server ties sessions and encryption keys to it
+export const getDeviceId = async () => {
+  let deviceId = await AsyncStorage.getItem('deviceId');
+
+  if (!deviceId) {
+    deviceId = Crypto.randomUUID();
+    await AsyncStorage.setItem('deviceId', deviceId);
+  }
+
+  return deviceId;
+};
+
+export default getDeviceId;
@@ -0,0 +1,39 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import Constants from 'expo-constants';
+import api from './api';
+
+// Show notifications that arrive while the app is open, like the OS does in the background
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// Ask for permission and register this device's Expo push token (call after login)
+// Returns false if the user declined notifications
+export const registerForPushNotifications = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync('default', {
+      name: 'default',
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+  }
+
+  let { status } = await Notifications.getPermissionsAsync();
+  if (status !== 'granted') {
+    ({ status } = await Notifications.requestPermissionsAsync());
+  }
+  if (status !== 'granted') return false;
+
+  const { data: token } = await Notifications.getExpoPushTokenAsync({
+    projectId: Constants.expoConfig?.extra?.eas?.projectId,
+  });
+
+  await api.put('/notifications/push-token', { token, provider: 'expo' });
+  return true;
+};
+
+export default registerForPushNotifications;
@@ -0,0 +1,19 @@
+import { io } from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SOCKET_URL } from './api';
+
+// Errors from the server's auth middleware that a token refresh can fix
+export const SOCKET_AUTH_ERRORS = ['Authentication failed', 'Authentication token required'];
+
+// Create the app's Socket.IO connection (call connect() to open it)
+// The token is read on every (re)connect attempt, so refreshed tokens are picked up
+export const createSocket = () =>
+  io(SOCKET_URL, {
+    transports: ['websocket'],
+    autoConnect: false,
+    auth: (cb) => {
+      AsyncStorage.getItem('accessToken').then((token) => cb({ token }));
+    },
+  });
+
+export default createSocket;
@@ -1,6 +1,10 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import api from '../config/api';
+import api, { refreshAccessToken } from '../config/api';
+import { createSocket, SOCKET_AUTH_ERRORS } from '../config/socket';
+import { getDeviceId } from '../config/device';
+import { ensureDeviceKeys } from '../crypto/e2e';
+import { registerForPushNotifications } from '../config/notifications';
 
 const AuthContext = createContext();
 
@@ -16,12 +20,117 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [socket, setSocket] = useState(null);
+  const [socketConnected, setSocketConnected] = useState(false);
+  const [unreadNotifications, setUnreadNotifications] = useState(0);
+  const userRef = useRef(null);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
 
   // Load user from storage on app start
   useEffect(() => {
     loadUser();
   }, []);
 
+  // Register (or top up) this device's encryption keys once signed in
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) return;
+
+    ensureDeviceKeys(user.id).catch((error) => {
+      console.warn('Error setting up encryption keys:', error);
+    });
+  }, [isAuthenticated, user?.id]);
+
+  // Messages and other alerts arrive as push notifications while the app is closed
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    registerForPushNotifications().catch((error) => {
+      console.warn('Error registering for push notifications:', error);
+    });
+  }, [isAuthenticated]);
+
+  // Unread count for the notifications badge
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadNotifications(0);
+      return;
+    }
+
+    api.get('/notifications/unread-count')
+      .then(res => setUnreadNotifications(res.data.unreadCount))
+      .catch((error) => {
+        console.warn('Error loading unread notifications:', error);
+      });
+  }, [isAuthenticated]);
+
+  // One shared socket while signed in
+  useEffect(() => {
+    if (!isAuthenticated) {
+      return;
+    }
+
+    const newSocket = createSocket();
+    let refreshing = false;
+
+    newSocket.on('connect', () => {
+      refreshing = false;
+      setSocketConnected(true);
+    });
+
+    newSocket.on('disconnect', () => {
+      setSocketConnected(false);
+    });
+
+    // Delivery receipt for every message that reaches this device, whichever screen is open
+    newSocket.on('new_message', (message) => {
+      if (message.senderId === userRef.current?.id) return;
+      newSocket.emit('message_delivered', {
+        conversationId: message.conversationId,
+        upToMessageId: message.id,
+      });
+    });
+
+    // Keep the badge current as notifications arrive or are read on another device
+    newSocket.on('notification', () => {
+      setUnreadNotifications(count => count + 1);
+    });
+
+    newSocket.on('notifications_read', ({ unreadCount }) => {
+      setUnreadNotifications(unreadCount);
+    });
+
+    // Expired access token: refresh once, then reconnect with the new token
+    newSocket.on('connect_error', async (error) => {
+      setSocketConnected(false);
+
+      if (!SOCKET_AUTH_ERRORS.includes(error.message) || refreshing) {
+        return;
+      }
+
+      refreshing = true;
+      try {
+        await refreshAccessToken();
+        newSocket.connect();
+      } catch (refreshError) {
+        console.error('Socket token refresh failed:', refreshError);
+        logout();
+      }
+    });
+
+    newSocket.connect();
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.removeAllListeners();
+      newSocket.disconnect();
+      setSocket(null);
+      setSocketConnected(false);
+    };
+  }, [isAuthenticated]);
+
   const loadUser = async () => {
     try {
       const [accessToken, userData] = await AsyncStorage.multiGet([
@@ -45,7 +154,7 @@ export const AuthProvider = ({ children }) => {
       const response = await api.post('/auth/login', {
         email,
         password,
-        deviceId: 'expo-device', // You can use expo-device to get actual device ID
+        deviceId: await getDeviceId(),
         platform: 'mobile',
       });
 
@@ -90,6 +199,35 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Request failed',
+      };
+    }
+  };
+
+  const resetPassword = async (token, newPassword) => {
+    try {
+      const response = await api.post('/auth/reset-password', {
+        token,
+        newPassword,
+      });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      console.error('Password reset error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Password reset failed',
+      };
+    }
+  };
+
   const logout = async () => {
     try {
       const refreshToken = await AsyncStorage.getItem('refreshToken');
@@ -141,8 +279,14 @@ export const AuthProvider = ({ children }) => {
     user,
     isAuthenticated,
     loading,
+    socket,
+    socketConnected,
+    unreadNotifications,
+    setUnreadNotifications,
     login,
     register,
+    requestPasswordReset,
+    resetPassword,
     logout,
     updateUser,
     updateLocation,
@@ -0,0 +1,383 @@
+import nacl from 'tweetnacl';
+import { decodeBase64, encodeBase64, decodeUTF8, encodeUTF8 } from 'tweetnacl-util';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import api from '../config/api';
+
+// End-to-end encryption for messages
+//
+// Each device has an Ed25519 identity key, an X25519 prekey signed by it and a
+// batch of one-time X25519 prekeys, all uploaded to the server's key directory.
+// A message is encrypted once per device in the conversation, over a session
+// between this device and that one. A session starts from a fresh ephemeral key
+// and one of the device's one-time prekeys (its signed prekey if none are left),
+// claimed from the server once and deleted by the recipient on first use. Each
+// message moves the session's chain key forward and the old one is dropped, so
+// keys kept on a device can't decrypt earlier messages. Every copy is signed by
+// the sending device's identity key. Private keys never leave the device's
+// secure store.
+
+// tweetnacl has no random source of its own on React Native
+nacl.setPRNG((x, n) => {
+  const bytes = Crypto.getRandomBytes(n);
+  for (let i = 0; i < n; i++) x[i] = bytes[i];
+});
+
+const PREKEY_BATCH = 50;
+
+// Message keys kept per session for copies that arrive out of order
+const MAX_SKIPPED_KEYS = 10;
+
+// Copies further ahead of their session than this are refused, so a sender
+// can't have us derive keys without end
+const MAX_CHAIN_GAP = 1000;
+
+// Sessions kept per sending device - the newest and the one before it
+const MAX_RECEIVE_SESSIONS = 2;
+
+// Keys are per user, so accounts sharing a device don't share keys
+const storeKey = (userId, name) => `e2e.${userId}.${name}`;
+
+// Session and key updates run one at a time, so concurrent sends and decrypts
+// never work from the same chain key
+let lock = Promise.resolve();
+const exclusive = (task) => {
+  const run = lock.then(task);
+  lock = run.catch(() => {});
+  return run;
+};
+
+let cachedState = null;
+
+const loadState = async (userId) => {
+  if (cachedState?.userId === userId) return cachedState;
+
+  const value = await SecureStore.getItemAsync(storeKey(userId, 'identity'));
+  cachedState = value ? JSON.parse(value) : null;
+  return cachedState;
+};
+
+const saveState = async (state) => {
+  await SecureStore.setItemAsync(storeKey(state.userId, 'identity'), JSON.stringify(state));
+  cachedState = state;
+};
+
+const createState = (userId) => {
+  const identity = nacl.sign.keyPair();
+  const signedPreKey = nacl.box.keyPair();
+
+  return {
+    userId,
+    identityKey: encodeBase64(identity.publicKey),
+    identitySecret: encodeBase64(identity.secretKey),
+    signedPreKeyId: 1,
+    signedPreKey: encodeBase64(signedPreKey.publicKey),
+    signedPreKeySecret: encodeBase64(signedPreKey.secretKey),
+    nextPreKeyId: 1,
+    localKey: encodeBase64(nacl.randomBytes(nacl.secretbox.keyLength)),
+    deviceId: null,
+  };
+};
+
+const loadJson = async (key) => {
+  const value = await SecureStore.getItemAsync(key);
+  return value ? JSON.parse(value) : null;
+};
+
+const saveJson = (key, value) => SecureStore.setItemAsync(key, JSON.stringify(value));
+
+// One step of a chain: label 1 gives the message key, label 2 the next chain key
+const deriveKey = (chainKey, label) => {
+  const input = new Uint8Array(chainKey.length + 1);
+  input.set(chainKey);
+  input[chainKey.length] = label;
+  return nacl.hash(input).slice(0, nacl.secretbox.keyLength);
+};
+
+// What a copy's signature covers - its conversation, recipient device and place
+// in the session (the server checks the same string)
+const signedData = (conversationId, { deviceId, ephemeralKey, preKeyId, counter, nonce, ciphertext }) =>
+  decodeUTF8([conversationId, deviceId, ephemeralKey, preKeyId ?? '', counter, nonce, ciphertext].join('.'));
+
+// Generate up to count one-time prekeys, storing each secret under its key ID
+const generatePreKeys = async (state, count = PREKEY_BATCH) => {
+  const preKeys = [];
+
+  for (let i = 0; i < count; i++) {
+    const keyId = state.nextPreKeyId + i;
+    const keyPair = nacl.box.keyPair();
+    await SecureStore.setItemAsync(storeKey(state.userId, `prekey.${keyId}`), encodeBase64(keyPair.secretKey));
+    preKeys.push({ keyId, publicKey: encodeBase64(keyPair.publicKey) });
+  }
+
+  // Saved before uploading so key IDs are never reused
+  await saveState({ ...state, nextPreKeyId: state.nextPreKeyId + count });
+  return preKeys;
+};
+
+// Register this device's keys, or top up its prekeys (call after login)
+// Returns the server's ID for this device, which ciphertexts are addressed to
+export const ensureDeviceKeys = async (userId) => {
+  const { data: status } = await api.get('/keys');
+  let state = await loadState(userId);
+
+  if (!state || !status.registered) {
+    state = state ?? createState(userId);
+    const preKeys = await generatePreKeys(state);
+    state = await loadState(userId);
+
+    const signature = nacl.sign.detached(decodeBase64(state.signedPreKey), decodeBase64(state.identitySecret));
+    await api.put('/keys', {
+      identityKey: state.identityKey,
+      signedPreKey: { keyId: state.signedPreKeyId, publicKey: state.signedPreKey, signature: encodeBase64(signature) },
+      preKeys,
+    });
+  } else if (status.needsPreKeys) {
+    const count = Math.min(PREKEY_BATCH, status.maxPreKeys - status.preKeyCount);
+    await api.post('/keys/prekeys', { preKeys: await generatePreKeys(state, count) });
+    state = await loadState(userId);
+  }
+
+  if (!state.localKey) {
+    state = { ...state, localKey: encodeBase64(nacl.randomBytes(nacl.secretbox.keyLength)) };
+    await saveState(state);
+  }
+
+  if (state.deviceId !== status.deviceId) {
+    await saveState({ ...state, deviceId: status.deviceId });
+  }
+
+  return status.deviceId;
+};
+
+// One top-up at a time, so two never hand out the same prekey IDs
+let topUp = null;
+const replenishPreKeys = (userId) => {
+  topUp ??= ensureDeviceKeys(userId)
+    .catch((error) => {
+      console.warn('Error topping up prekeys:', error);
+    })
+    .finally(() => {
+      topUp = null;
+    });
+};
+
+// Bundles per conversation, without prekeys - the device list and their identity
+// keys, refreshed every few minutes (or on demand, for a device not seen yet)
+const BUNDLE_REFRESH_MS = 5 * 60 * 1000;
+const bundleCache = new Map(); // conversationId -> { fetchedAt, bundles }
+
+export const getConversationBundles = async (conversationId, { refresh = false } = {}) => {
+  const cached = bundleCache.get(conversationId);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < BUNDLE_REFRESH_MS) {
+    return cached.bundles;
+  }
+
+  const { data } = await api.get(`/keys/conversations/${conversationId}`);
+  bundleCache.set(conversationId, { fetchedAt: Date.now(), bundles: data.bundles });
+  return data.bundles;
+};
+
+// One-time prekeys for devices we're starting a session with, by device ID
+const claimPreKeys = async (conversationId, deviceIds) => {
+  const { data } = await api.get(`/keys/conversations/${conversationId}`, {
+    params: { claim: deviceIds.join(',') },
+  });
+
+  return new Map(data.bundles.map(bundle => [bundle.deviceId, bundle.preKey]));
+};
+
+// A new sending session with a device - the ephemeral secret is dropped once the
+// shared key is derived
+const startSession = (bundle, preKey) => {
+  const ephemeral = nacl.box.keyPair();
+  const theirKey = decodeBase64((preKey ?? bundle.signedPreKey).publicKey);
+
+  return {
+    identityKey: bundle.identityKey,
+    ephemeralKey: encodeBase64(ephemeral.publicKey),
+    preKeyId: preKey ? preKey.keyId : null,
+    chainKey: encodeBase64(nacl.box.before(theirKey, ephemeral.secretKey)),
+    counter: 0,
+  };
+};
+
+// Encrypt a message for every device bundle in a conversation (see getConversationBundles)
+// Devices we have no session with (or whose identity changed) get a new one
+export const encryptMessage = (userId, conversationId, plaintext, bundles) => exclusive(async () => {
+  const state = await loadState(userId);
+  const sessions = new Map();
+
+  for (const bundle of bundles) {
+    const signedOk = nacl.sign.detached.verify(
+      decodeBase64(bundle.signedPreKey.publicKey),
+      decodeBase64(bundle.signedPreKey.signature),
+      decodeBase64(bundle.identityKey)
+    );
+    if (!signedOk) {
+      throw new Error('A key bundle has an invalid signature');
+    }
+
+    const session = await loadJson(storeKey(userId, `send.${bundle.deviceId}`));
+    if (session?.identityKey === bundle.identityKey) sessions.set(bundle.deviceId, session);
+  }
+
+  const newDeviceIds = bundles.map(b => b.deviceId).filter(id => !sessions.has(id));
+  if (newDeviceIds.length > 0) {
+    const preKeys = await claimPreKeys(conversationId, newDeviceIds);
+    for (const bundle of bundles.filter(b => newDeviceIds.includes(b.deviceId))) {
+      sessions.set(bundle.deviceId, startSession(bundle, preKeys.get(bundle.deviceId)));
+    }
+  }
+
+  const copies = [];
+  for (const bundle of bundles) {
+    const session = sessions.get(bundle.deviceId);
+    const chainKey = decodeBase64(session.chainKey);
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const ciphertext = nacl.secretbox(decodeUTF8(plaintext), nonce, deriveKey(chainKey, 1));
+
+    const copy = {
+      deviceId: bundle.deviceId,
+      ciphertext: encodeBase64(ciphertext),
+      nonce: encodeBase64(nonce),
+      ephemeralKey: session.ephemeralKey,
+      preKeyId: session.preKeyId,
+      counter: session.counter,
+    };
+    copy.signature = encodeBase64(nacl.sign.detached(signedData(conversationId, copy), decodeBase64(state.identitySecret)));
+    copies.push(copy);
+
+    await saveJson(storeKey(userId, `send.${bundle.deviceId}`), {
+      ...session,
+      chainKey: encodeBase64(deriveKey(chainKey, 2)),
+      counter: session.counter + 1,
+    });
+  }
+
+  return copies;
+});
+
+// The message key for a received copy, moving its session forward (and starting
+// the session, consuming the one-time prekey, on its first copy)
+const takeMessageKey = async (state, senderDeviceId, copy) => {
+  const { userId } = state;
+  const sessionsKey = storeKey(userId, `receive.${senderDeviceId}`);
+  const sessions = (await loadJson(sessionsKey)) ?? {};
+  let session = sessions[copy.ephemeralKey];
+  let consumedPreKey = null;
+
+  if (!session) {
+    const secret = copy.preKeyId == null
+      ? state.signedPreKeySecret
+      : await SecureStore.getItemAsync(storeKey(userId, `prekey.${copy.preKeyId}`));
+    if (!secret) return null;
+
+    session = {
+      chainKey: encodeBase64(nacl.box.before(decodeBase64(copy.ephemeralKey), decodeBase64(secret))),
+      counter: 0,
+      skipped: {},
+    };
+    consumedPreKey = copy.preKeyId;
+  }
+
+  let messageKey = null;
+
+  if (copy.counter < session.counter) {
+    messageKey = session.skipped[copy.counter] ?? null;
+    delete session.skipped[copy.counter];
+  } else if (copy.counter - session.counter <= MAX_CHAIN_GAP) {
+    let chainKey = decodeBase64(session.chainKey);
+    for (let n = session.counter; n < copy.counter; n++) {
+      session.skipped[n] = encodeBase64(deriveKey(chainKey, 1));
+      chainKey = deriveKey(chainKey, 2);
+    }
+    messageKey = encodeBase64(deriveKey(chainKey, 1));
+
+    const skipped = Object.keys(session.skipped).map(Number).sort((a, b) => a - b).slice(-MAX_SKIPPED_KEYS);
+    session = {
+      chainKey: encodeBase64(deriveKey(chainKey, 2)),
+      counter: copy.counter + 1,
+      skipped: Object.fromEntries(skipped.map(n => [n, session.skipped[n]])),
+    };
+  }
+
+  // Newest session last, older ones dropped
+  delete sessions[copy.ephemeralKey];
+  sessions[copy.ephemeralKey] = session;
+  const kept = Object.keys(sessions).slice(-MAX_RECEIVE_SESSIONS);
+  await saveJson(sessionsKey, Object.fromEntries(kept.map(key => [key, sessions[key]])));
+
+  // The one-time prekey has done its job - deleted, and replaced on the server
+  if (consumedPreKey != null) {
+    await SecureStore.deleteItemAsync(storeKey(userId, `prekey.${consumedPreKey}`));
+    replenishPreKeys(userId);
+  }
+
+  return messageKey && decodeBase64(messageKey);
+};
+
+// Decrypted messages are kept on the device (sealed with a local key), since the
+// keys that decrypted them are gone
+const plaintextKey = (userId, messageId) => storeKey(userId, `message.${messageId}`);
+
+const loadPlaintext = async (state, messageId) => {
+  const value = state.localKey && await AsyncStorage.getItem(plaintextKey(state.userId, messageId));
+  if (!value) return null;
+
+  const { nonce, box } = JSON.parse(value);
+  const plaintext = nacl.secretbox.open(decodeBase64(box), decodeBase64(nonce), decodeBase64(state.localKey));
+  return plaintext ? encodeUTF8(plaintext) : null;
+};
+
+const savePlaintext = async (state, messageId, text) => {
+  if (!state.localKey) return;
+
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const box = nacl.secretbox(decodeUTF8(text), nonce, decodeBase64(state.localKey));
+  await AsyncStorage.setItem(plaintextKey(state.userId, messageId), JSON.stringify({
+    nonce: encodeBase64(nonce),
+    box: encodeBase64(box),
+  }));
+};
+
+// The identity key of the device that sent a message, from the conversation's bundles
+const senderIdentityKey = async (message) => {
+  const find = bundles => bundles.find(b => b.deviceId === message.senderDeviceId && b.userId === message.senderId);
+
+  const bundle = find(await getConversationBundles(message.conversationId))
+    ?? find(await getConversationBundles(message.conversationId, { refresh: true }));
+  return bundle?.identityKey ?? null;
+};
+
+// Decrypt this device's copy of a message - null if there isn't one, it isn't
+// signed by the sending device or it can't be opened
+export const decryptMessage = (userId, message) => exclusive(async () => {
+  const state = await loadState(userId);
+  if (!state) return null;
+
+  const stored = await loadPlaintext(state, message.id);
+  if (stored !== null) return stored;
+
+  const copy = message.ciphertexts?.find(c => c.deviceId === state.deviceId);
+  if (!copy || !copy.signature || !message.senderDeviceId) return null;
+
+  const identityKey = await senderIdentityKey(message);
+  const signedOk = identityKey && nacl.sign.detached.verify(
+    signedData(message.conversationId, copy),
+    decodeBase64(copy.signature),
+    decodeBase64(identityKey)
+  );
+  if (!signedOk) return null;
+
+  const messageKey = await takeMessageKey(state, message.senderDeviceId, copy);
+  if (!messageKey) return null;
+
+  const plaintext = nacl.secretbox.open(decodeBase64(copy.ciphertext), decodeBase64(copy.nonce), messageKey);
+  if (!plaintext) return null;
+
+  const text = encodeUTF8(plaintext);
+  await savePlaintext(state, message.id, text);
+  return text;
+});
@@ -7,6 +7,7 @@ import { useAuth } from '../context/AuthContext';
 // Auth Screens
 import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';
+import ForgotPasswordScreen from '../screens/auth/ForgotPasswordScreen';
 
 // Main Screens
 import DiscoverScreen from '../screens/main/DiscoverScreen';
@@ -14,6 +15,7 @@ import MapScreen from '../screens/main/MapScreen';
 import MessagesScreen from '../screens/main/MessagesScreen';
 import ProfileScreen from '../screens/main/ProfileScreen';
 import BeaconsScreen from '../screens/main/BeaconsScreen';
+import NotificationsScreen from '../screens/notifications/NotificationsScreen';
 
 // Detail Screens
 import ChatScreen from '../screens/chat/ChatScreen';
@@ -25,6 +27,8 @@ const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
 const MainTabs = () => {
+  const { unreadNotifications } = useAuth();
+
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -39,6 +43,8 @@ const MainTabs = () => {
             iconName = focused ? 'radio' : 'radio-outline';
           } else if (route.name === 'Messages') {
             iconName = focused ? 'chatbubbles' : 'chatbubbles-outline';
+          } else if (route.name === 'Notifications') {
+            iconName = focused ? 'notifications' : 'notifications-outline';
           } else if (route.name === 'Profile') {
             iconName = focused ? 'person' : 'person-outline';
           }
@@ -54,6 +60,11 @@ const MainTabs = () => {
       <Tab.Screen name="Map" component={MapScreen} />
       <Tab.Screen name="Beacons" component={BeaconsScreen} />
       <Tab.Screen name="Messages" component={MessagesScreen} />
+      <Tab.Screen
+        name="Notifications"
+        component={NotificationsScreen}
+        options={{ tabBarBadge: unreadNotifications > 0 ? unreadNotifications : undefined }}
+      />
       <Tab.Screen name="Profile" component={ProfileScreen} />
     </Tab.Navigator>
   );
@@ -68,6 +79,7 @@ const AuthStack = () => {
     >
       <Stack.Screen name="Login" component={LoginScreen} />
       <Stack.Screen name="Register" component={RegisterScreen} />
+      <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
     </Stack.Navigator>
   );
 };
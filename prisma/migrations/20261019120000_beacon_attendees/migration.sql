@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Beacon" ADD COLUMN "maxAttendees" INTEGER;
+
+-- CreateTable
+CREATE TABLE "BeaconAttendee" (
+    "id" TEXT NOT NULL,
+    "beaconId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BeaconAttendee_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BeaconAttendee_userId_idx" ON "BeaconAttendee"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BeaconAttendee_beaconId_userId_key" ON "BeaconAttendee"("beaconId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "BeaconAttendee" ADD CONSTRAINT "BeaconAttendee_beaconId_fkey" FOREIGN KEY ("beaconId") REFERENCES "Beacon"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BeaconAttendee" ADD CONSTRAINT "BeaconAttendee_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
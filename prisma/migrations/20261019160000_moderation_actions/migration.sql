@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "bannedAt" TIMESTAMP(3),
+ADD COLUMN     "suspendedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "hidden" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "ModerationAction" (
+    "id" TEXT NOT NULL,
+    "moderatorId" TEXT NOT NULL,
+    "reportId" TEXT,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "targetUserId" TEXT,
+    "note" TEXT,
+    "durationDays" INTEGER,
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ModerationAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ModerationAction_targetUserId_createdAt_idx" ON "ModerationAction"("targetUserId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ModerationAction_reportId_idx" ON "ModerationAction"("reportId");
+
+-- CreateIndex
+CREATE INDEX "ModerationAction_moderatorId_idx" ON "ModerationAction"("moderatorId");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "PrivacySettings" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "profileVisibility" TEXT NOT NULL DEFAULT 'public',
+    "showLocation" BOOLEAN NOT NULL DEFAULT true,
+    "showOnlineStatus" BOOLEAN NOT NULL DEFAULT true,
+    "allowMessages" TEXT NOT NULL DEFAULT 'everyone',
+    "showAge" BOOLEAN NOT NULL DEFAULT true,
+    "analytics" BOOLEAN NOT NULL DEFAULT true,
+    "locationHistory" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PrivacySettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PrivacySettings_userId_key" ON "PrivacySettings"("userId");
+
+-- AddForeignKey
+ALTER TABLE "PrivacySettings" ADD CONSTRAINT "PrivacySettings_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
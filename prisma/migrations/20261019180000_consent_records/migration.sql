@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "ConsentRecord" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "accepted" BOOLEAN NOT NULL,
+    "policyVersion" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConsentRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConsentRecord_userId_category_createdAt_idx" ON "ConsentRecord"("userId", "category", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ConsentRecord" ADD CONSTRAINT "ConsentRecord_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Ledger is append-only: rows may be inserted (and removed with the user), never changed
+CREATE OR REPLACE FUNCTION reject_consent_record_update() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'ConsentRecord is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER consent_record_append_only BEFORE UPDATE ON "ConsentRecord"
+FOR EACH ROW EXECUTE FUNCTION reject_consent_record_update();
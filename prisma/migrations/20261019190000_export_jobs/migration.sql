@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "ExportJob" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "format" TEXT NOT NULL DEFAULT 'json',
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "storageKey" TEXT,
+    "sizeBytes" INTEGER,
+    "error" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ExportJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExportJob_userId_createdAt_idx" ON "ExportJob"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ExportJob_status_idx" ON "ExportJob"("status");
+
+-- AddForeignKey
+ALTER TABLE "ExportJob" ADD CONSTRAINT "ExportJob_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
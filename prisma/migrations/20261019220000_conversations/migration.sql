@@ -0,0 +1,100 @@
+-- CreateTable
+CREATE TABLE "Conversation" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "name" TEXT,
+    "directKey" TEXT,
+    "beaconId" TEXT,
+    "createdById" TEXT,
+    "lastMessageAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Conversation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ConversationParticipant" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'member',
+    "lastReadAt" TIMESTAMP(3),
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConversationParticipant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Conversation_directKey_key" ON "Conversation"("directKey");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Conversation_beaconId_key" ON "Conversation"("beaconId");
+
+-- CreateIndex
+CREATE INDEX "Conversation_lastMessageAt_idx" ON "Conversation"("lastMessageAt");
+
+-- CreateIndex
+CREATE INDEX "ConversationParticipant_userId_idx" ON "ConversationParticipant"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConversationParticipant_conversationId_userId_key" ON "ConversationParticipant"("conversationId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_beaconId_fkey" FOREIGN KEY ("beaconId") REFERENCES "Beacon"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationParticipant" ADD CONSTRAINT "ConversationParticipant_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationParticipant" ADD CONSTRAINT "ConversationParticipant_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AlterTable: group messages have no single recipient
+ALTER TABLE "Message" ADD COLUMN "conversationId" TEXT;
+ALTER TABLE "Message" ALTER COLUMN "recipientId" DROP NOT NULL;
+
+-- Migrate existing 1:1 history: one direct conversation per user pair
+INSERT INTO "Conversation" ("id", "type", "directKey", "lastMessageAt", "createdAt", "updatedAt")
+SELECT
+    gen_random_uuid()::text,
+    'direct',
+    pair."directKey",
+    MAX(pair."createdAt"),
+    MIN(pair."createdAt"),
+    CURRENT_TIMESTAMP
+FROM (
+    SELECT
+        LEAST("senderId", "recipientId") || ':' || GREATEST("senderId", "recipientId") AS "directKey",
+        "createdAt"
+    FROM "Message"
+) pair
+GROUP BY pair."directKey";
+
+INSERT INTO "ConversationParticipant" ("id", "conversationId", "userId", "joinedAt")
+SELECT gen_random_uuid()::text, c."id", split_part(c."directKey", ':', n), c."createdAt"
+FROM "Conversation" c
+CROSS JOIN (VALUES (1), (2)) AS side(n)
+WHERE c."type" = 'direct';
+
+UPDATE "Message" m
+SET "conversationId" = c."id"
+FROM "Conversation" c
+WHERE c."directKey" = LEAST(m."senderId", m."recipientId") || ':' || GREATEST(m."senderId", m."recipientId");
+
+ALTER TABLE "Message" ALTER COLUMN "conversationId" SET NOT NULL;
+
+-- Chat rooms for existing beacons with the host as admin (attendees join from the app)
+INSERT INTO "Conversation" ("id", "type", "beaconId", "createdById", "createdAt", "updatedAt")
+SELECT gen_random_uuid()::text, 'beacon', b."id", b."userId", b."createdAt", CURRENT_TIMESTAMP
+FROM "Beacon" b;
+
+INSERT INTO "ConversationParticipant" ("id", "conversationId", "userId", "role", "joinedAt")
+SELECT gen_random_uuid()::text, c."id", b."userId", 'admin', b."createdAt"
+FROM "Conversation" c
+JOIN "Beacon" b ON b."id" = c."beaconId";
+
+-- CreateIndex
+CREATE INDEX "Message_conversationId_createdAt_idx" ON "Message"("conversationId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
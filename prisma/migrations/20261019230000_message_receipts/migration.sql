@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "deliveredAt" TIMESTAMP(3),
+ADD COLUMN "readAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "ConversationParticipant" ADD COLUMN "lastDeliveredAt" TIMESTAMP(3);
+
+-- Messages already read have no recorded time; use when they were sent
+UPDATE "Message" SET "readAt" = "createdAt", "deliveredAt" = "createdAt" WHERE "read" = true;
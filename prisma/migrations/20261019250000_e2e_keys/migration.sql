@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "identityKey" TEXT,
+ADD COLUMN "signedPreKeyId" INTEGER,
+ADD COLUMN "signedPreKey" TEXT,
+ADD COLUMN "signedPreKeySignature" TEXT,
+ADD COLUMN "keysUpdatedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "encrypted" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "DevicePreKey" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "keyId" INTEGER NOT NULL,
+    "publicKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DevicePreKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MessageCiphertext" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "ciphertext" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "ephemeralKey" TEXT NOT NULL,
+    "preKeyId" INTEGER,
+
+    CONSTRAINT "MessageCiphertext_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DevicePreKey_deviceId_keyId_key" ON "DevicePreKey"("deviceId", "keyId");
+
+-- CreateIndex
+CREATE INDEX "MessageCiphertext_deviceId_idx" ON "MessageCiphertext"("deviceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MessageCiphertext_messageId_deviceId_key" ON "MessageCiphertext"("messageId", "deviceId");
+
+-- AddForeignKey
+ALTER TABLE "DevicePreKey" ADD CONSTRAINT "DevicePreKey_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageCiphertext" ADD CONSTRAINT "MessageCiphertext_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageCiphertext" ADD CONSTRAINT "MessageCiphertext_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- Attachments were never checked, so drop references to assets that don't exist
+UPDATE "Message" m SET "mediaId" = NULL
+WHERE m."mediaId" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "MediaAsset" a WHERE a.id = m."mediaId");
+
+-- CreateIndex
+CREATE INDEX "Message_mediaId_idx" ON "Message"("mediaId");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "MediaAsset"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "pushToken" TEXT,
+ADD COLUMN "pushProvider" TEXT,
+ADD COLUMN "pushTokenUpdatedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "NotificationSettings" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "messages" BOOLEAN NOT NULL DEFAULT true,
+    "beaconJoins" BOOLEAN NOT NULL DEFAULT true,
+    "moderation" BOOLEAN NOT NULL DEFAULT true,
+    "quietHoursStart" INTEGER,
+    "quietHoursEnd" INTEGER,
+    "timeZone" TEXT NOT NULL DEFAULT 'UTC',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Device_pushToken_key" ON "Device"("pushToken");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationSettings_userId_key" ON "NotificationSettings"("userId");
+
+-- AddForeignKey
+ALTER TABLE "NotificationSettings" ADD CONSTRAINT "NotificationSettings_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "PrivacySettings" ADD COLUMN "hideDistance" BOOLEAN NOT NULL DEFAULT false;
+
+-- Reduce stored user locations to 3 decimal places (~100m), as the API now stores them
+-- (the geo trigger recomputes the geography column)
+UPDATE "User"
+SET "lat" = ROUND("lat"::numeric, 3)::double precision,
+    "lng" = ROUND("lng"::numeric, 3)::double precision
+WHERE "lat" IS NOT NULL AND "lng" IS NOT NULL;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "senderDeviceId" TEXT;
+
+-- AlterTable
+ALTER TABLE "MessageCiphertext" ADD COLUMN "counter" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "signature" TEXT;
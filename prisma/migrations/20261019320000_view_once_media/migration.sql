@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "MediaAsset" ADD COLUMN "viewOnce" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,2 @@
+-- CreateExtension (HMAC for keyed location fuzzing)
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
@@ -14,6 +14,7 @@ async function main() {
   await prisma.spot.deleteMany();
   await prisma.beacon.deleteMany();
   await prisma.message.deleteMany();
+  await prisma.conversation.deleteMany();
   await prisma.session.deleteMany();
   await prisma.device.deleteMany();
   await prisma.subscription.deleteMany();
@@ -38,6 +39,7 @@ async function main() {
         lat: 40.7128,
         lng: -74.0060,
         isVerified: true,
+        role: 'admin',
         reputation: 85
       }
     }),
@@ -229,11 +231,61 @@ async function main() {
 
   console.log(`Created ${spots.length} spots`);
 
+  // Create beacon chat rooms (host as admin)
+  await Promise.all(beacons.map(beacon =>
+    prisma.conversation.create({
+      data: {
+        type: 'beacon',
+        beaconId: beacon.id,
+        createdById: beacon.userId,
+        participants: {
+          create: [{ userId: beacon.userId, role: 'admin' }]
+        }
+      }
+    })
+  ));
+
+  // Create direct conversations
+  console.log('Creating conversations...');
+  const directConversation = (a, b) => prisma.conversation.create({
+    data: {
+      type: 'direct',
+      directKey: [a.id, b.id].sort().join(':'),
+      createdById: a.id,
+      lastMessageAt: new Date(),
+      participants: {
+        create: [{ userId: a.id }, { userId: b.id }]
+      }
+    }
+  });
+
+  const [aliceBob, carolDave] = await Promise.all([
+    directConversation(users[0], users[1]),
+    directConversation(users[2], users[3])
+  ]);
+
+  const group = await prisma.conversation.create({
+    data: {
+      type: 'group',
+      name: 'Weekend plans',
+      createdById: users[0].id,
+      lastMessageAt: new Date(),
+      participants: {
+        create: [
+          { userId: users[0].id, role: 'admin' },
+          { userId: users[1].id },
+          { userId: users[2].id }
+        ]
+      }
+    }
+  });
+
   // Create messages
   console.log('Creating messages...');
   const messages = await Promise.all([
     prisma.message.create({
       data: {
+        conversationId: aliceBob.id,
         senderId: users[0].id,
         recipientId: users[1].id,
         content: 'Hey! Saw your gaming beacon. What are you playing?'
@@ -241,6 +293,7 @@ async function main() {
     }),
     prisma.message.create({
       data: {
+        conversationId: aliceBob.id,
         senderId: users[1].id,
         recipientId: users[0].id,
         content: 'Just started a new RPG. Want to join?'
@@ -248,10 +301,18 @@ async function main() {
     }),
     prisma.message.create({
       data: {
+        conversationId: carolDave.id,
         senderId: users[2].id,
         recipientId: users[3].id,
         content: 'Love your art! Do you do commissions?'
       }
+    }),
+    prisma.message.create({
+      data: {
+        conversationId: group.id,
+        senderId: users[0].id,
+        content: 'Anyone up for brunch on Saturday?'
+      }
     })
   ]);
 
@@ -304,6 +365,7 @@ async function main() {
   console.log('\nSample credentials:');
   console.log('Email: alice@example.com');
   console.log('Password: password123');
+  console.log('Role: admin (promote others with: npm run admin:promote -- <email> [role])');
   console.log('\nOther users: bob@example.com, charlie@example.com, diana@example.com, evan@example.com');
   console.log('All passwords: password123');
 }
@@ -0,0 +1,19 @@
+import { AccountService } from '../services/AccountService.js';
+import { logger } from '../utils/logger.js';
+
+const accountService = new AccountService();
+
+/**
+ * Purge accounts whose deletion grace period has ended
+ */
+export const runAccountPurge = async () => {
+  const { due, purged } = await accountService.purgeDueAccounts();
+
+  if (due > 0) {
+    logger.info({ due, purged }, 'Account purge run completed');
+  }
+
+  return { due, purged };
+};
+
+export default runAccountPurge;
@@ -0,0 +1,88 @@
+import { PrismaClient } from '@prisma/client';
+import { JobScheduler } from './scheduler.js';
+import { runAccountPurge } from './accountPurge.js';
+import { AuthService } from '../services/AuthService.js';
+import { MessageService } from '../services/MessageService.js';
+import { DataExportService } from '../services/DataExportService.js';
+import { NotificationService } from '../services/NotificationService.js';
+import { logger } from '../utils/logger.js';
+
+const prisma = new PrismaClient();
+
+const authService = new AuthService();
+const messageService = new MessageService();
+const dataExportService = new DataExportService();
+const notificationService = new NotificationService();
+
+const JOB_RUN_RETENTION_DAYS = 30;
+
+export const scheduler = new JobScheduler();
+
+scheduler
+  .register({
+    name: 'session-cleanup',
+    schedule: '0 * * * *',
+    description: 'Delete expired sessions',
+    handler: async () => ({ deleted: await authService.cleanupExpiredSessions() })
+  })
+  .register({
+    name: 'view-once-cleanup',
+    schedule: '*/5 * * * *',
+    description: 'Delete expired view-once messages',
+    handler: async () => ({ deleted: await messageService.cleanupExpiredMessages() })
+  })
+  .register({
+    name: 'beacon-expiry',
+    schedule: '* * * * *',
+    description: 'Deactivate beacons past their expiry time',
+    timeoutMs: 60 * 1000,
+    handler: async () => {
+      const result = await prisma.beacon.updateMany({
+        where: {
+          active: true,
+          expiresAt: { lte: new Date() }
+        },
+        data: { active: false }
+      });
+
+      if (result.count > 0) {
+        logger.info({ count: result.count }, 'Expired beacons deactivated');
+      }
+
+      return { deactivated: result.count };
+    }
+  })
+  .register({
+    name: 'account-purge',
+    schedule: '15 * * * *',
+    description: 'Permanently delete accounts whose deletion grace period has ended',
+    timeoutMs: 30 * 60 * 1000,
+    handler: runAccountPurge
+  })
+  .register({
+    name: 'data-export-resume',
+    schedule: '*/5 * * * *',
+    description: 'Run data export jobs left pending or stuck by a restart',
+    timeoutMs: 60 * 60 * 1000,
+    handler: async () => ({ processed: await dataExportService.processPendingJobs() })
+  })
+  .register({
+    name: 'data-export-purge',
+    schedule: '30 * * * *',
+    description: 'Delete data export archives whose download window has passed',
+    handler: async () => ({ deleted: await dataExportService.purgeExpiredExports() })
+  })
+  .register({
+    name: 'notification-cleanup',
+    schedule: '45 2 * * *',
+    description: `Delete notifications older than ${notificationService.RETENTION_DAYS} days`,
+    handler: async () => ({ deleted: await notificationService.cleanupOldNotifications() })
+  })
+  .register({
+    name: 'job-run-cleanup',
+    schedule: '0 3 * * *',
+    description: `Delete job run history older than ${JOB_RUN_RETENTION_DAYS} days`,
+    handler: async () => ({ deleted: await scheduler.pruneRuns(JOB_RUN_RETENTION_DAYS) })
+  });
+
+export default scheduler;
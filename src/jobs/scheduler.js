@@ -0,0 +1,341 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import cronParser from 'cron-parser';
+import { PrismaClient } from '@prisma/client';
+import { ConflictError, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { jobRuns, jobDuration, jobLastSuccess } from '../utils/metrics.js';
+
+const prisma = new PrismaClient();
+
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * In-process cron scheduler
+ *
+ * Every instance runs the timers, but a job only executes on the instance that
+ * wins its JobLock lease. Each scheduled slot is claimed at most once, so a job
+ * never runs twice for the same tick even when instances fire at the same time.
+ */
+export class JobScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.enabled = process.env.JOBS_ENABLED !== 'false';
+    this.DEFAULT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job
+   * schedule is a five-field cron expression evaluated in UTC
+   * timeoutMs bounds how long the lease is held if the instance dies mid-run
+   */
+  register({ name, schedule, description, handler, timeoutMs = this.DEFAULT_TIMEOUT_MS }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    // Throws on an invalid expression
+    cronParser.parseExpression(schedule, { utc: true });
+
+    this.jobs.set(name, { name, schedule, description, handler, timeoutMs });
+
+    if (this.started) {
+      this.scheduleNext(name);
+    }
+
+    return this;
+  }
+
+  /**
+   * Start the timers for every registered job
+   */
+  start() {
+    if (!this.enabled) {
+      logger.info('Job scheduler disabled (JOBS_ENABLED=false)');
+      return;
+    }
+
+    if (this.started) return;
+    this.started = true;
+
+    for (const name of this.jobs.keys()) {
+      this.scheduleNext(name);
+    }
+
+    logger.info({ instanceId: this.instanceId, jobs: [...this.jobs.keys()] }, 'Job scheduler started');
+  }
+
+  /**
+   * Stop the timers (runs already in progress finish on their own)
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+
+    this.timers.clear();
+    this.started = false;
+  }
+
+  /**
+   * Next scheduled time for a job after the given date
+   */
+  nextSlot(job, after = new Date()) {
+    return cronParser.parseExpression(job.schedule, { currentDate: after, utc: true }).next().toDate();
+  }
+
+  /**
+   * Arm the timer for a job's next slot
+   */
+  scheduleNext(name) {
+    const job = this.jobs.get(name);
+    const slot = this.nextSlot(job);
+    const delay = slot.getTime() - Date.now();
+
+    const timer = setTimeout(() => {
+      // Long delays are split into several timers
+      if (delay > MAX_TIMER_MS) {
+        this.scheduleNext(name);
+        return;
+      }
+
+      this.execute(job, { trigger: 'schedule', slot })
+        .then(started => started?.done)
+        .catch(err => {
+          logger.error({ err, job: name }, 'Scheduled job failed to start');
+        })
+        .finally(() => {
+          if (this.started) {
+            this.scheduleNext(name);
+          }
+        });
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_MS));
+
+    timer.unref();
+    this.timers.set(name, timer);
+  }
+
+  /**
+   * Take the job's lease
+   * Scheduled runs also require the slot to be newer than the last one claimed
+   */
+  async acquireLock(job, { trigger, slot }) {
+    const scheduled = trigger === 'schedule';
+    const claimedSlot = scheduled ? slot : new Date(0);
+
+    const rows = await prisma.$queryRaw`
+      INSERT INTO "JobLock" ("name", "owner", "lockedUntil", "lastSlot", "updatedAt")
+      VALUES (
+        ${job.name},
+        ${this.instanceId},
+        NOW() + ${job.timeoutMs} * INTERVAL '1 millisecond',
+        ${claimedSlot},
+        NOW()
+      )
+      ON CONFLICT ("name") DO UPDATE SET
+        "owner" = EXCLUDED."owner",
+        "lockedUntil" = EXCLUDED."lockedUntil",
+        "lastSlot" = GREATEST("JobLock"."lastSlot", EXCLUDED."lastSlot"),
+        "updatedAt" = NOW()
+      WHERE "JobLock"."lockedUntil" < NOW()
+        AND (${!scheduled} OR "JobLock"."lastSlot" < EXCLUDED."lastSlot")
+      RETURNING "name"
+    `;
+
+    return rows.length > 0;
+  }
+
+  /**
+   * Release the lease if this instance still holds it
+   */
+  async releaseLock(name) {
+    await prisma.jobLock.updateMany({
+      where: { name, owner: this.instanceId },
+      data: { lockedUntil: new Date() }
+    });
+  }
+
+  /**
+   * Run a job if its lease can be taken
+   * Returns null when another run holds the lease, otherwise the run record
+   * and a promise that settles when the handler finishes
+   */
+  async execute(job, { trigger, slot, triggeredBy = null }) {
+    const acquired = await this.acquireLock(job, { trigger, slot });
+
+    if (!acquired) {
+      logger.debug({ job: job.name, trigger }, 'Job lease held elsewhere, skipping run');
+      return null;
+    }
+
+    let run;
+    try {
+      run = await prisma.jobRun.create({
+        data: {
+          job: job.name,
+          trigger,
+          instanceId: this.instanceId,
+          triggeredBy
+        }
+      });
+    } catch (err) {
+      await this.releaseLock(job.name);
+      throw err;
+    }
+
+    const done = this.runHandler(job, run);
+
+    return { run, done };
+  }
+
+  /**
+   * Invoke the handler and record the outcome
+   */
+  async runHandler(job, run) {
+    const start = Date.now();
+    let status = 'succeeded';
+    let result = null;
+    let error = null;
+
+    try {
+      result = await job.handler();
+    } catch (err) {
+      status = 'failed';
+      error = err.message;
+      logger.error({ err, job: job.name, runId: run.id }, 'Job run failed');
+    }
+
+    const durationMs = Date.now() - start;
+
+    jobRuns.labels(job.name, run.trigger, status).inc();
+    jobDuration.labels(job.name, status).observe(durationMs / 1000);
+    if (status === 'succeeded') {
+      jobLastSuccess.labels(job.name).set(Date.now() / 1000);
+    }
+
+    try {
+      await prisma.jobRun.update({
+        where: { id: run.id },
+        data: {
+          status,
+          // Handlers return counts or small summaries
+          result: result ?? undefined,
+          error,
+          finishedAt: new Date(),
+          durationMs
+        }
+      });
+    } catch (err) {
+      logger.error({ err, job: job.name, runId: run.id }, 'Failed to record job run');
+    } finally {
+      await this.releaseLock(job.name).catch(err => {
+        logger.error({ err, job: job.name }, 'Failed to release job lease');
+      });
+    }
+
+    logger.info({ job: job.name, runId: run.id, trigger: run.trigger, status, durationMs }, 'Job run finished');
+  }
+
+  /**
+   * Trigger a job by hand - resolves once the run has started
+   */
+  async runNow(name, triggeredBy = null) {
+    const job = this.getJob(name);
+
+    const started = await this.execute(job, { trigger: 'manual', triggeredBy });
+
+    if (!started) {
+      throw new ConflictError(`Job ${name} is already running`);
+    }
+
+    return started.run;
+  }
+
+  /**
+   * Look up a registered job
+   */
+  getJob(name) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw new NotFoundError(`Job not found: ${name}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Registered jobs with their lease and latest run
+   */
+  async list() {
+    const names = [...this.jobs.keys()];
+
+    const [locks, lastRuns] = await Promise.all([
+      prisma.jobLock.findMany({
+        where: { name: { in: names } }
+      }),
+      prisma.jobRun.findMany({
+        where: { job: { in: names } },
+        orderBy: { startedAt: 'desc' },
+        distinct: ['job']
+      })
+    ]);
+
+    const lockByName = Object.fromEntries(locks.map(lock => [lock.name, lock]));
+    const runByName = Object.fromEntries(lastRuns.map(run => [run.job, run]));
+    const now = new Date();
+
+    return names.map(name => {
+      const job = this.jobs.get(name);
+      const lock = lockByName[name];
+
+      return {
+        name,
+        schedule: job.schedule,
+        description: job.description,
+        nextRunAt: this.enabled ? this.nextSlot(job) : null,
+        running: Boolean(lock && lock.lockedUntil > now),
+        lockedBy: lock && lock.lockedUntil > now ? lock.owner : null,
+        lastRun: runByName[name] || null
+      };
+    });
+  }
+
+  /**
+   * Run history for a job (newest first)
+   */
+  async getRuns(name, { limit = 20 } = {}) {
+    this.getJob(name);
+
+    const take = parseInt(limit);
+    if (isNaN(take) || take < 1 || take > 100) {
+      throw new ValidationError('Limit must be between 1 and 100');
+    }
+
+    return prisma.jobRun.findMany({
+      where: { job: name },
+      orderBy: { startedAt: 'desc' },
+      take
+    });
+  }
+
+  /**
+   * Delete run history older than the given number of days
+   */
+  async pruneRuns(retentionDays) {
+    const result = await prisma.jobRun.deleteMany({
+      where: {
+        startedAt: { lt: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) },
+        status: { not: 'running' }
+      }
+    });
+
+    return result.count;
+  }
+}
+
+export default JobScheduler;
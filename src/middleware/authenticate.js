@@ -2,6 +2,9 @@ import jwt from 'jsonwebtoken';
 import { UnauthorizedError } from './errorHandler.js';
 import { authFailures } from '../utils/metrics.js';
 import { logger } from '../utils/logger.js';
+import { ModerationService } from '../services/ModerationService.js';
+
+const moderationService = new ModerationService();
 
 /**
  * Middleware to authenticate JWT access tokens
@@ -51,8 +54,17 @@ export const authenticate = async (req, res, next) => {
       throw new UnauthorizedError('Invalid token type');
     }
 
-    // Add user ID to request
+    // Suspended and banned accounts lose access immediately, not at token expiry
+    const restriction = await moderationService.getRestriction(payload.sub);
+    if (restriction) {
+      authFailures.labels(`account_${restriction.type}`).inc();
+      return res.status(403).json(moderationService.describeRestriction(restriction));
+    }
+
+    // Add user ID, role and device to request
     req.userId = payload.sub;
+    req.userRole = payload.role || 'user';
+    req.deviceId = payload.did;
 
     next();
   } catch (err) {
@@ -80,8 +92,10 @@ export const optionalAuthenticate = async (req, res, next) => {
 
     const payload = jwt.verify(token, process.env.JWT_SECRET);
 
-    if (payload.type === 'access') {
+    if (payload.type === 'access' && !(await moderationService.getRestriction(payload.sub))) {
       req.userId = payload.sub;
+      req.userRole = payload.role || 'user';
+      req.deviceId = payload.did;
     }
 
     next();
@@ -147,40 +161,110 @@ export const requireSubscription = (...allowedPlans) => {
   };
 };
 
+export const ROLES = ['user', 'moderator', 'admin'];
+
 /**
- * Middleware to check if user is verified
+ * Middleware to require one of the given roles
+ * Usage: requireRole('moderator', 'admin')
+ * Role comes from the access token, so changes apply on the next token refresh
+ * Must be used AFTER authenticate middleware
  */
-export const requireVerified = async (req, res, next) => {
-  try {
+export const requireRole = (...allowedRoles) => {
+  const unknown = allowedRoles.filter(role => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown role: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
     if (!req.userId) {
-      throw new UnauthorizedError('Authentication required');
+      return next(new UnauthorizedError('Authentication required'));
     }
 
-    const { PrismaClient } = await import('@prisma/client');
-    const prisma = new PrismaClient();
-
-    const user = await prisma.user.findUnique({
-      where: { id: req.userId },
-      select: { isVerified: true }
-    });
-
-    await prisma.$disconnect();
-
-    if (!user) {
-      throw new UnauthorizedError('User not found');
-    }
+    if (!allowedRoles.includes(req.userRole)) {
+      logger.warn({ userId: req.userId, role: req.userRole, requiredRoles: allowedRoles, path: req.originalUrl }, 'Role check failed');
 
-    if (!user.isVerified) {
       return res.status(403).json({
-        error: 'Verification Required',
-        message: 'This action requires account verification'
+        error: 'Insufficient Permissions',
+        message: `This action requires one of: ${allowedRoles.join(', ')}`,
+        requiredRoles: allowedRoles
       });
     }
 
     next();
-  } catch (err) {
-    next(err);
+  };
+};
+
+// User flags that can gate a route, with the message shown when missing
+const verificationChecks = {
+  identity: {
+    field: 'isVerified',
+    error: 'Verification Required',
+    message: 'This action requires account verification'
+  },
+  email: {
+    field: 'emailVerified',
+    error: 'Email Verification Required',
+    message: 'Please verify your email address to continue'
   }
 };
 
+/**
+ * Middleware factory to require one or more verifications
+ * Usage: requireVerification('email') or requireVerification('identity', 'email')
+ * Must be used AFTER authenticate middleware
+ */
+export const requireVerification = (...checks) => {
+  const unknown = checks.filter(check => !verificationChecks[check]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown verification check: ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.userId) {
+        throw new UnauthorizedError('Authentication required');
+      }
+
+      const { PrismaClient } = await import('@prisma/client');
+      const prisma = new PrismaClient();
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.userId },
+        select: { isVerified: true, emailVerified: true }
+      });
+
+      await prisma.$disconnect();
+
+      if (!user) {
+        throw new UnauthorizedError('User not found');
+      }
+
+      const failed = checks
+        .map(check => verificationChecks[check])
+        .find(check => !user[check.field]);
+
+      if (failed) {
+        return res.status(403).json({
+          error: failed.error,
+          message: failed.message
+        });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+/**
+ * Middleware to check if user is verified
+ */
+export const requireVerified = requireVerification('identity');
+
+/**
+ * Middleware to check if user has verified their email address
+ */
+export const requireEmailVerified = requireVerification('email');
+
 export default authenticate;
@@ -1,3 +1,4 @@
+import http from 'http';
 import { logger } from '../utils/logger.js';
 import { apiErrors } from '../utils/metrics.js';
 
@@ -78,8 +79,16 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Other client errors raised by the app (403, 404, 409, 429) are safe to show
+  if (err instanceof AppError && statusCode < 500) {
+    return res.status(statusCode).json({
+      error: http.STATUS_CODES[statusCode],
+      message: err.message,
+      ...(err.details && { details: err.details })
+    });
+  }
+
   // Default error response
-  const statusCode = err.statusCode || 500;
   res.status(statusCode).json({
     error: isDevelopment ? err.name : 'Internal Server Error',
     message: isDevelopment ? err.message : 'An unexpected error occurred',
@@ -128,8 +137,15 @@ export class NotFoundError extends AppError {
 }
 
 export class ConflictError extends AppError {
-  constructor(message = 'Resource already exists') {
-    super(message, 409);
+  constructor(message = 'Resource already exists', details = null) {
+    super(message, 409, details);
     this.name = 'ConflictError';
   }
 }
+
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', retryAfterSeconds = null) {
+    super(message, 429, retryAfterSeconds ? { retryAfterSeconds } : null);
+    this.name = 'TooManyRequestsError';
+  }
+}
@@ -0,0 +1,66 @@
+import express from 'express';
+import { authenticate, requireRole } from '../middleware/authenticate.js';
+import { logger } from '../utils/logger.js';
+import { scheduler } from '../jobs/index.js';
+
+export const router = express.Router();
+
+// Every admin route requires an admin
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * GET /api/admin/jobs
+ * List scheduled jobs with their next and last runs
+ */
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const jobs = await scheduler.list();
+
+    res.json({
+      success: true,
+      schedulerEnabled: scheduler.enabled,
+      instanceId: scheduler.instanceId,
+      jobs
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Trigger a job immediately
+ */
+router.post('/jobs/:name/run', async (req, res, next) => {
+  try {
+    const run = await scheduler.runNow(req.params.name, req.userId);
+
+    logger.info({ job: req.params.name, runId: run.id, adminId: req.userId }, 'Job triggered manually');
+
+    res.status(202).json({
+      success: true,
+      run
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Run history for a job
+ */
+router.get('/jobs/:name/runs', async (req, res, next) => {
+  try {
+    const runs = await scheduler.getRuns(req.params.name, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      runs
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
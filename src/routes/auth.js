@@ -1,10 +1,23 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import { AuthService } from '../services/AuthService.js';
+import { EmailVerificationService } from '../services/EmailVerificationService.js';
 import { authenticate } from '../middleware/authenticate.js';
 import { ValidationError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
 
 export const router = express.Router();
 const authService = new AuthService();
+const emailVerificationService = new EmailVerificationService();
+
+// Stricter limit for password reset requests (per IP)
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many password reset requests, please try again later.'
+});
 
 /**
  * POST /api/auth/register
@@ -16,10 +29,15 @@ router.post('/register', async (req, res, next) => {
 
     const user = await authService.register(email, password, displayName, age);
 
+    // Don't fail registration if the verification email can't be sent
+    emailVerificationService.sendVerification(user.id).catch(err => {
+      logger.error({ err, userId: user.id }, 'Failed to send verification email');
+    });
+
     res.status(201).json({
       success: true,
       user,
-      message: 'Registration successful. Please log in.'
+      message: 'Registration successful. Check your email to verify your address, then log in.'
     });
   } catch (err) {
     next(err);
@@ -78,6 +96,75 @@ router.post('/verify-2fa', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/auth/2fa/setup
+ * Generate a TOTP secret and otpauth URI for authenticator apps
+ * Requires authentication
+ */
+router.post('/2fa/setup', authenticate, async (req, res, next) => {
+  try {
+    const { secret, otpauthUrl } = await authService.setup2FA(req.userId);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      message: 'Scan the code with your authenticator app, then confirm with a code'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm 2FA enrollment with a first code
+ * Requires authentication
+ */
+router.post('/2fa/enable', authenticate, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new ValidationError('2FA code is required');
+    }
+
+    const { recoveryCodes } = await authService.enable2FA(req.userId, code);
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: '2FA enabled. Store these recovery codes somewhere safe - they will not be shown again.'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable 2FA (requires password and a 2FA or recovery code)
+ * Requires authentication
+ */
+router.post('/2fa/disable', authenticate, async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      throw new ValidationError('Password and 2FA code are required');
+    }
+
+    await authService.disable2FA(req.userId, password, code);
+
+    res.json({
+      success: true,
+      message: '2FA disabled'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * POST /api/auth/refresh
  * Rotate refresh token to get new access token
@@ -211,6 +298,54 @@ router.post('/change-password', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset token
+ * Responds identically whether or not the account exists
+ */
+router.post('/forgot-password', passwordResetLimiter, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      throw new ValidationError('Email is required');
+    }
+
+    await authService.requestPasswordReset(email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset token
+ * Signs out every device on success
+ */
+router.post('/reset-password', passwordResetLimiter, async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      throw new ValidationError('Reset token and new password are required');
+    }
+
+    await authService.resetPassword(token, newPassword);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/auth/sessions
  * Get all active sessions for user
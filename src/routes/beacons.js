@@ -1,11 +1,19 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import { authenticate } from '../middleware/authenticate.js';
-import { ValidationError, NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
+import { ValidationError, NotFoundError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { GeoQuery, column, parseGeoParams, parseList } from '../utils/geoQuery.js';
+import { BlockService } from '../services/BlockService.js';
+import { ConversationService } from '../services/ConversationService.js';
+import { NotificationService } from '../services/NotificationService.js';
+import { joinConversationRoom, leaveConversationRoom, emitToConversation } from '../socket/index.js';
 
 export const router = express.Router();
 const prisma = new PrismaClient();
+const blockService = new BlockService();
+const conversationService = new ConversationService();
+const notificationService = new NotificationService();
 
 /**
  * POST /api/beacons
@@ -13,7 +21,7 @@ const prisma = new PrismaClient();
  */
 router.post('/', authenticate, async (req, res, next) => {
   try {
-    const { title, category, description, lat, lng, radiusMeters, durationMinutes } = req.body;
+    const { title, category, description, lat, lng, radiusMeters, durationMinutes, maxAttendees } = req.body;
 
     // Validate required fields
     if (!title || !category || !lat || !lng) {
@@ -39,31 +47,45 @@ router.post('/', authenticate, async (req, res, next) => {
       throw new ValidationError('Radius must be between 100 and 5000 meters');
     }
 
+    // Validate capacity (null = unlimited)
+    if (maxAttendees !== undefined && maxAttendees !== null) {
+      if (!Number.isInteger(maxAttendees) || maxAttendees < 1 || maxAttendees > 500) {
+        throw new ValidationError('Max attendees must be a whole number between 1 and 500');
+      }
+    }
+
     // Calculate expiration (default 2 hours)
     const duration = durationMinutes || 120;
     const expiresAt = new Date(Date.now() + duration * 60 * 1000);
 
-    // Create beacon
-    const beacon = await prisma.beacon.create({
-      data: {
-        userId: req.userId,
-        title,
-        category,
-        description: description || '',
-        lat,
-        lng,
-        radiusMeters: radius,
-        expiresAt
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            displayName: true,
-            photoUrl: true
+    // Create beacon along with its chat room
+    const beacon = await prisma.$transaction(async (tx) => {
+      const created = await tx.beacon.create({
+        data: {
+          userId: req.userId,
+          title,
+          category,
+          description: description || '',
+          lat,
+          lng,
+          radiusMeters: radius,
+          expiresAt,
+          maxAttendees: maxAttendees ?? null
+        },
+        include: {
+          user: {
+            select: {
+              id: true,
+              displayName: true,
+              photoUrl: true
+            }
           }
         }
-      }
+      });
+
+      const chatRoom = await conversationService.createBeaconRoom(tx, created);
+
+      return { ...created, chatRoomId: chatRoom.id };
     });
 
     logger.info({ userId: req.userId, beaconId: beacon.id }, 'Beacon created');
@@ -80,29 +102,22 @@ router.post('/', authenticate, async (req, res, next) => {
 /**
  * GET /api/beacons/nearby
  * Get beacons near a location
+ * Pass meta.nextCursor back as cursor for the next page
  */
 router.get('/nearby', authenticate, async (req, res, next) => {
   try {
-    const { lat, lng, radiusMeters = 5000, category, limit = 50 } = req.query;
-
-    if (!lat || !lng) {
-      throw new ValidationError('Latitude and longitude are required');
-    }
-
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const radius = parseInt(radiusMeters);
-    const maxResults = Math.min(parseInt(limit), 100);
-
-    // Build category filter
-    let categoryFilter = '';
-    if (category) {
-      categoryFilter = `AND b.category = '${category}'`;
-    }
+    const { latitude, longitude, radius, limit } = parseGeoParams(req.query, { maxLimit: 100 });
+    const categories = parseList(req.query.category, 'category');
 
     // Get nearby active beacons using PostGIS
-    const beacons = await prisma.$queryRawUnsafe(`
-      SELECT 
+    const { rows: beacons, meta } = await new GeoQuery({
+      from: Prisma.sql`"Beacon" b JOIN "User" u ON b."userId" = u.id`,
+      geo: column('b.geo'),
+      id: column('b.id'),
+      latitude,
+      longitude
+    })
+      .select(Prisma.sql`
         b.id,
         b.title,
         b.category,
@@ -110,39 +125,30 @@ router.get('/nearby', authenticate, async (req, res, next) => {
         b.lat,
         b.lng,
         b."radiusMeters",
+        b."maxAttendees",
         b."expiresAt",
         b."createdAt",
+        (SELECT COUNT(*)::int FROM "BeaconAttendee" ba WHERE ba."beaconId" = b.id) AS "attendeeCount",
+        EXISTS (
+          SELECT 1 FROM "BeaconAttendee" ba
+          WHERE ba."beaconId" = b.id AND ba."userId" = ${req.userId}
+        ) AS "joined",
         u.id as "userId",
         u."displayName" as "userDisplayName",
-        u."photoUrl" as "userPhotoUrl",
-        ROUND(
-          ST_Distance(
-            b.geo,
-            ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
-          )::numeric,
-          0
-        ) AS "distanceMeters"
-      FROM "Beacon" b
-      JOIN "User" u ON b."userId" = u.id
-      WHERE b.active = true
-        AND b."expiresAt" > NOW()
-        AND ST_DWithin(
-          b.geo,
-          ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
-          $3
-        )
-        ${categoryFilter}
-      ORDER BY "distanceMeters" ASC
-      LIMIT $4
-    `, longitude, latitude, radius, maxResults);
+        u."photoUrl" as "userPhotoUrl"
+      `)
+      .where(Prisma.sql`b.active = true AND b."expiresAt" > NOW() AND u."deletionRequestedAt" IS NULL`)
+      .withinRadius(radius)
+      .excludeBlocked(req.userId, column('b."userId"'))
+      .oneOf(column('b.category'), categories)
+      .after(req.query.cursor)
+      .limit(limit)
+      .run(prisma);
 
     res.json({
       success: true,
       beacons,
-      meta: {
-        count: beacons.length,
-        searchRadius: radius
-      }
+      meta
     });
   } catch (err) {
     next(err);
@@ -179,13 +185,19 @@ router.get('/mine', authenticate, async (req, res, next) => {
             displayName: true,
             photoUrl: true
           }
+        },
+        _count: {
+          select: { attendees: true }
         }
       }
     });
 
     res.json({
       success: true,
-      beacons
+      beacons: beacons.map(({ _count, ...beacon }) => ({
+        ...beacon,
+        attendeeCount: _count.attendees
+      }))
     });
   } catch (err) {
     next(err);
@@ -210,6 +222,16 @@ router.get('/:beaconId', authenticate, async (req, res, next) => {
             photoUrl: true,
             isVerified: true
           }
+        },
+        _count: {
+          select: { attendees: true }
+        },
+        attendees: {
+          where: { userId: req.userId },
+          select: { id: true }
+        },
+        chatRoom: {
+          select: { id: true }
         }
       }
     });
@@ -223,9 +245,16 @@ router.get('/:beaconId', authenticate, async (req, res, next) => {
       throw new ValidationError('Beacon has expired');
     }
 
+    const { _count, attendees, chatRoom, ...beaconData } = beacon;
+
     res.json({
       success: true,
-      beacon
+      beacon: {
+        ...beaconData,
+        attendeeCount: _count.attendees,
+        joined: attendees.length > 0,
+        chatRoomId: chatRoom?.id || null
+      }
     });
   } catch (err) {
     next(err);
@@ -397,6 +426,222 @@ router.post('/:beaconId/extend', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/beacons/:beaconId/join
+ * Join a beacon (subject to capacity and expiry)
+ */
+router.post('/:beaconId/join', authenticate, async (req, res, next) => {
+  try {
+    const { beaconId } = req.params;
+
+    const beacon = await prisma.beacon.findUnique({
+      where: { id: beaconId }
+    });
+
+    if (!beacon) {
+      throw new NotFoundError('Beacon not found');
+    }
+
+    if (!beacon.active || new Date(beacon.expiresAt) < new Date()) {
+      throw new ValidationError('Beacon is no longer active');
+    }
+
+    if (beacon.userId === req.userId) {
+      throw new ValidationError('You are hosting this beacon');
+    }
+
+    if (await blockService.isBlockedBetween(req.userId, beacon.userId)) {
+      throw new ForbiddenError('You cannot join this beacon');
+    }
+
+    let joined = false;
+
+    const attendee = await prisma.$transaction(async (tx) => {
+      // Lock the beacon row so concurrent joins can't exceed capacity
+      await tx.$queryRaw`SELECT id FROM "Beacon" WHERE id = ${beaconId} FOR UPDATE`;
+
+      const existing = await tx.beaconAttendee.findUnique({
+        where: {
+          beaconId_userId: {
+            beaconId,
+            userId: req.userId
+          }
+        }
+      });
+
+      if (existing) {
+        return existing;
+      }
+
+      if (beacon.maxAttendees !== null) {
+        const count = await tx.beaconAttendee.count({
+          where: { beaconId }
+        });
+
+        if (count >= beacon.maxAttendees) {
+          throw new ConflictError('Beacon is full');
+        }
+      }
+
+      joined = true;
+      return tx.beaconAttendee.create({
+        data: {
+          beaconId,
+          userId: req.userId
+        }
+      });
+    });
+
+    const attendeeCount = await prisma.beaconAttendee.count({
+      where: { beaconId }
+    });
+
+    if (joined) {
+      prisma.user.findUnique({
+        where: { id: req.userId },
+        select: { id: true, displayName: true }
+      })
+        .then(user => notificationService.notifyBeaconJoin(beacon, user))
+        .catch(err => {
+          logger.error({ err, beaconId }, 'Failed to notify beacon host');
+        });
+    }
+
+    logger.info({ userId: req.userId, beaconId }, 'Beacon joined');
+
+    res.json({
+      success: true,
+      attendee,
+      attendeeCount,
+      message: 'Joined beacon'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/beacons/:beaconId/leave
+ * Leave a beacon
+ */
+router.post('/:beaconId/leave', authenticate, async (req, res, next) => {
+  try {
+    const { beaconId } = req.params;
+
+    const result = await prisma.beaconAttendee.deleteMany({
+      where: {
+        beaconId,
+        userId: req.userId
+      }
+    });
+
+    if (result.count === 0) {
+      throw new NotFoundError('You have not joined this beacon');
+    }
+
+    // Leaving the beacon also leaves its chat room
+    const chatRoomId = await conversationService.leaveBeaconRoom(beaconId, req.userId);
+    if (chatRoomId) {
+      leaveConversationRoom(chatRoomId, [req.userId]);
+      emitToConversation(chatRoomId, 'participant_left', {
+        conversationId: chatRoomId,
+        userId: req.userId
+      });
+    }
+
+    const attendeeCount = await prisma.beaconAttendee.count({
+      where: { beaconId }
+    });
+
+    logger.info({ userId: req.userId, beaconId }, 'Beacon left');
+
+    res.json({
+      success: true,
+      attendeeCount,
+      message: 'Left beacon'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/beacons/:beaconId/chat
+ * Join the beacon's chat room (host and attendees only)
+ */
+router.post('/:beaconId/chat', authenticate, async (req, res, next) => {
+  try {
+    const conversation = await conversationService.joinBeaconRoom(req.params.beaconId, req.userId);
+
+    joinConversationRoom(conversation.id, [req.userId]);
+    emitToConversation(conversation.id, 'participants_added', {
+      conversationId: conversation.id,
+      userIds: [req.userId]
+    });
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/beacons/:beaconId/attendees
+ * Get attendee list (beacon owner only)
+ */
+router.get('/:beaconId/attendees', authenticate, async (req, res, next) => {
+  try {
+    const { beaconId } = req.params;
+
+    const beacon = await prisma.beacon.findUnique({
+      where: { id: beaconId }
+    });
+
+    if (!beacon) {
+      throw new NotFoundError('Beacon not found');
+    }
+
+    // Check ownership
+    if (beacon.userId !== req.userId) {
+      throw new ForbiddenError('Only the beacon owner can view attendees');
+    }
+
+    const attendees = await prisma.beaconAttendee.findMany({
+      where: { beaconId },
+      orderBy: {
+        joinedAt: 'asc'
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            displayName: true,
+            photoUrl: true,
+            isVerified: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      attendees: attendees.map(attendee => ({
+        ...attendee.user,
+        joinedAt: attendee.joinedAt
+      })),
+      meta: {
+        count: attendees.length,
+        maxAttendees: beacon.maxAttendees
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/beacons/stats
  * Get beacon statistics
@@ -0,0 +1,330 @@
+import express from 'express';
+import { authenticate } from '../middleware/authenticate.js';
+import { ConversationService } from '../services/ConversationService.js';
+import { MessageService } from '../services/MessageService.js';
+import {
+  deliverMessage,
+  emitMessageStatus,
+  emitToConversation,
+  joinConversationRoom,
+  leaveConversationRoom
+} from '../socket/index.js';
+
+export const router = express.Router();
+const conversationService = new ConversationService();
+const messageService = new MessageService();
+
+/**
+ * GET /api/conversations
+ * List the current user's conversations (direct, group and beacon rooms)
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const conversations = await conversationService.listConversations(req.userId, parseInt(limit));
+
+    res.json({
+      success: true,
+      conversations
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations
+ * Create a group conversation
+ */
+router.post('/', authenticate, async (req, res, next) => {
+  try {
+    const { name, participantIds, encrypted } = req.body;
+
+    const conversation = await conversationService.createGroup(req.userId, { name, participantIds, encrypted });
+    const userIds = conversation.participants.map(p => p.id);
+
+    joinConversationRoom(conversation.id, userIds);
+    emitToConversation(conversation.id, 'conversation_created', conversation);
+
+    res.status(201).json({
+      success: true,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations/direct/:userId
+ * Get (or start) the direct conversation with a user
+ */
+router.post('/direct/:userId', authenticate, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    await messageService.assertCanMessage(req.userId, userId);
+    const { id } = await conversationService.getOrCreateDirect(req.userId, userId);
+    const conversation = await conversationService.getConversation(id, req.userId);
+
+    joinConversationRoom(conversation.id, [req.userId, userId]);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/conversations/:conversationId
+ * Get a conversation with its participants
+ */
+router.get('/:conversationId', authenticate, async (req, res, next) => {
+  try {
+    const conversation = await conversationService.getConversation(req.params.conversationId, req.userId);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/conversations/:conversationId
+ * Rename a group (admins only)
+ */
+router.put('/:conversationId', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    const conversation = await conversationService.updateGroup(conversationId, req.userId, {
+      name: req.body.name
+    });
+
+    emitToConversation(conversationId, 'conversation_updated', conversation);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/conversations/:conversationId/encryption
+ * Turn on end-to-end encryption (admins only in groups; can't be turned off)
+ */
+router.put('/:conversationId/encryption', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    const conversation = await conversationService.enableEncryption(conversationId, req.userId);
+
+    emitToConversation(conversationId, 'conversation_updated', conversation);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/conversations/:conversationId/messages
+ * Get messages in a conversation
+ * Pass markRead=true to mark the fetched messages read
+ */
+router.get('/:conversationId/messages', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    const { limit = 50, before, markRead } = req.query;
+
+    const messages = await messageService.getMessages(
+      conversationId,
+      req.userId,
+      parseInt(limit),
+      before,
+      req.deviceId
+    );
+
+    const latest = messages[messages.length - 1];
+    if (markRead === 'true' && latest) {
+      emitMessageStatus(await messageService.markRead(conversationId, req.userId, latest.id));
+    }
+
+    res.json({
+      success: true,
+      messages
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/messages
+ * Send a message to a conversation
+ */
+router.post('/:conversationId/messages', authenticate, async (req, res, next) => {
+  try {
+    const { content, encrypted, ciphertexts, viewOnce, mediaId, replyToId } = req.body;
+
+    const message = await messageService.create({
+      senderId: req.userId,
+      deviceId: req.deviceId,
+      conversationId: req.params.conversationId,
+      content,
+      encrypted: encrypted || false,
+      ciphertexts,
+      viewOnce: viewOnce || false,
+      mediaId: mediaId || null,
+      replyToId: replyToId || null
+    });
+
+    deliverMessage(message);
+
+    res.status(201).json({
+      success: true,
+      message
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/read
+ * Mark a conversation as read up to a message (defaults to the latest)
+ */
+router.post('/:conversationId/read', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    const { upToMessageId } = req.body;
+
+    const receipt = await messageService.markRead(conversationId, req.userId, upToMessageId);
+
+    emitMessageStatus(receipt);
+
+    res.json({
+      success: true,
+      receipt
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/participants
+ * Invite users to a group (admins only)
+ */
+router.post('/:conversationId/participants', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    const added = await conversationService.addParticipants(conversationId, req.userId, req.body.userIds);
+    const conversation = await conversationService.getConversation(conversationId, req.userId);
+
+    if (added.length > 0) {
+      joinConversationRoom(conversationId, added);
+      emitToConversation(conversationId, 'participants_added', {
+        conversationId,
+        userIds: added,
+        addedBy: req.userId
+      });
+    }
+
+    res.json({
+      success: true,
+      added,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/conversations/:conversationId/participants/:userId
+ * Change a participant's role (admins only)
+ */
+router.put('/:conversationId/participants/:userId', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId, userId } = req.params;
+
+    const conversation = await conversationService.setRole(conversationId, req.userId, userId, req.body.role);
+
+    emitToConversation(conversationId, 'conversation_updated', conversation);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/conversations/:conversationId/participants/:userId
+ * Remove a participant (admins only)
+ */
+router.delete('/:conversationId/participants/:userId', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId, userId } = req.params;
+
+    await conversationService.removeParticipant(conversationId, req.userId, userId);
+
+    emitToConversation(conversationId, 'participant_removed', {
+      conversationId,
+      userId,
+      removedBy: req.userId
+    });
+    leaveConversationRoom(conversationId, [userId]);
+
+    res.json({
+      success: true,
+      message: 'Participant removed'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/leave
+ * Leave a group or beacon room
+ */
+router.post('/:conversationId/leave', authenticate, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    await conversationService.leave(conversationId, req.userId);
+
+    leaveConversationRoom(conversationId, [req.userId]);
+    emitToConversation(conversationId, 'participant_left', {
+      conversationId,
+      userId: req.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Left conversation'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,114 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { authenticate } from '../middleware/authenticate.js';
+import { KeyService } from '../services/KeyService.js';
+
+export const router = express.Router();
+const keyService = new KeyService();
+
+// Bundle fetches can claim other users' one-time prekeys, so they are limited per user
+const bundleLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  keyGenerator: (req) => req.userId,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many key requests, please try again later.'
+});
+
+/**
+ * GET /api/keys
+ * Key status for the current device (prekeys left, whether to top up)
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const status = await keyService.getKeyStatus(req.userId, req.deviceId);
+
+    res.json({
+      success: true,
+      ...status
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/keys
+ * Upload the current device's identity key, signed prekey and one-time prekeys
+ */
+router.put('/', authenticate, async (req, res, next) => {
+  try {
+    const { identityKey, signedPreKey, preKeys } = req.body;
+
+    const result = await keyService.uploadKeys(req.userId, req.deviceId, {
+      identityKey,
+      signedPreKey,
+      preKeys
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/keys/prekeys
+ * Add one-time prekeys for the current device
+ */
+router.post('/prekeys', authenticate, async (req, res, next) => {
+  try {
+    const result = await keyService.addPreKeys(req.userId, req.deviceId, req.body.preKeys);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/keys/users/:userId
+ * Get key bundles for each of a user's devices
+ * claim lists device IDs the client is starting a session with (each gets a one-time prekey)
+ */
+router.get('/users/:userId', authenticate, bundleLimiter, async (req, res, next) => {
+  try {
+    const claim = keyService.parseClaimDevices(req.query.claim);
+    const bundles = await keyService.getUserBundles(req.userId, req.params.userId, claim);
+
+    res.json({
+      success: true,
+      bundles
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/keys/conversations/:conversationId
+ * Get key bundles for every device in a conversation (to encrypt a message to it)
+ * claim lists device IDs the client is starting a session with (each gets a one-time prekey)
+ */
+router.get('/conversations/:conversationId', authenticate, bundleLimiter, async (req, res, next) => {
+  try {
+    const claim = keyService.parseClaimDevices(req.query.claim);
+    const bundles = await keyService.getConversationBundles(req.userId, req.params.conversationId, claim);
+
+    res.json({
+      success: true,
+      bundles
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from 'express';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { authenticate } from '../middleware/authenticate.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { GeoQuery, column, parseBoundingBox, parseList, parseOptionalInt } from '../utils/geoQuery.js';
+import { USERS_FROM, discoverableBy, fuzzedLocation, nearBoundingBox } from '../utils/discovery.js';
+
+export const router = express.Router();
+const prisma = new PrismaClient();
+
+const MAX_ZOOM = 22;
+
+// Features are listed one by one from this zoom level, and clustered below it
+const POINTS_MIN_ZOOM = 14;
+
+// A viewport wider than this is clustered whatever zoom the client claims
+const POINTS_MAX_SPAN_DEGREES = 0.5;
+
+// Cluster cells per 256px map tile width (cells of roughly 64px on screen),
+// with no more than MAX_CELLS_ACROSS over the viewport's width
+const CELLS_PER_TILE = 4;
+const MAX_CELLS_ACROSS = 32;
+
+// Listed features per layer, nearest the viewport center first
+const MAX_POINTS = 200;
+
+// Layers whose clusters sit at the center of their cell rather than the mean of
+// their members - a cell holding one user would otherwise pinpoint them
+const CELL_CENTERED_LAYERS = ['users'];
+
+// Each layer as a search around a point, before the viewport filter is applied
+const layers = {
+  beacons: (viewerId, center) => new GeoQuery({
+    from: Prisma.sql`"Beacon" b JOIN "User" u ON b."userId" = u.id`,
+    geo: column('b.geo'),
+    id: column('b.id'),
+    ...center
+  })
+    .select(Prisma.sql`b.id, b.title, b.category, b.lat, b.lng, b."expiresAt"`)
+    .where(Prisma.sql`b.active = true AND b."expiresAt" > NOW() AND u."deletionRequestedAt" IS NULL`)
+    .excludeBlocked(viewerId, column('b."userId"')),
+
+  venues: (viewerId, center) => new GeoQuery({
+    from: Prisma.sql`"Venue" v`,
+    geo: column('v.geo'),
+    id: column('v.id'),
+    ...center
+  })
+    .select(Prisma.sql`v.id, v.name, v.kind, v.lat, v.lng, v.verified`),
+
+  spots: (viewerId, center) => new GeoQuery({
+    from: Prisma.sql`"Spot" s`,
+    geo: column('s.geo'),
+    id: column('s.id'),
+    ...center
+  })
+    .select(Prisma.sql`s.id, s.title, s.lat, s.lng`)
+    .where(Prisma.sql`s.approved = true AND s.flagged = false`),
+
+  // Users are placed (and filtered, and clustered) by their fuzzed location only,
+  // and those hiding their distance are only ever counted in clusters (see CELL_CENTERED_LAYERS)
+  users: (viewerId, center, bbox, clustered) => {
+    const location = fuzzedLocation();
+    const query = new GeoQuery({
+      from: USERS_FROM,
+      geo: location,
+      id: column('u.id'),
+      ...center
+    })
+      .select(Prisma.sql`
+        u.id,
+        u."displayName",
+        u."photoUrl",
+        ST_Y(${location}::geometry) AS lat,
+        ST_X(${location}::geometry) AS lng
+      `)
+      .where(discoverableBy(viewerId))
+      .where(nearBoundingBox(bbox))
+      .excludeBlocked(viewerId, column('u.id'));
+
+    return clustered ? query : query.where(Prisma.sql`NOT COALESCE(ps."hideDistance", false)`);
+  }
+};
+
+const LAYERS = Object.keys(layers);
+
+/**
+ * GET /api/map/features
+ * Beacons, venues, approved spots and users inside the map viewport
+ * bbox=west,south,east,north and zoom are required; layers optionally limits the result
+ * Below POINTS_MIN_ZOOM each layer comes back as grid clusters with counts (clustered: true)
+ */
+router.get('/features', authenticate, async (req, res, next) => {
+  try {
+    const bbox = parseBoundingBox(req.query.bbox);
+    const zoom = parseOptionalInt(req.query.zoom, 'zoom', 0, MAX_ZOOM);
+    const requested = parseList(req.query.layers, 'layers');
+
+    if (zoom === null) {
+      throw new ValidationError('zoom is required');
+    }
+
+    const unknown = requested.filter(layer => !LAYERS.includes(layer));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown layers: ${unknown.join(', ')}. Choose from: ${LAYERS.join(', ')}`);
+    }
+
+    const center = {
+      latitude: (bbox.south + bbox.north) / 2,
+      longitude: (bbox.west + bbox.east) / 2
+    };
+    const clustered = zoom < POINTS_MIN_ZOOM
+      || bbox.east - bbox.west > POINTS_MAX_SPAN_DEGREES
+      || bbox.north - bbox.south > POINTS_MAX_SPAN_DEGREES;
+    const cellSize = Math.max(360 / 2 ** zoom / CELLS_PER_TILE, (bbox.east - bbox.west) / MAX_CELLS_ACROSS);
+    const names = requested.length > 0 ? LAYERS.filter(layer => requested.includes(layer)) : LAYERS;
+
+    const results = await Promise.all(names.map(async (name) => {
+      const query = layers[name](req.userId, center, bbox, clustered).withinBoundingBox(bbox);
+
+      if (clustered) {
+        const features = await query.clusters(prisma, cellSize, { cellCenters: CELL_CENTERED_LAYERS.includes(name) });
+        return { name, features, hasMore: false };
+      }
+
+      const { rows, meta } = await query.limit(MAX_POINTS).run(prisma);
+      return { name, features: rows, hasMore: meta.hasMore };
+    }));
+
+    res.json({
+      success: true,
+      clustered,
+      ...Object.fromEntries(results.map(r => [r.name, r.features])),
+      meta: {
+        bbox,
+        zoom,
+        cellSize: clustered ? cellSize : null,
+        // Layers with more features in view than were listed
+        truncated: results.filter(r => r.hasMore).map(r => r.name)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
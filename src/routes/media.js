@@ -1,22 +1,16 @@
 import express from 'express';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { PrismaClient } from '@prisma/client';
-import { authenticate } from '../middleware/authenticate.js';
+import { authenticate, requireRole } from '../middleware/authenticate.js';
 import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { getUploadUrl, objectUrl, keyFromUrl } from '../utils/storage.js';
+import { MediaService } from '../services/MediaService.js';
+import { NotificationService } from '../services/NotificationService.js';
 
 export const router = express.Router();
 const prisma = new PrismaClient();
-
-// Initialize S3 client
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || 'us-east-1',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-  }
-});
+const mediaService = new MediaService();
+const notificationService = new NotificationService();
 
 /**
  * POST /api/media/sign
@@ -49,17 +43,13 @@ router.post('/sign', authenticate, async (req, res, next) => {
     const maxBytes = (parseInt(process.env.MAX_UPLOAD_MB) || 15) * 1024 * 1024;
 
     // Create presigned URL
-    const command = new PutObjectCommand({
-      Bucket: process.env.AWS_S3_BUCKET,
-      Key: key,
-      ContentType: contentType,
-      ContentLength: maxBytes,
-      ACL: 'private'
+    const uploadUrl = await getUploadUrl(key, {
+      contentType,
+      contentLength: maxBytes,
+      expiresIn: 300 // 5 minutes
     });
 
-    const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 300 }); // 5 minutes
-
-    const assetUrl = `https://${process.env.AWS_S3_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+    const assetUrl = objectUrl(key);
 
     logger.info({ userId: req.userId, key, kind: mediaKind }, 'Signed upload URL generated');
 
@@ -78,10 +68,11 @@ router.post('/sign', authenticate, async (req, res, next) => {
 /**
  * POST /api/media
  * Register uploaded media asset
+ * viewOnce: true registers it for a single view-once message - it is deleted with the message
  */
 router.post('/', authenticate, async (req, res, next) => {
   try {
-    const { assetUrl, kind, blurHash, width, height, sizeBytes } = req.body;
+    const { assetUrl, kind, blurHash, width, height, sizeBytes, viewOnce } = req.body;
 
     if (!assetUrl || !kind) {
       throw new ValidationError('Asset URL and kind are required');
@@ -91,6 +82,12 @@ router.post('/', authenticate, async (req, res, next) => {
       throw new ValidationError('Kind must be either "photo" or "video"');
     }
 
+    // Only objects uploaded through /sign by this user (signed URLs are issued for the asset's key)
+    const key = keyFromUrl(assetUrl);
+    if (!key || !key.startsWith(`media/${req.userId}/`)) {
+      throw new ValidationError('Asset URL must be one returned by /api/media/sign');
+    }
+
     // Create media asset record
     const media = await prisma.mediaAsset.create({
       data: {
@@ -101,6 +98,7 @@ router.post('/', authenticate, async (req, res, next) => {
         width: width || null,
         height: height || null,
         sizeBytes: sizeBytes || null,
+        viewOnce: viewOnce === true,
         status: 'pending' // Will be reviewed by moderation
       }
     });
@@ -120,14 +118,15 @@ router.post('/', authenticate, async (req, res, next) => {
 
 /**
  * GET /api/media/mine
- * Get current user's media assets
+ * Get current user's media assets (not those uploaded for a view-once message)
  */
 router.get('/mine', authenticate, async (req, res, next) => {
   try {
     const { kind, status, limit = 50 } = req.query;
 
     const whereClause = {
-      userId: req.userId
+      userId: req.userId,
+      viewOnce: false
     };
 
     if (kind) {
@@ -157,33 +156,12 @@ router.get('/mine', authenticate, async (req, res, next) => {
 
 /**
  * GET /api/media/:mediaId
- * Get media asset by ID
+ * Get media asset by ID, with a short-lived signed URL
+ * Only its owner, moderators and recipients of a message carrying it can fetch it
  */
 router.get('/:mediaId', authenticate, async (req, res, next) => {
   try {
-    const { mediaId } = req.params;
-
-    const media = await prisma.mediaAsset.findUnique({
-      where: { id: mediaId },
-      include: {
-        user: {
-          select: {
-            id: true,
-            displayName: true,
-            photoUrl: true
-          }
-        }
-      }
-    });
-
-    if (!media) {
-      throw new NotFoundError('Media not found');
-    }
-
-    // Check if flagged or rejected
-    if (media.status === 'rejected' && media.userId !== req.userId) {
-      throw new NotFoundError('Media not found');
-    }
+    const media = await mediaService.getForViewer(req.params.mediaId, req.userId, req.userRole);
 
     res.json({
       success: true,
@@ -318,19 +296,26 @@ router.get('/stats', authenticate, async (req, res, next) => {
 
 /**
  * PUT /api/media/:mediaId/moderate
- * Moderate media (admin only - placeholder)
+ * Moderate media (moderators and admins)
  */
-router.put('/:mediaId/moderate', authenticate, async (req, res, next) => {
+router.put('/:mediaId/moderate', authenticate, requireRole('moderator', 'admin'), async (req, res, next) => {
   try {
     const { mediaId } = req.params;
     const { status, flagged } = req.body;
 
-    // TODO: Check if user is admin
-
     if (!['pending', 'approved', 'rejected'].includes(status)) {
       throw new ValidationError('Invalid status');
     }
 
+    const existing = await prisma.mediaAsset.findUnique({
+      where: { id: mediaId },
+      select: { status: true }
+    });
+
+    if (!existing) {
+      throw new NotFoundError('Media not found');
+    }
+
     const media = await prisma.mediaAsset.update({
       where: { id: mediaId },
       data: {
@@ -339,6 +324,13 @@ router.put('/:mediaId/moderate', authenticate, async (req, res, next) => {
       }
     });
 
+    // Tell the owner once their upload is reviewed
+    if (status !== 'pending' && status !== existing.status) {
+      notificationService.notifyMediaModerated(media).catch(err => {
+        logger.error({ err, mediaId }, 'Failed to notify media owner');
+      });
+    }
+
     logger.info({ mediaId, status }, 'Media moderated');
 
     res.json({
@@ -2,27 +2,35 @@ import express from 'express';
 import { MessageService } from '../services/MessageService.js';
 import { authenticate } from '../middleware/authenticate.js';
 import { ValidationError } from '../middleware/errorHandler.js';
+import { deliverMessage, emitMessageEvent, emitMessageStatus } from '../socket/index.js';
 
 export const router = express.Router();
 const messageService = new MessageService();
 
 /**
  * POST /api/messages
- * Send a new message
+ * Send a new message (to a conversation, or to a user directly)
  */
 router.post('/', authenticate, async (req, res, next) => {
   try {
-    const { recipientId, content, encrypted, viewOnce, mediaId } = req.body;
+    const { conversationId, recipientId, content, encrypted, ciphertexts, viewOnce, mediaId, replyToId } = req.body;
 
     const message = await messageService.create({
       senderId: req.userId,
+      deviceId: req.deviceId,
+      conversationId,
       recipientId,
       content,
       encrypted: encrypted || false,
+      ciphertexts,
       viewOnce: viewOnce || false,
-      mediaId: mediaId || null
+      mediaId: mediaId || null,
+      replyToId: replyToId || null
     });
 
+    // Same live delivery as messages sent over the socket
+    deliverMessage(message);
+
     res.status(201).json({
       success: true,
       message
@@ -57,19 +65,26 @@ router.get('/conversations', authenticate, async (req, res, next) => {
 /**
  * GET /api/messages/conversation/:userId
  * Get conversation with a specific user
+ * Pass markRead=true to mark the fetched messages read
  */
 router.get('/conversation/:userId', authenticate, async (req, res, next) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, before } = req.query;
+    const { limit = 50, before, markRead } = req.query;
 
     const messages = await messageService.getConversation(
       req.userId,
       userId,
       parseInt(limit),
-      before
+      before,
+      req.deviceId
     );
 
+    const latest = messages[messages.length - 1];
+    if (markRead === 'true' && latest) {
+      emitMessageStatus(await messageService.markRead(latest.conversationId, req.userId, latest.id));
+    }
+
     res.json({
       success: true,
       messages
@@ -104,7 +119,30 @@ router.put('/:messageId/read', authenticate, async (req, res, next) => {
   try {
     const { messageId } = req.params;
 
-    const message = await messageService.markAsRead(messageId, req.userId);
+    const receipt = await messageService.markAsRead(messageId, req.userId);
+
+    emitMessageStatus(receipt);
+
+    res.json({
+      success: true,
+      receipt
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/messages/:messageId
+ * Edit a message (sender only, within the edit window)
+ */
+router.put('/:messageId', authenticate, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await messageService.editMessage(messageId, req.userId, req.body.content);
+
+    emitMessageEvent(message, 'message_edited', message);
 
     res.json({
       success: true,
@@ -115,19 +153,99 @@ router.put('/:messageId/read', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/messages/:messageId/edits
+ * Get a message's previous versions
+ */
+router.get('/:messageId/edits', authenticate, async (req, res, next) => {
+  try {
+    const edits = await messageService.getEditHistory(req.params.messageId, req.userId);
+
+    res.json({
+      success: true,
+      edits
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * DELETE /api/messages/:messageId
- * Delete a message
+ * Unsend a message for everyone (leaves a tombstone)
  */
 router.delete('/:messageId', authenticate, async (req, res, next) => {
   try {
     const { messageId } = req.params;
 
-    await messageService.deleteMessage(messageId, req.userId);
+    const message = await messageService.unsendMessage(messageId, req.userId);
+
+    emitMessageEvent(message, 'message_unsent', {
+      messageId,
+      conversationId: message.conversationId,
+      deletedAt: message.deletedAt
+    });
+
+    res.json({
+      success: true,
+      message
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/messages/:messageId/reactions
+ * React to a message with an emoji
+ */
+router.post('/:messageId/reactions', authenticate, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    const message = await messageService.addReaction(messageId, req.userId, emoji);
+
+    emitMessageEvent(message, 'message_reaction', {
+      messageId,
+      conversationId: message.conversationId,
+      userId: req.userId,
+      emoji,
+      action: 'added',
+      reactions: message.reactions
+    });
+
+    res.json({
+      success: true,
+      reactions: message.reactions
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/messages/:messageId/reactions/:emoji
+ * Remove a reaction
+ */
+router.delete('/:messageId/reactions/:emoji', authenticate, async (req, res, next) => {
+  try {
+    const { messageId, emoji } = req.params;
+
+    const message = await messageService.removeReaction(messageId, req.userId, emoji);
+
+    emitMessageEvent(message, 'message_reaction', {
+      messageId,
+      conversationId: message.conversationId,
+      userId: req.userId,
+      emoji,
+      action: 'removed',
+      reactions: message.reactions
+    });
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      reactions: message.reactions
     });
   } catch (err) {
     next(err);
@@ -0,0 +1,165 @@
+import express from 'express';
+import { authenticate } from '../middleware/authenticate.js';
+import { NotificationService } from '../services/NotificationService.js';
+import { emitToUser } from '../socket/index.js';
+
+export const router = express.Router();
+const notificationService = new NotificationService();
+
+/**
+ * GET /api/notifications
+ * List the current user's notifications, newest first
+ * Pass meta.nextCursor back as cursor for the next page; unread=true for unread only
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { cursor, limit, unread } = req.query;
+
+    const { notifications, unreadCount, meta } = await notificationService.listNotifications(req.userId, {
+      cursor,
+      limit,
+      unreadOnly: unread === 'true'
+    });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      meta
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications
+ */
+router.get('/unread-count', authenticate, async (req, res, next) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.userId);
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every notification read
+ */
+router.post('/read-all', authenticate, async (req, res, next) => {
+  try {
+    const count = await notificationService.markAllRead(req.userId);
+
+    // Keeps the badge in sync on the user's other devices
+    emitToUser(req.userId, 'notifications_read', { all: true, unreadCount: 0 });
+
+    res.json({
+      success: true,
+      count,
+      unreadCount: 0
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/notifications/:notificationId/read
+ * Mark a notification read
+ */
+router.put('/:notificationId/read', authenticate, async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+
+    const unreadCount = await notificationService.markRead(req.userId, notificationId);
+
+    emitToUser(req.userId, 'notifications_read', { notificationIds: [notificationId], unreadCount });
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/notifications/push-token
+ * Register this device's push token ({ token, provider: expo | apns | fcm })
+ */
+router.put('/push-token', authenticate, async (req, res, next) => {
+  try {
+    const { token, provider } = req.body;
+
+    await notificationService.registerPushToken(req.userId, req.deviceId, { token, provider });
+
+    res.json({
+      success: true,
+      message: 'Push token registered'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/notifications/push-token
+ * Stop push notifications to this device
+ */
+router.delete('/push-token', authenticate, async (req, res, next) => {
+  try {
+    await notificationService.removePushToken(req.userId, req.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Push token removed'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/notifications/settings
+ * Get user's notification preferences and quiet hours
+ */
+router.get('/settings', authenticate, async (req, res, next) => {
+  try {
+    const settings = await notificationService.getSettings(req.userId);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/notifications/settings
+ * Update user's notification preferences and quiet hours
+ */
+router.put('/settings', authenticate, async (req, res, next) => {
+  try {
+    const settings = await notificationService.updateSettings(req.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Notification settings updated successfully',
+      settings
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
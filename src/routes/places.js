@@ -1,8 +1,9 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
-import { authenticate } from '../middleware/authenticate.js';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { authenticate, requireRole } from '../middleware/authenticate.js';
 import { ValidationError, NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { GeoQuery, column, parseGeoParams, parseList } from '../utils/geoQuery.js';
 
 export const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,29 +11,22 @@ const prisma = new PrismaClient();
 /**
  * GET /api/places/venues
  * Get nearby venues (bars, clubs, parks, etc.)
+ * Pass meta.nextCursor back as cursor for the next page
  */
 router.get('/venues', authenticate, async (req, res, next) => {
   try {
-    const { lat, lng, radiusMeters = 5000, kind, limit = 100 } = req.query;
-
-    if (!lat || !lng) {
-      throw new ValidationError('Latitude and longitude are required');
-    }
-
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const radius = parseInt(radiusMeters);
-    const maxResults = Math.min(parseInt(limit), 200);
-
-    // Build kind filter
-    let kindFilter = '';
-    if (kind) {
-      kindFilter = `AND v.kind = '${kind}'`;
-    }
+    const { latitude, longitude, radius, limit } = parseGeoParams(req.query, { defaultLimit: 100, maxLimit: 200 });
+    const kinds = parseList(req.query.kind, 'kind');
 
     // Get nearby venues using PostGIS
-    const venues = await prisma.$queryRawUnsafe(`
-      SELECT 
+    const { rows: venues, meta } = await new GeoQuery({
+      from: Prisma.sql`"Venue" v`,
+      geo: column('v.geo'),
+      id: column('v.id'),
+      latitude,
+      longitude
+    })
+      .select(Prisma.sql`
         v.id,
         v.name,
         v.kind,
@@ -41,32 +35,18 @@ router.get('/venues', authenticate, async (req, res, next) => {
         v.lng,
         v.address,
         v.website,
-        v.verified,
-        ROUND(
-          ST_Distance(
-            v.geo,
-            ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
-          )::numeric,
-          0
-        ) AS "distanceMeters"
-      FROM "Venue" v
-      WHERE ST_DWithin(
-        v.geo,
-        ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
-        $3
-      )
-      ${kindFilter}
-      ORDER BY "distanceMeters" ASC
-      LIMIT $4
-    `, longitude, latitude, radius, maxResults);
+        v.verified
+      `)
+      .withinRadius(radius)
+      .oneOf(column('v.kind'), kinds)
+      .after(req.query.cursor)
+      .limit(limit)
+      .run(prisma);
 
     res.json({
       success: true,
       venues,
-      meta: {
-        count: venues.length,
-        searchRadius: radius
-      }
+      meta
     });
   } catch (err) {
     next(err);
@@ -127,23 +107,21 @@ router.get('/venue-kinds', (req, res) => {
 /**
  * GET /api/places/spots
  * Get nearby user-generated spots
+ * Pass meta.nextCursor back as cursor for the next page
  */
 router.get('/spots', authenticate, async (req, res, next) => {
   try {
-    const { lat, lng, radiusMeters = 5000, limit = 100 } = req.query;
-
-    if (!lat || !lng) {
-      throw new ValidationError('Latitude and longitude are required');
-    }
-
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const radius = parseInt(radiusMeters);
-    const maxResults = Math.min(parseInt(limit), 200);
+    const { latitude, longitude, radius, limit } = parseGeoParams(req.query, { defaultLimit: 100, maxLimit: 200 });
 
     // Get nearby approved spots using PostGIS
-    const spots = await prisma.$queryRawUnsafe(`
-      SELECT 
+    const { rows: spots, meta } = await new GeoQuery({
+      from: Prisma.sql`"Spot" s JOIN "User" u ON s."userId" = u.id`,
+      geo: column('s.geo'),
+      id: column('s.id'),
+      latitude,
+      longitude
+    })
+      .select(Prisma.sql`
         s.id,
         s.title,
         s.note,
@@ -152,34 +130,18 @@ router.get('/spots', authenticate, async (req, res, next) => {
         s."createdAt",
         u.id as "userId",
         u."displayName" as "userDisplayName",
-        u."photoUrl" as "userPhotoUrl",
-        ROUND(
-          ST_Distance(
-            s.geo,
-            ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
-          )::numeric,
-          0
-        ) AS "distanceMeters"
-      FROM "Spot" s
-      JOIN "User" u ON s."userId" = u.id
-      WHERE s.approved = true
-        AND s.flagged = false
-        AND ST_DWithin(
-          s.geo,
-          ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
-          $3
-        )
-      ORDER BY "distanceMeters" ASC
-      LIMIT $4
-    `, longitude, latitude, radius, maxResults);
+        u."photoUrl" as "userPhotoUrl"
+      `)
+      .where(Prisma.sql`s.approved = true AND s.flagged = false`)
+      .withinRadius(radius)
+      .after(req.query.cursor)
+      .limit(limit)
+      .run(prisma);
 
     res.json({
       success: true,
       spots,
-      meta: {
-        count: spots.length,
-        searchRadius: radius
-      }
+      meta
     });
   } catch (err) {
     next(err);
@@ -386,15 +348,13 @@ router.delete('/spots/:spotId', authenticate, async (req, res, next) => {
 
 /**
  * PUT /api/places/spots/:spotId/moderate
- * Moderate a spot (admin only - placeholder)
+ * Moderate a spot (moderators and admins)
  */
-router.put('/spots/:spotId/moderate', authenticate, async (req, res, next) => {
+router.put('/spots/:spotId/moderate', authenticate, requireRole('moderator', 'admin'), async (req, res, next) => {
   try {
     const { spotId } = req.params;
     const { approved, flagged } = req.body;
 
-    // TODO: Check if user is admin
-
     const spot = await prisma.spot.update({
       where: { id: spotId },
       data: {
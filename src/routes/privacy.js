@@ -1,83 +1,28 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
 import { authenticate } from '../middleware/authenticate.js';
 import { ValidationError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { PrivacyService } from '../services/PrivacyService.js';
+import { ConsentService, PRIVACY_POLICY_VERSION } from '../services/ConsentService.js';
+import { DataExportService } from '../services/DataExportService.js';
+import { AccountService } from '../services/AccountService.js';
 
 export const router = express.Router();
-const prisma = new PrismaClient();
+const privacyService = new PrivacyService();
+const consentService = new ConsentService();
+const dataExportService = new DataExportService();
+const accountService = new AccountService();
 
 /**
  * POST /api/privacy/export
  * Export all user data (GDPR compliance)
+ * Large accounts should use POST /api/privacy/download instead
  */
 router.post('/export', authenticate, async (req, res, next) => {
   try {
-    const userId = req.userId;
-
-    // Gather all user data
-    const [user, subscription, devices, sessions, messages, beacons, spots, media, reports, purchases] = await Promise.all([
-      prisma.user.findUnique({
-        where: { id: userId }
-      }),
-      prisma.subscription.findUnique({
-        where: { userId }
-      }),
-      prisma.device.findMany({
-        where: { userId }
-      }),
-      prisma.session.findMany({
-        where: { userId }
-      }),
-      prisma.message.findMany({
-        where: {
-          OR: [
-            { senderId: userId },
-            { recipientId: userId }
-          ]
-        }
-      }),
-      prisma.beacon.findMany({
-        where: { userId }
-      }),
-      prisma.spot.findMany({
-        where: { userId }
-      }),
-      prisma.mediaAsset.findMany({
-        where: { userId }
-      }),
-      prisma.report.findMany({
-        where: { reporterId: userId }
-      }),
-      prisma.purchase.findMany({
-        where: { userId }
-      })
-    ]);
-
-    // Remove sensitive data
-    const { passwordHash, totpSecret, ...safeUser } = user;
-
-    const exportData = {
-      exportDate: new Date().toISOString(),
-      user: safeUser,
-      subscription,
-      devices,
-      sessions: sessions.map(s => ({
-        id: s.id,
-        deviceId: s.deviceId,
-        createdAt: s.createdAt,
-        expiresAt: s.expiresAt,
-        revoked: s.revoked
-      })),
-      messages,
-      beacons,
-      spots,
-      media,
-      reports,
-      purchases
-    };
-
-    logger.info({ userId }, 'User data exported');
+    const exportData = await dataExportService.collect(req.userId);
+
+    logger.info({ userId: req.userId }, 'User data exported');
 
     res.json({
       success: true,
@@ -92,6 +37,7 @@ router.post('/export', authenticate, async (req, res, next) => {
 /**
  * POST /api/privacy/delete
  * Request account deletion (GDPR compliance)
+ * Data is purged after the grace period unless the user logs in again
  */
 router.post('/delete', authenticate, async (req, res, next) => {
   try {
@@ -105,83 +51,12 @@ router.post('/delete', authenticate, async (req, res, next) => {
       throw new ValidationError('Please type "DELETE" to confirm account deletion');
     }
 
-    // Verify password
-    const bcrypt = await import('bcryptjs');
-    const user = await prisma.user.findUnique({
-      where: { id: req.userId }
-    });
-
-    const validPassword = await bcrypt.compare(password, user.passwordHash);
-    if (!validPassword) {
-      throw new ValidationError('Incorrect password');
-    }
-
-    // TODO: In production, implement soft delete or queue for deletion
-    // For now, we'll delete all related data
-
-    // Delete in order (respecting foreign keys)
-    await prisma.$transaction(async (tx) => {
-      // Delete sessions
-      await tx.session.deleteMany({
-        where: { userId: req.userId }
-      });
-
-      // Delete devices
-      await tx.device.deleteMany({
-        where: { userId: req.userId }
-      });
-
-      // Delete messages
-      await tx.message.deleteMany({
-        where: {
-          OR: [
-            { senderId: req.userId },
-            { recipientId: req.userId }
-          ]
-        }
-      });
-
-      // Delete beacons
-      await tx.beacon.deleteMany({
-        where: { userId: req.userId }
-      });
-
-      // Delete spots
-      await tx.spot.deleteMany({
-        where: { userId: req.userId }
-      });
-
-      // Delete media
-      await tx.mediaAsset.deleteMany({
-        where: { userId: req.userId }
-      });
-
-      // Delete reports
-      await tx.report.deleteMany({
-        where: { reporterId: req.userId }
-      });
-
-      // Delete purchases
-      await tx.purchase.deleteMany({
-        where: { userId: req.userId }
-      });
-
-      // Delete subscription
-      await tx.subscription.deleteMany({
-        where: { userId: req.userId }
-      });
-
-      // Finally, delete user
-      await tx.user.delete({
-        where: { id: req.userId }
-      });
-    });
-
-    logger.info({ userId: req.userId, email: user.email }, 'User account deleted');
+    const { scheduledFor } = await accountService.requestDeletion(req.userId, password);
 
     res.json({
       success: true,
-      message: 'Your account and all associated data have been permanently deleted'
+      scheduledFor,
+      message: `Your account will be permanently deleted on ${scheduledFor.toISOString().slice(0, 10)}. Log in before then to cancel.`
     });
   } catch (err) {
     next(err);
@@ -194,7 +69,7 @@ router.post('/delete', authenticate, async (req, res, next) => {
  */
 router.get('/policy', (req, res) => {
   const policy = {
-    lastUpdated: '2024-01-01',
+    lastUpdated: PRIVACY_POLICY_VERSION,
     summary: 'We collect and process your data to provide our services. You have the right to access, export, and delete your data.',
     sections: [
       {
@@ -236,20 +111,7 @@ router.get('/policy', (req, res) => {
  */
 router.get('/settings', authenticate, async (req, res, next) => {
   try {
-    // TODO: Implement privacy settings table
-    // For now, return default settings
-
-    const settings = {
-      profileVisibility: 'public', // public, friends, private
-      showLocation: true,
-      showOnlineStatus: true,
-      allowMessages: 'everyone', // everyone, matches, nobody
-      showAge: true,
-      dataCollection: {
-        analytics: true,
-        locationHistory: true
-      }
-    };
+    const settings = await privacyService.getSettings(req.userId);
 
     res.json({
       success: true,
@@ -266,23 +128,12 @@ router.get('/settings', authenticate, async (req, res, next) => {
  */
 router.put('/settings', authenticate, async (req, res, next) => {
   try {
-    const {
-      profileVisibility,
-      showLocation,
-      showOnlineStatus,
-      allowMessages,
-      showAge,
-      dataCollection
-    } = req.body;
-
-    // TODO: Implement privacy settings table and update logic
-
-    logger.info({ userId: req.userId }, 'Privacy settings updated');
+    const settings = await privacyService.updateSettings(req.userId, req.body);
 
     res.json({
       success: true,
-      message: 'Privacy settings updated successfully (feature coming soon)',
-      settings: req.body
+      message: 'Privacy settings updated successfully',
+      settings
     });
   } catch (err) {
     next(err);
@@ -291,26 +142,39 @@ router.put('/settings', authenticate, async (req, res, next) => {
 
 /**
  * POST /api/privacy/download
- * Request downloadable archive of user data
+ * Request downloadable ZIP archive of user data (one file per entity)
+ * Built in the background - poll GET /api/privacy/download/:jobId
  */
 router.post('/download', authenticate, async (req, res, next) => {
   try {
     const { format = 'json' } = req.body;
 
-    if (!['json', 'csv'].includes(format)) {
-      throw new ValidationError('Format must be either "json" or "csv"');
-    }
+    const { job, existing } = await dataExportService.createJob(req.userId, format);
 
-    // TODO: Generate downloadable archive
-    // In production, this would create a job to generate ZIP file
-    // and email download link to user
+    res.status(existing ? 200 : 202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      message: existing
+        ? 'An export is already in progress'
+        : `Your data export in ${format} format has been queued. We'll email you when it's ready.`
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    logger.info({ userId: req.userId, format }, 'Data download requested');
+/**
+ * GET /api/privacy/download/:jobId
+ * Export job status, with a short-lived download link once complete
+ */
+router.get('/download/:jobId', authenticate, async (req, res, next) => {
+  try {
+    const job = await dataExportService.getJob(req.userId, req.params.jobId);
 
     res.json({
       success: true,
-      message: `Data export in ${format} format will be sent to your email within 24 hours`,
-      estimatedTime: '24 hours'
+      job
     });
   } catch (err) {
     next(err);
@@ -319,35 +183,16 @@ router.post('/download', authenticate, async (req, res, next) => {
 
 /**
  * GET /api/privacy/consent
- * Get user's consent preferences
+ * Get user's consent preferences (latest ledger entry per category)
  */
 router.get('/consent', authenticate, async (req, res, next) => {
   try {
-    const consents = {
-      necessary: {
-        accepted: true,
-        required: true,
-        description: 'Essential for the app to function'
-      },
-      analytics: {
-        accepted: true,
-        required: false,
-        description: 'Help us improve the app'
-      },
-      marketing: {
-        accepted: false,
-        required: false,
-        description: 'Personalized content and offers'
-      },
-      thirdParty: {
-        accepted: true,
-        required: false,
-        description: 'Third-party integrations and features'
-      }
-    };
+    const { policyVersion, reconsentRequired, consents } = await consentService.getConsents(req.userId);
 
     res.json({
       success: true,
+      policyVersion,
+      reconsentRequired,
       consents
     });
   } catch (err) {
@@ -357,19 +202,40 @@ router.get('/consent', authenticate, async (req, res, next) => {
 
 /**
  * PUT /api/privacy/consent
- * Update consent preferences
+ * Record consent decisions against the current policy version
+ * Body: { policyVersion, source, necessary, analytics, marketing, thirdParty }
  */
 router.put('/consent', authenticate, async (req, res, next) => {
   try {
-    const { analytics, marketing, thirdParty } = req.body;
+    const { policyVersion, source, necessary, analytics, marketing, thirdParty } = req.body;
 
-    // TODO: Store consent preferences
+    const result = await consentService.recordConsents(
+      req.userId,
+      { necessary, analytics, marketing, thirdParty },
+      { policyVersion, source }
+    );
+
+    res.json({
+      success: true,
+      message: 'Consent preferences updated successfully',
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    logger.info({ userId: req.userId, analytics, marketing, thirdParty }, 'Consent preferences updated');
+/**
+ * GET /api/privacy/consent/history
+ * Full consent ledger for the current user
+ */
+router.get('/consent/history', authenticate, async (req, res, next) => {
+  try {
+    const records = await consentService.getHistory(req.userId);
 
     res.json({
       success: true,
-      message: 'Consent preferences updated successfully'
+      records
     });
   } catch (err) {
     next(err);
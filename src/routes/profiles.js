@@ -1,123 +1,103 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import { authenticate } from '../middleware/authenticate.js';
 import { ValidationError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import {
+  GeoQuery,
+  column,
+  parseGeoParams,
+  parseList,
+  parseLimit,
+  parseOptionalInt
+} from '../utils/geoQuery.js';
+import {
+  USERS_FROM,
+  coarseDistance,
+  discoverableBy,
+  distanceBucket,
+  fuzzedLocation,
+  nearPoint
+} from '../utils/discovery.js';
 
 export const router = express.Router();
 const prisma = new PrismaClient();
 
+// Discoverable users near a point - the filters search and recommendations share
+// Distances are measured to each user's fuzzed location, never the real one, and
+// users who hide theirs are only ever sorted, paged and matched against the radius
+// by its bucket, so neither their order nor narrowing the radius gives it away
+const nearbyUsers = (viewerId, { latitude, longitude, radius }) => new GeoQuery({
+  from: USERS_FROM,
+  geo: fuzzedLocation(),
+  id: column('u.id'),
+  latitude,
+  longitude
+})
+  .select(Prisma.sql`
+    u.id,
+    u."displayName",
+    CASE WHEN COALESCE(ps."showAge", true) THEN u.age END AS age,
+    u.bio,
+    u.tags,
+    u."photoUrl",
+    u."isVerified",
+    u.reputation,
+    COALESCE(ps."hideDistance", false) AS "hideDistance"
+  `)
+  .where(discoverableBy(viewerId))
+  .where(nearPoint({ latitude, longitude }, radius))
+  .coarsenDistance(Prisma.sql`COALESCE(ps."hideDistance", false)`, coarseDistance)
+  .withinRadius(radius)
+  .excludeBlocked(viewerId, column('u.id'));
+
+// A search result for the API: the distance as a bucket, plus the (fuzzed)
+// distance rounded to 100m unless the user hides it
+const toProfile = ({ hideDistance, distanceMeters, ...user }) => ({
+  ...user,
+  distance: distanceBucket(distanceMeters),
+  distanceMeters: hideDistance ? null : Math.round(distanceMeters / 100) * 100,
+  location: null
+});
+
 /**
  * GET /api/profiles/search
  * Search for nearby users using PostGIS geospatial queries
+ * Users who hide their location or restrict profile visibility are left out
+ * Pass meta.nextCursor back as cursor for the next page
  */
 router.get('/search', authenticate, async (req, res, next) => {
   try {
-    const {
-      lat,
-      lng,
-      maxDistanceMeters = 5000,
-      limit = 50,
-      tags,
-      minAge,
-      maxAge,
-      onlineOnly
-    } = req.query;
-
-    // Validate coordinates
-    if (!lat || !lng) {
-      throw new ValidationError('Latitude and longitude are required');
-    }
-
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-
-    if (isNaN(latitude) || isNaN(longitude)) {
-      throw new ValidationError('Invalid coordinates');
-    }
-
-    if (latitude < -90 || latitude > 90) {
-      throw new ValidationError('Latitude must be between -90 and 90');
-    }
-
-    if (longitude < -180 || longitude > 180) {
-      throw new ValidationError('Longitude must be between -180 and 180');
-    }
-
-    const distance = parseInt(maxDistanceMeters);
-    const maxResults = Math.min(parseInt(limit), 100); // Cap at 100 results
-
-    // Build filter conditions
-    let ageFilter = '';
-    if (minAge) {
-      ageFilter += ` AND u.age >= ${parseInt(minAge)}`;
-    }
-    if (maxAge) {
-      ageFilter += ` AND u.age <= ${parseInt(maxAge)}`;
-    }
-
-    // Tag filter (if provided)
-    let tagFilter = '';
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : [tags];
-      const tagList = tagArray.map(t => `'${t}'`).join(',');
-      tagFilter = ` AND u.tags && ARRAY[${tagList}]::text[]`;
+    const { latitude, longitude, radius, limit } = parseGeoParams(req.query, { radiusParam: 'maxDistanceMeters' });
+    const tags = parseList(req.query.tags, 'tags');
+    const minAge = parseOptionalInt(req.query.minAge, 'minAge', 18, 120);
+    const maxAge = parseOptionalInt(req.query.maxAge, 'maxAge', 18, 120);
+
+    const query = nearbyUsers(req.userId, { latitude, longitude, radius })
+      .overlaps(column('u.tags'), tags)
+      .between(column('u.age'), minAge, maxAge)
+      .after(req.query.cursor)
+      .limit(limit);
+
+    // Users who hide their age never match an age filter, so filtering can't reveal it
+    if (minAge !== null || maxAge !== null) {
+      query.where(Prisma.sql`COALESCE(ps."showAge", true)`);
     }
 
     // Use PostGIS for geospatial query
-    const users = await prisma.$queryRawUnsafe(`
-      SELECT 
-        u.id,
-        u."displayName",
-        u.age,
-        u.bio,
-        u.tags,
-        u."photoUrl",
-        u."isVerified",
-        u.reputation,
-        ROUND(
-          ST_Distance(
-            u.geo,
-            ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
-          )::numeric,
-          0
-        ) AS "distanceMeters"
-      FROM "User" u
-      WHERE u.id != $3
-        AND u.geo IS NOT NULL
-        AND ST_DWithin(
-          u.geo,
-          ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
-          $4
-        )
-        ${ageFilter}
-        ${tagFilter}
-      ORDER BY "distanceMeters" ASC
-      LIMIT $5
-    `, longitude, latitude, req.userId, distance, maxResults);
-
-    // Add jitter to distance for privacy (±50-200 meters)
-    const profiles = users.map(user => ({
-      ...user,
-      distanceMeters: user.distanceMeters + Math.floor(Math.random() * 150) + 50,
-      // Don't expose exact location
-      location: null
-    }));
+    const { rows: users, meta } = await query.run(prisma);
+    const profiles = users.map(toProfile);
 
     logger.info({
       userId: req.userId,
       resultsCount: profiles.length,
-      searchRadius: distance
+      searchRadius: radius
     }, 'Profile search executed');
 
     res.json({
       success: true,
       profiles,
-      meta: {
-        count: profiles.length,
-        searchRadius: distance,
-        center: { lat: latitude, lng: longitude }
-      }
+      meta
     });
   } catch (err) {
     next(err);
@@ -127,11 +107,11 @@ router.get('/search', authenticate, async (req, res, next) => {
 /**
  * GET /api/profiles/recommended
  * Get recommended profiles based on user preferences and behavior
+ * Same privacy rules as search
  */
 router.get('/recommended', authenticate, async (req, res, next) => {
   try {
-    const { limit = 20 } = req.query;
-    const maxResults = Math.min(parseInt(limit), 50);
+    const limit = parseLimit(req.query.limit, 20, 50);
 
     // Get current user with their preferences
     const currentUser = await prisma.user.findUnique({
@@ -149,31 +129,28 @@ router.get('/recommended', authenticate, async (req, res, next) => {
     }
 
     // Find users with similar interests within 10km
-    const recommended = await prisma.$queryRawUnsafe(`
-      SELECT 
-        u.id,
-        u."displayName",
-        u.age,
-        u.bio,
-        u.tags,
-        u."photoUrl",
-        u."isVerified",
-        u.reputation,
-        ROUND(
-          ST_Distance(
-            u.geo,
-            ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
-          )::numeric,
-          0
-        ) AS "distanceMeters",
-        CASE 
-          WHEN u.tags && $3::text[] THEN 
-            (SELECT COUNT(*) FROM unnest(u.tags) tag WHERE tag = ANY($3::text[]))
-          ELSE 0
-        END AS "matchScore"
-      FROM "User" u
-      WHERE u.id != $4
-        AND u.geo IS NOT NULL
-        AND ST_DWithin(
-          u.geo,
-          ST_SetSRID(ST_MakePoint($1, $2), 4326)
+    const { rows: recommended, meta } = await nearbyUsers(req.userId, {
+      latitude: currentUser.lat,
+      longitude: currentUser.lng,
+      radius: 10000
+    })
+      .select(Prisma.sql`
+        (SELECT COUNT(*)::int FROM unnest(u.tags) tag WHERE tag = ANY(${currentUser.tags}::text[])) AS "matchScore"
+      `)
+      .orderBy(Prisma.sql`"matchScore" DESC, "distanceMeters" ASC`)
+      .limit(limit)
+      .run(prisma);
+
+    const profiles = recommended.map(toProfile);
+
+    res.json({
+      success: true,
+      profiles,
+      meta
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,11 +1,13 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { authenticate } from '../middleware/authenticate.js';
+import { authenticate, requireRole } from '../middleware/authenticate.js';
 import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { ModerationService } from '../services/ModerationService.js';
 
 export const router = express.Router();
 const prisma = new PrismaClient();
+const moderationService = new ModerationService();
 
 /**
  * POST /api/reports
@@ -321,17 +323,15 @@ router.get('/stats', authenticate, async (req, res, next) => {
 });
 
 /**
- * Admin endpoints (placeholder - requires admin authentication)
+ * Admin endpoints (moderators and admins)
  */
 
 /**
  * GET /api/reports/admin/pending
- * Get all pending reports (admin only)
+ * Get all pending reports (moderators and admins)
  */
-router.get('/admin/pending', authenticate, async (req, res, next) => {
+router.get('/admin/pending', authenticate, requireRole('moderator', 'admin'), async (req, res, next) => {
   try {
-    // TODO: Check if user is admin
-
     const { limit = 50, type } = req.query;
 
     const whereClause = {
@@ -370,19 +370,52 @@ router.get('/admin/pending', authenticate, async (req, res, next) => {
 
 /**
  * PUT /api/reports/:reportId/review
- * Review a report (admin only)
+ * Review a report (moderators and admins)
+ * Dismiss with status "reviewed", or pass an action to carry out against the target:
+ * warn_user, hide_message, reject_media, deactivate_beacon, flag_spot,
+ * suspend_user (requires durationDays), ban_user
  */
-router.put('/:reportId/review', authenticate, async (req, res, next) => {
+router.put('/:reportId/review', authenticate, requireRole('moderator', 'admin'), async (req, res, next) => {
   try {
     const { reportId } = req.params;
-    const { status, action } = req.body;
-
-    // TODO: Check if user is admin
+    const { action, durationDays, note } = req.body;
+    const status = req.body.status || (action ? 'actioned' : undefined);
 
     if (!['reviewed', 'actioned'].includes(status)) {
       throw new ValidationError('Status must be either "reviewed" or "actioned"');
     }
 
+    if (status === 'actioned' && !action) {
+      throw new ValidationError('An action is required when status is "actioned"');
+    }
+
+    if (status === 'reviewed' && action) {
+      throw new ValidationError('Use status "actioned" when taking an action');
+    }
+
+    if (status === 'actioned') {
+      const result = await moderationService.actionReport(reportId, req.userId, {
+        action,
+        durationDays,
+        note
+      });
+
+      return res.json({
+        success: true,
+        report: result.report,
+        moderationAction: result.moderationAction,
+        message: 'Report actioned successfully'
+      });
+    }
+
+    const existing = await prisma.report.findUnique({
+      where: { id: reportId }
+    });
+
+    if (!existing) {
+      throw new NotFoundError('Report not found');
+    }
+
     const report = await prisma.report.update({
       where: { id: reportId },
       data: {
@@ -395,12 +428,9 @@ router.put('/:reportId/review', authenticate, async (req, res, next) => {
     logger.info({
       reportId,
       reviewerId: req.userId,
-      status,
-      action
+      status
     }, 'Report reviewed');
 
-    // TODO: Take action based on report (ban user, remove content, etc.)
-
     res.json({
       success: true,
       report,
@@ -411,4 +441,45 @@ router.put('/:reportId/review', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/reports/admin/users/:userId/actions
+ * Moderation history for a user (moderators and admins)
+ */
+router.get('/admin/users/:userId/actions', authenticate, requireRole('moderator', 'admin'), async (req, res, next) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const actions = await moderationService.getHistory(req.params.userId, parseInt(limit) || 50);
+
+    res.json({
+      success: true,
+      actions
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/reports/admin/users/:userId/reinstate
+ * Lift a suspension or ban (admins only)
+ */
+router.put('/admin/users/:userId/reinstate', authenticate, requireRole('admin'), async (req, res, next) => {
+  try {
+    const moderationAction = await moderationService.reinstateUser(
+      req.params.userId,
+      req.userId,
+      req.body.note || null
+    );
+
+    res.json({
+      success: true,
+      moderationAction,
+      message: 'User reinstated successfully'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
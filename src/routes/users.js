@@ -3,9 +3,18 @@ import { PrismaClient } from '@prisma/client';
 import { authenticate } from '../middleware/authenticate.js';
 import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { roundCoordinate } from '../utils/discovery.js';
+import { BlockService } from '../services/BlockService.js';
+import { EmailVerificationService } from '../services/EmailVerificationService.js';
+import { PrivacyService } from '../services/PrivacyService.js';
+import { AccountService } from '../services/AccountService.js';
 
 export const router = express.Router();
 const prisma = new PrismaClient();
+const blockService = new BlockService();
+const emailVerificationService = new EmailVerificationService();
+const privacyService = new PrivacyService();
+const accountService = new AccountService();
 
 /**
  * GET /api/users/me
@@ -121,10 +130,10 @@ router.put('/me/location', authenticate, async (req, res, next) => {
       throw new ValidationError('Longitude must be between -180 and 180');
     }
 
-    // Update location (geo column is automatically updated via trigger)
+    // Stored at reduced precision (geo column is automatically updated via trigger)
     await prisma.user.update({
       where: { id: req.userId },
-      data: { lat, lng }
+      data: { lat: roundCoordinate(lat), lng: roundCoordinate(lng) }
     });
 
     res.json({
@@ -144,8 +153,18 @@ router.get('/:userId', authenticate, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
+    // Blocked users can't see each other's profiles, and hidden profiles look missing
+    if (await blockService.isBlockedBetween(req.userId, userId)) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!(await privacyService.canViewProfile(req.userId, userId))) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Accounts pending deletion are hidden
+    const user = await prisma.user.findFirst({
+      where: { id: userId, deletionRequestedAt: null },
       select: {
         id: true,
         displayName: true,
@@ -163,6 +182,13 @@ router.get('/:userId', authenticate, async (req, res, next) => {
       throw new NotFoundError('User not found');
     }
 
+    if (userId !== req.userId) {
+      const { showAge } = await privacyService.getSettings(userId);
+      if (!showAge) {
+        user.age = null;
+      }
+    }
+
     res.json({
       success: true,
       user
@@ -174,18 +200,16 @@ router.get('/:userId', authenticate, async (req, res, next) => {
 
 /**
  * POST /api/users/verify-email
- * Send email verification (placeholder)
+ * Send (or resend) the email verification link
  */
 router.post('/verify-email', authenticate, async (req, res, next) => {
   try {
-    // TODO: Implement email verification
-    // 1. Generate verification token
-    // 2. Send email with verification link
-    // 3. Store token in database
+    const { expiresAt } = await emailVerificationService.sendVerification(req.userId);
 
     res.json({
       success: true,
-      message: 'Verification email sent (feature coming soon)'
+      message: 'Verification email sent',
+      expiresAt
     });
   } catch (err) {
     next(err);
@@ -194,7 +218,7 @@ router.post('/verify-email', authenticate, async (req, res, next) => {
 
 /**
  * POST /api/users/verify-email/confirm
- * Confirm email verification (placeholder)
+ * Confirm email verification with the emailed token
  */
 router.post('/verify-email/confirm', async (req, res, next) => {
   try {
@@ -204,11 +228,12 @@ router.post('/verify-email/confirm', async (req, res, next) => {
       throw new ValidationError('Verification token is required');
     }
 
-    // TODO: Verify token and mark user as verified
+    const { emailVerifiedAt } = await emailVerificationService.confirm(token);
 
     res.json({
       success: true,
-      message: 'Email verified successfully (feature coming soon)'
+      message: 'Email verified successfully',
+      emailVerifiedAt
     });
   } catch (err) {
     next(err);
@@ -256,35 +281,12 @@ router.get('/me/stats', authenticate, async (req, res, next) => {
  */
 router.delete('/me', authenticate, async (req, res, next) => {
   try {
-    const { password } = req.body;
-
-    if (!password) {
-      throw new ValidationError('Password confirmation is required to delete account');
-    }
-
-    // Verify password
-    const bcrypt = await import('bcryptjs');
-    const user = await prisma.user.findUnique({
-      where: { id: req.userId }
-    });
-
-    const validPassword = await bcrypt.compare(password, user.passwordHash);
-    if (!validPassword) {
-      throw new ValidationError('Incorrect password');
-    }
-
-    // TODO: In production, implement soft delete or queue for deletion
-    // For now, we'll just revoke all sessions
-    await prisma.session.updateMany({
-      where: { userId: req.userId },
-      data: { revoked: true }
-    });
-
-    logger.info({ userId: req.userId }, 'Account deletion requested');
+    const { scheduledFor } = await accountService.requestDeletion(req.userId, req.body.password);
 
     res.json({
       success: true,
-      message: 'Account marked for deletion. Data will be removed within 30 days.'
+      scheduledFor,
+      message: `Account marked for deletion. Data will be permanently removed on ${scheduledFor.toISOString().slice(0, 10)}. Log in before then to cancel.`
     });
   } catch (err) {
     next(err);
@@ -347,9 +349,26 @@ router.delete('/me/devices/:deviceId', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/users/me/blocks
+ * List users blocked by the current user
+ */
+router.get('/me/blocks', authenticate, async (req, res, next) => {
+  try {
+    const blocks = await blockService.listBlocks(req.userId);
+
+    res.json({
+      success: true,
+      blocks
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * POST /api/users/block/:userId
- * Block a user (placeholder)
+ * Block a user
  */
 router.post('/block/:userId', authenticate, async (req, res, next) => {
   try {
@@ -359,13 +378,11 @@ router.post('/block/:userId', authenticate, async (req, res, next) => {
       throw new ValidationError('Cannot block yourself');
     }
 
-    // TODO: Implement blocking system with Block model
-
-    logger.info({ blocker: req.userId, blocked: userId }, 'User blocked');
+    await blockService.blockUser(req.userId, userId);
 
     res.json({
       success: true,
-      message: 'User blocked successfully (feature coming soon)'
+      message: 'User blocked successfully'
     });
   } catch (err) {
     next(err);
@@ -374,17 +391,17 @@ router.post('/block/:userId', authenticate, async (req, res, next) => {
 
 /**
  * DELETE /api/users/block/:userId
- * Unblock a user (placeholder)
+ * Unblock a user
  */
 router.delete('/block/:userId', authenticate, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    // TODO: Implement unblocking
+    await blockService.unblockUser(req.userId, userId);
 
     res.json({
       success: true,
-      message: 'User unblocked successfully (feature coming soon)'
+      message: 'User unblocked successfully'
     });
   } catch (err) {
     next(err);
@@ -0,0 +1,56 @@
+import { PrismaClient } from '@prisma/client';
+import { ROLES } from '../middleware/authenticate.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Set a user's role from the command line
+ * Usage: npm run admin:promote -- <email> [role]
+ * Role defaults to admin. Takes effect on the user's next login or token refresh.
+ */
+async function main() {
+  const [email, role = 'admin'] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: npm run admin:promote -- <email> [role]');
+    console.error(`Roles: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Unknown role "${role}". Choose from: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() },
+    select: { id: true, email: true, role: true }
+  });
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exit(1);
+  }
+
+  if (user.role === role) {
+    console.log(`${user.email} is already ${role}`);
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { role }
+  });
+
+  console.log(`✅ ${user.email}: ${user.role} → ${role}`);
+  console.log('The new role applies on their next login or token refresh.');
+}
+
+main()
+  .catch((e) => {
+    console.error('Error updating role:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,204 @@
+import bcrypt from 'bcryptjs';
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { keyFromUrl, deleteObjects } from '../utils/storage.js';
+
+const prisma = new PrismaClient();
+
+export class AccountService {
+  constructor() {
+    this.GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    this.PURGE_BATCH_SIZE = 50;
+  }
+
+  /**
+   * Schedule account deletion after the grace period
+   * Signs out every device; logging in again before the deadline cancels
+   */
+  async requestDeletion(userId, password) {
+    if (!password) {
+      throw new ValidationError('Password confirmation is required to delete account');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const validPassword = await bcrypt.compare(password, user.passwordHash);
+    if (!validPassword) {
+      throw new ValidationError('Incorrect password');
+    }
+
+    // Requesting again keeps the original schedule
+    if (user.deletionScheduledFor) {
+      return { scheduledFor: user.deletionScheduledFor };
+    }
+
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + this.GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          deletionRequestedAt: requestedAt,
+          deletionScheduledFor: scheduledFor
+        }
+      }),
+      prisma.session.updateMany({
+        where: { userId, revoked: false },
+        data: { revoked: true }
+      })
+    ]);
+
+    logger.info({ userId, scheduledFor }, 'Account deletion scheduled');
+
+    return { scheduledFor };
+  }
+
+  /**
+   * Cancel a pending deletion - returns true if one was cancelled
+   */
+  async cancelDeletion(userId) {
+    const result = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        deletionRequestedAt: { not: null }
+      },
+      data: {
+        deletionRequestedAt: null,
+        deletionScheduledFor: null
+      }
+    });
+
+    if (result.count > 0) {
+      logger.info({ userId }, 'Account deletion cancelled');
+    }
+
+    return result.count > 0;
+  }
+
+  /**
+   * Permanently delete an account, its data and its stored files
+   */
+  async purgeAccount(userId) {
+    const [media, exports] = await Promise.all([
+      prisma.mediaAsset.findMany({
+        where: { userId },
+        select: { url: true }
+      }),
+      prisma.exportJob.findMany({
+        where: { userId, storageKey: { not: null } },
+        select: { storageKey: true }
+      })
+    ]);
+
+    const keys = [
+      ...media.map(asset => keyFromUrl(asset.url)).filter(Boolean),
+      ...exports.map(job => job.storageKey)
+    ];
+
+    // Files go first: if this fails the account stays scheduled and is retried next run
+    if (keys.length > 0) {
+      const failed = await deleteObjects(keys);
+
+      if (failed.length > 0) {
+        throw new Error(`Failed to delete ${failed.length} stored files`);
+      }
+    }
+
+    // Delete in order (respecting foreign keys)
+    await prisma.$transaction(async (tx) => {
+      // Delete sessions
+      await tx.session.deleteMany({
+        where: { userId }
+      });
+
+      // Delete devices
+      await tx.device.deleteMany({
+        where: { userId }
+      });
+
+      // Delete messages
+      await tx.message.deleteMany({
+        where: {
+          OR: [
+            { senderId: userId },
+            { recipientId: userId }
+          ]
+        }
+      });
+
+      // Delete beacons
+      await tx.beacon.deleteMany({
+        where: { userId }
+      });
+
+      // Delete spots
+      await tx.spot.deleteMany({
+        where: { userId }
+      });
+
+      // Delete media
+      await tx.mediaAsset.deleteMany({
+        where: { userId }
+      });
+
+      // Delete reports
+      await tx.report.deleteMany({
+        where: { reporterId: userId }
+      });
+
+      // Delete purchases
+      await tx.purchase.deleteMany({
+        where: { userId }
+      });
+
+      // Delete subscription
+      await tx.subscription.deleteMany({
+        where: { userId }
+      });
+
+      // Finally, delete user (remaining relations cascade)
+      await tx.user.delete({
+        where: { id: userId }
+      });
+    });
+
+    logger.info({ userId, filesDeleted: keys.length }, 'User account purged');
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   */
+  async purgeDueAccounts() {
+    const due = await prisma.user.findMany({
+      where: {
+        deletionScheduledFor: { lte: new Date() }
+      },
+      select: { id: true },
+      orderBy: { deletionScheduledFor: 'asc' },
+      take: this.PURGE_BATCH_SIZE
+    });
+
+    let purged = 0;
+
+    for (const { id } of due) {
+      try {
+        await this.purgeAccount(id);
+        purged++;
+      } catch (err) {
+        logger.error({ err, userId: id }, 'Failed to purge account');
+      }
+    }
+
+    return { due: due.length, purged };
+  }
+}
+
+export default AccountService;
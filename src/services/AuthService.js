@@ -1,11 +1,17 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { randomUUID } from 'crypto';
+import { randomUUID, randomBytes } from 'crypto';
 import otplib from 'otplib';
 import { PrismaClient } from '@prisma/client';
-import { ValidationError, UnauthorizedError, ConflictError } from '../middleware/errorHandler.js';
+import { ValidationError, UnauthorizedError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import { userRegistrations } from '../utils/metrics.js';
+import { encryptSecret, decryptSecret, sha256 } from '../utils/crypto.js';
+import { MailService } from './MailService.js';
+import { ModerationService } from './ModerationService.js';
+import { ConsentService } from './ConsentService.js';
+import { AccountService } from './AccountService.js';
+import { NotificationService } from './NotificationService.js';
 
 const prisma = new PrismaClient();
 
@@ -13,6 +19,15 @@ export class AuthService {
   constructor() {
     this.ACCESS_TTL = '15m';
     this.REFRESH_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+    this.TOTP_ISSUER = process.env.TOTP_ISSUER || 'SocialApp';
+    this.RECOVERY_CODE_COUNT = 10;
+    this.RESET_TOKEN_TTL_MINUTES = 60;
+    this.RESET_REQUEST_COOLDOWN_SECONDS = 60;
+    this.mailService = new MailService();
+    this.moderationService = new ModerationService(this.mailService);
+    this.consentService = new ConsentService();
+    this.accountService = new AccountService();
+    this.notificationService = new NotificationService();
   }
 
   /**
@@ -119,11 +134,22 @@ export class AuthService {
     // Issue tokens
     const tokens = await this.issueTokens(user.id, deviceId);
 
+    // Logging in during the grace period cancels a pending deletion
+    const deletionCancelled = await this.accountService.cancelDeletion(user.id);
+    if (deletionCancelled) {
+      Object.assign(user, { deletionRequestedAt: null, deletionScheduledFor: null });
+    }
+
     logger.info({ userId: user.id, deviceId }, 'User logged in');
 
+    // Lets clients prompt for consent when the privacy policy has changed
+    const { reconsentRequired } = await this.consentService.getConsents(user.id);
+
     return {
       user: this.sanitizeUser(user),
-      ...tokens
+      ...tokens,
+      reconsentRequired,
+      deletionCancelled
     };
   }
 
@@ -156,32 +182,271 @@ export class AuthService {
       throw new UnauthorizedError('2FA not enabled for this user');
     }
 
-    // Verify TOTP code
-    const valid = otplib.authenticator.check(code, user.totpSecret);
+    // Verify TOTP code, falling back to a one-time recovery code
+    let usedRecoveryCode = false;
 
-    if (!valid) {
-      throw new UnauthorizedError('Invalid 2FA code');
+    if (!(await this.checkTotp(user, code))) {
+      usedRecoveryCode = await this.consumeRecoveryCode(user.id, code);
+
+      if (!usedRecoveryCode) {
+        throw new UnauthorizedError('Invalid 2FA code');
+      }
     }
 
     // Issue full tokens
     const tokens = await this.issueTokens(user.id, deviceId);
 
-    logger.info({ userId: user.id }, '2FA verification successful');
+    const deletionCancelled = await this.accountService.cancelDeletion(user.id);
+    if (deletionCancelled) {
+      Object.assign(user, { deletionRequestedAt: null, deletionScheduledFor: null });
+    }
 
-    return {
+    logger.info({ userId: user.id, usedRecoveryCode }, '2FA verification successful');
+
+    const { reconsentRequired } = await this.consentService.getConsents(user.id);
+
+    const result = {
       user: this.sanitizeUser(user),
-      ...tokens
+      ...tokens,
+      reconsentRequired,
+      deletionCancelled
+    };
+
+    if (usedRecoveryCode) {
+      result.recoveryCodesRemaining = await prisma.recoveryCode.count({
+        where: { userId: user.id, usedAt: null }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Start 2FA enrollment - generate and store a new TOTP secret
+   * 2FA stays disabled until the secret is confirmed with enable2FA
+   */
+  async setup2FA(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      throw new UnauthorizedError('User not found');
+    }
+
+    if (user.twoFAEnabled) {
+      throw new ConflictError('2FA is already enabled');
+    }
+
+    const secret = otplib.authenticator.generateSecret();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { totpSecret: encryptSecret(secret) }
+    });
+
+    logger.info({ userId }, '2FA setup started');
+
+    return {
+      secret,
+      otpauthUrl: otplib.authenticator.keyuri(user.email, this.TOTP_ISSUER, secret)
     };
   }
 
+  /**
+   * Confirm 2FA enrollment with a first code and issue recovery codes
+   */
+  async enable2FA(userId, code) {
+    if (!code) {
+      throw new ValidationError('2FA code is required');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      throw new UnauthorizedError('User not found');
+    }
+
+    if (user.twoFAEnabled) {
+      throw new ConflictError('2FA is already enabled');
+    }
+
+    if (!user.totpSecret) {
+      throw new ValidationError('Start 2FA setup before enabling it');
+    }
+
+    if (!(await this.checkTotp(user, code))) {
+      throw new ValidationError('Invalid 2FA code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({
+        where: { userId }
+      }),
+      prisma.recoveryCode.createMany({
+        data: recoveryCodes.map(recoveryCode => ({
+          userId,
+          codeHash: this.hashRecoveryCode(recoveryCode)
+        }))
+      }),
+      prisma.user.update({
+        where: { id: userId },
+        data: { twoFAEnabled: true }
+      })
+    ]);
+
+    logger.info({ userId }, '2FA enabled');
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Disable 2FA - requires password and a current TOTP or recovery code
+   */
+  async disable2FA(userId, password, code) {
+    if (!password || !code) {
+      throw new ValidationError('Password and 2FA code are required');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      throw new UnauthorizedError('User not found');
+    }
+
+    if (!user.twoFAEnabled) {
+      throw new ValidationError('2FA is not enabled');
+    }
+
+    const validPassword = await bcrypt.compare(password, user.passwordHash);
+
+    if (!validPassword) {
+      throw new ValidationError('Incorrect password');
+    }
+
+    if (!(await this.checkTotp(user, code)) && !(await this.consumeRecoveryCode(userId, code))) {
+      throw new ValidationError('Invalid 2FA code');
+    }
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({
+        where: { userId }
+      }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFAEnabled: false,
+          totpSecret: null
+        }
+      })
+    ]);
+
+    logger.info({ userId }, '2FA disabled');
+
+    return { success: true };
+  }
+
+  /**
+   * Check a TOTP code against the user's encrypted secret
+   * Each code is accepted once: its time step is recorded, and codes from that
+   * step or an earlier one are refused (also when two requests race with one code)
+   */
+  async checkTotp(user, code) {
+    if (!user.totpSecret) {
+      return false;
+    }
+
+    const delta = otplib.authenticator.checkDelta(String(code), decryptSecret(user.totpSecret));
+    if (delta === null) {
+      return false;
+    }
+
+    const { step: stepSeconds } = otplib.authenticator.allOptions();
+    const step = Math.floor(Date.now() / 1000 / stepSeconds) + delta;
+
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { totpLastUsedStep: null },
+          { totpLastUsedStep: { lt: step } }
+        ]
+      },
+      data: { totpLastUsedStep: step }
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Generate plaintext recovery codes (shown to the user once)
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+      const raw = randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code, ignoring case and formatting
+   */
+  hashRecoveryCode(code) {
+    return sha256(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''));
+  }
+
+  /**
+   * Mark a matching unused recovery code as used
+   * Returns true if a code was consumed
+   */
+  async consumeRecoveryCode(userId, code) {
+    const result = await prisma.recoveryCode.updateMany({
+      where: {
+        userId,
+        codeHash: this.hashRecoveryCode(code),
+        usedAt: null
+      },
+      data: {
+        usedAt: new Date()
+      }
+    });
+
+    if (result.count > 0) {
+      logger.warn({ userId }, 'Recovery code used');
+    }
+
+    return result.count > 0;
+  }
+
   /**
    * Issue access and refresh tokens
    */
   async issueTokens(userId, deviceId) {
     const jti = randomUUID();
 
+    // Role is carried in the access token so route guards don't need a lookup
+    const user = await prisma.user.findUniqueOrThrow({
+      where: { id: userId },
+      select: { role: true, suspendedUntil: true, bannedAt: true }
+    });
+
+    // Covers login, 2FA and refresh - restricted accounts get no new tokens
+    const restriction = this.moderationService.restrictionFor(user);
+    if (restriction) {
+      throw new ForbiddenError(this.moderationService.describeRestriction(restriction).message);
+    }
+
+    const { role } = user;
+
+    // did identifies the device for per-device data such as encryption keys
     const accessToken = jwt.sign(
-      { sub: userId, type: 'access' },
+      { sub: userId, type: 'access', role, did: deviceId },
       process.env.JWT_SECRET,
       { expiresIn: this.ACCESS_TTL }
     );
@@ -299,6 +564,9 @@ export class AuthService {
         data: { revoked: true }
       });
 
+      // A signed-out device shouldn't keep receiving the account's notifications
+      await this.notificationService.removePushToken(payload.sub, payload.did);
+
       logger.info({ userId: payload.sub, jti: payload.jti }, 'User logged out');
     } catch (err) {
       // Token might be invalid, but that's okay for logout
@@ -322,11 +590,118 @@ export class AuthService {
       }
     });
 
+    await this.notificationService.removeAllPushTokens(userId);
+
     logger.info({ userId, count: result.count }, 'User logged out from all devices');
 
     return { success: true, revokedSessions: result.count };
   }
 
+  /**
+   * Start password reset - email a one-time token if the account exists
+   * Always resolves the same way so callers can't probe for accounts
+   */
+  async requestPasswordReset(email) {
+    if (!email) {
+      throw new ValidationError('Email is required');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() }
+    });
+
+    if (!user) {
+      logger.info('Password reset requested for unknown email');
+      return;
+    }
+
+    // Quietly ignore rapid repeat requests
+    const recent = await prisma.passwordResetToken.findFirst({
+      where: {
+        userId: user.id,
+        createdAt: {
+          gt: new Date(Date.now() - this.RESET_REQUEST_COOLDOWN_SECONDS * 1000)
+        }
+      }
+    });
+
+    if (recent) {
+      logger.info({ userId: user.id }, 'Password reset requested during cooldown');
+      return;
+    }
+
+    const token = randomBytes(32).toString('hex');
+
+    await prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: sha256(token),
+        expiresAt: new Date(Date.now() + this.RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+      }
+    });
+
+    // Not awaited so response timing doesn't reveal whether the account exists
+    this.mailService.sendPasswordResetEmail(user, token, this.RESET_TOKEN_TTL_MINUTES).catch(err => {
+      logger.error({ err, userId: user.id }, 'Failed to send password reset email');
+    });
+
+    logger.info({ userId: user.id }, 'Password reset requested');
+  }
+
+  /**
+   * Complete password reset with an emailed token
+   * Revokes every session on success
+   */
+  async resetPassword(token, newPassword) {
+    if (!token || !newPassword) {
+      throw new ValidationError('Reset token and new password are required');
+    }
+
+    if (newPassword.length < 8) {
+      throw new ValidationError('Password must be at least 8 characters');
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: sha256(token) }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      throw new ValidationError('Invalid or expired reset token');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    const now = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      // Consume the token atomically so it can't be replayed concurrently
+      const consumed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: now }
+      });
+
+      if (consumed.count === 0) {
+        throw new ValidationError('Invalid or expired reset token');
+      }
+
+      // Invalidate any other outstanding reset tokens
+      await tx.passwordResetToken.updateMany({
+        where: { userId: resetToken.userId, usedAt: null },
+        data: { usedAt: now }
+      });
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { passwordHash }
+      });
+    });
+
+    await this.logoutAllDevices(resetToken.userId);
+
+    logger.info({ userId: resetToken.userId }, 'Password reset completed');
+
+    return { success: true };
+  }
+
   /**
    * Sign temporary token (for 2FA flow)
    */
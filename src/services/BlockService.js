@@ -0,0 +1,133 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const prisma = new PrismaClient();
+
+export class BlockService {
+  /**
+   * Block a user
+   */
+  async blockUser(blockerId, blockedId) {
+    if (!blockerId || !blockedId) {
+      throw new ValidationError('Blocker and blocked user IDs are required');
+    }
+
+    if (blockerId === blockedId) {
+      throw new ValidationError('Cannot block yourself');
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id: blockedId },
+      select: { id: true }
+    });
+
+    if (!target) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Blocking twice is a no-op
+    const block = await prisma.block.upsert({
+      where: {
+        blockerId_blockedId: {
+          blockerId,
+          blockedId
+        }
+      },
+      create: {
+        blockerId,
+        blockedId
+      },
+      update: {}
+    });
+
+    logger.info({ blocker: blockerId, blocked: blockedId }, 'User blocked');
+
+    return block;
+  }
+
+  /**
+   * Unblock a user
+   */
+  async unblockUser(blockerId, blockedId) {
+    const result = await prisma.block.deleteMany({
+      where: {
+        blockerId,
+        blockedId
+      }
+    });
+
+    if (result.count === 0) {
+      throw new NotFoundError('User is not blocked');
+    }
+
+    logger.info({ blocker: blockerId, blocked: blockedId }, 'User unblocked');
+
+    return { success: true };
+  }
+
+  /**
+   * List users blocked by a user
+   */
+  async listBlocks(userId) {
+    const blocks = await prisma.block.findMany({
+      where: { blockerId: userId },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      include: {
+        blocked: {
+          select: {
+            id: true,
+            displayName: true,
+            photoUrl: true
+          }
+        }
+      }
+    });
+
+    return blocks.map(block => ({
+      id: block.id,
+      user: block.blocked,
+      blockedAt: block.createdAt
+    }));
+  }
+
+  /**
+   * Check if either user has blocked the other
+   */
+  async isBlockedBetween(userId, otherUserId) {
+    const count = await prisma.block.count({
+      where: {
+        OR: [
+          { blockerId: userId, blockedId: otherUserId },
+          { blockerId: otherUserId, blockedId: userId }
+        ]
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * IDs of every user blocked by, or blocking, a user
+   */
+  async getBlockedUserIds(userId) {
+    const blocks = await prisma.block.findMany({
+      where: {
+        OR: [
+          { blockerId: userId },
+          { blockedId: userId }
+        ]
+      },
+      select: {
+        blockerId: true,
+        blockedId: true
+      }
+    });
+
+    return blocks.map(block => (block.blockerId === userId ? block.blockedId : block.blockerId));
+  }
+}
+
+export default BlockService;
@@ -0,0 +1,131 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const prisma = new PrismaClient();
+
+// Bump together with the policy text served by GET /api/privacy/policy.
+// Consent given for an older version no longer counts.
+export const PRIVACY_POLICY_VERSION = '2024-01-01';
+
+export const CONSENT_CATEGORIES = {
+  necessary: {
+    required: true,
+    description: 'Essential for the app to function'
+  },
+  analytics: {
+    required: false,
+    description: 'Help us improve the app'
+  },
+  marketing: {
+    required: false,
+    description: 'Personalized content and offers'
+  },
+  thirdParty: {
+    required: false,
+    description: 'Third-party integrations and features'
+  }
+};
+
+const CONSENT_SOURCES = ['app', 'web', 'registration', 'api'];
+
+export class ConsentService {
+  /**
+   * Current consent state, derived from each category's latest ledger entry
+   */
+  async getConsents(userId) {
+    const latest = await prisma.consentRecord.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      distinct: ['category']
+    });
+
+    const byCategory = Object.fromEntries(latest.map(record => [record.category, record]));
+
+    const consents = {};
+    for (const [category, { required, description }] of Object.entries(CONSENT_CATEGORIES)) {
+      const record = byCategory[category];
+      const current = record?.policyVersion === PRIVACY_POLICY_VERSION;
+
+      consents[category] = {
+        // Consent for an outdated policy doesn't count
+        accepted: Boolean(record?.accepted && current),
+        required,
+        description,
+        policyVersion: record?.policyVersion || null,
+        recordedAt: record?.createdAt || null
+      };
+    }
+
+    return {
+      policyVersion: PRIVACY_POLICY_VERSION,
+      reconsentRequired: !consents.necessary.accepted,
+      consents
+    };
+  }
+
+  /**
+   * Append consent decisions to the ledger
+   * policyVersion must match the version the user was shown
+   */
+  async recordConsents(userId, decisions, { policyVersion, source = 'api' } = {}) {
+    if (policyVersion !== PRIVACY_POLICY_VERSION) {
+      throw new ConflictError(`The privacy policy has been updated. Please review version ${PRIVACY_POLICY_VERSION}`);
+    }
+
+    if (!CONSENT_SOURCES.includes(source)) {
+      throw new ValidationError(`Source must be one of: ${CONSENT_SOURCES.join(', ')}`);
+    }
+
+    const entries = Object.entries(decisions).filter(([, accepted]) => accepted !== undefined);
+
+    if (entries.length === 0) {
+      throw new ValidationError('At least one consent decision is required');
+    }
+
+    for (const [category, accepted] of entries) {
+      if (!CONSENT_CATEGORIES[category]) {
+        throw new ValidationError(`Unknown consent category: ${category}`);
+      }
+
+      if (typeof accepted !== 'boolean') {
+        throw new ValidationError(`${category} must be true or false`);
+      }
+
+      if (CONSENT_CATEGORIES[category].required && !accepted) {
+        throw new ValidationError(`${category} consent is required to use the app. Delete your account to withdraw it`);
+      }
+    }
+
+    await prisma.consentRecord.createMany({
+      data: entries.map(([category, accepted]) => ({
+        userId,
+        category,
+        accepted,
+        policyVersion,
+        source
+      }))
+    });
+
+    logger.info({
+      userId,
+      policyVersion,
+      source,
+      decisions: Object.fromEntries(entries)
+    }, 'Consent recorded');
+
+    return this.getConsents(userId);
+  }
+
+  /**
+   * Full ledger for a user (oldest first), for exports and audits
+   */
+  async getHistory(userId) {
+    return prisma.consentRecord.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+}
+
+export default ConsentService;
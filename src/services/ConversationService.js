@@ -0,0 +1,572 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { BlockService } from './BlockService.js';
+import { PrivacyService } from './PrivacyService.js';
+
+const prisma = new PrismaClient();
+const blockService = new BlockService();
+const privacyService = new PrivacyService();
+
+const participantUserSelect = {
+  id: true,
+  displayName: true,
+  photoUrl: true
+};
+
+export class ConversationService {
+  constructor() {
+    this.TYPES = ['direct', 'group', 'beacon'];
+    this.ROLES = ['member', 'admin'];
+    this.MAX_GROUP_SIZE = 50;
+    this.MAX_NAME_LENGTH = 100;
+  }
+
+  /**
+   * Key identifying the direct conversation between two users
+   */
+  directKey(userId, otherUserId) {
+    return [userId, otherUserId].sort().join(':');
+  }
+
+  /**
+   * Find the direct conversation between two users, if any
+   */
+  async findDirect(userId, otherUserId) {
+    return prisma.conversation.findUnique({
+      where: { directKey: this.directKey(userId, otherUserId) }
+    });
+  }
+
+  /**
+   * Get (or start) the direct conversation between two users
+   */
+  async getOrCreateDirect(userId, otherUserId) {
+    if (userId === otherUserId) {
+      throw new ValidationError('Cannot start a conversation with yourself');
+    }
+
+    const directKey = this.directKey(userId, otherUserId);
+
+    try {
+      return await prisma.conversation.upsert({
+        where: { directKey },
+        update: {},
+        create: {
+          type: 'direct',
+          directKey,
+          createdById: userId,
+          participants: {
+            create: [{ userId }, { userId: otherUserId }]
+          }
+        }
+      });
+    } catch (err) {
+      // Lost a race with the other user starting the same conversation
+      if (err.code === 'P2002') {
+        return prisma.conversation.findUnique({ where: { directKey } });
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Create a group conversation - the creator becomes its admin
+   */
+  async createGroup(creatorId, { name, participantIds = [], encrypted = false }) {
+    const groupName = this.validateName(name);
+
+    if (!Array.isArray(participantIds)) {
+      throw new ValidationError('participantIds must be an array');
+    }
+
+    const memberIds = [...new Set(participantIds)].filter(id => id !== creatorId);
+
+    if (memberIds.length === 0) {
+      throw new ValidationError('Add at least one other participant');
+    }
+
+    if (memberIds.length + 1 > this.MAX_GROUP_SIZE) {
+      throw new ValidationError(`Groups are limited to ${this.MAX_GROUP_SIZE} participants`);
+    }
+
+    await this.assertCanAdd(creatorId, memberIds);
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        type: 'group',
+        name: groupName,
+        encrypted: encrypted === true,
+        createdById: creatorId,
+        participants: {
+          create: [
+            { userId: creatorId, role: 'admin' },
+            ...memberIds.map(userId => ({ userId }))
+          ]
+        }
+      }
+    });
+
+    logger.info({ conversationId: conversation.id, creatorId, size: memberIds.length + 1 }, 'Group conversation created');
+
+    return this.getConversation(conversation.id, creatorId);
+  }
+
+  /**
+   * Create a beacon's chat room with its host as admin (inside the beacon's transaction)
+   */
+  async createBeaconRoom(tx, beacon) {
+    return tx.conversation.create({
+      data: {
+        type: 'beacon',
+        beaconId: beacon.id,
+        createdById: beacon.userId,
+        participants: {
+          create: [{ userId: beacon.userId, role: 'admin' }]
+        }
+      }
+    });
+  }
+
+  /**
+   * Join a beacon's chat room - host and attendees only
+   */
+  async joinBeaconRoom(beaconId, userId) {
+    const beacon = await prisma.beacon.findUnique({
+      where: { id: beaconId },
+      include: {
+        chatRoom: true,
+        attendees: {
+          where: { userId },
+          select: { id: true }
+        }
+      }
+    });
+
+    if (!beacon || !beacon.chatRoom) {
+      throw new NotFoundError('Beacon chat not found');
+    }
+
+    if (beacon.userId !== userId && beacon.attendees.length === 0) {
+      throw new ForbiddenError('Join the beacon to chat with its attendees');
+    }
+
+    await prisma.conversationParticipant.upsert({
+      where: {
+        conversationId_userId: {
+          conversationId: beacon.chatRoom.id,
+          userId
+        }
+      },
+      update: {},
+      create: {
+        conversationId: beacon.chatRoom.id,
+        userId,
+        lastReadAt: new Date()
+      }
+    });
+
+    return this.getConversation(beacon.chatRoom.id, userId);
+  }
+
+  /**
+   * Remove a user from a beacon's chat room (when they leave the beacon)
+   * Returns the room ID if they were in it
+   */
+  async leaveBeaconRoom(beaconId, userId) {
+    const room = await prisma.conversation.findUnique({
+      where: { beaconId },
+      select: { id: true }
+    });
+
+    if (!room) return null;
+
+    const result = await prisma.conversationParticipant.deleteMany({
+      where: { conversationId: room.id, userId }
+    });
+
+    return result.count > 0 ? room.id : null;
+  }
+
+  /**
+   * Get a conversation with its participants (participants only)
+   */
+  async getConversation(conversationId, userId) {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      include: {
+        participants: {
+          include: {
+            user: { select: participantUserSelect }
+          },
+          orderBy: { joinedAt: 'asc' }
+        }
+      }
+    });
+
+    if (!conversation || !conversation.participants.some(p => p.userId === userId)) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    return this.serialize(conversation);
+  }
+
+  /**
+   * Participant row for a user - throws if they aren't in the conversation
+   */
+  async assertParticipant(conversationId, userId) {
+    const participant = await prisma.conversationParticipant.findUnique({
+      where: {
+        conversationId_userId: { conversationId, userId }
+      },
+      include: {
+        conversation: true
+      }
+    });
+
+    if (!participant) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    return participant;
+  }
+
+  /**
+   * Participant row for an admin - throws unless the user administers a group or beacon room
+   */
+  async assertAdmin(conversationId, userId) {
+    const participant = await this.assertParticipant(conversationId, userId);
+
+    if (participant.conversation.type === 'direct') {
+      throw new ValidationError('Direct conversations have no admins');
+    }
+
+    if (participant.role !== 'admin') {
+      throw new ForbiddenError('Only conversation admins can do this');
+    }
+
+    return participant;
+  }
+
+  /**
+   * User IDs of everyone in a conversation
+   */
+  async getParticipantIds(conversationId) {
+    const participants = await prisma.conversationParticipant.findMany({
+      where: { conversationId },
+      select: { userId: true }
+    });
+
+    return participants.map(p => p.userId);
+  }
+
+  /**
+   * Conversation IDs a user belongs to (for joining socket rooms)
+   */
+  async getConversationIds(userId) {
+    const participants = await prisma.conversationParticipant.findMany({
+      where: { userId },
+      select: { conversationId: true }
+    });
+
+    return participants.map(p => p.conversationId);
+  }
+
+  /**
+   * Rename a group
+   */
+  async updateGroup(conversationId, adminId, { name }) {
+    const { conversation } = await this.assertAdmin(conversationId, adminId);
+
+    if (conversation.type !== 'group') {
+      throw new ValidationError('Only groups can be renamed');
+    }
+
+    await prisma.conversation.update({
+      where: { id: conversationId },
+      data: { name: this.validateName(name) }
+    });
+
+    return this.getConversation(conversationId, adminId);
+  }
+
+  /**
+   * Turn on end-to-end encryption
+   * Either user can in a direct conversation, admins only in groups. Beacon rooms are
+   * open to anyone joining the beacon, so they stay plaintext.
+   */
+  async enableEncryption(conversationId, userId) {
+    const { conversation, role } = await this.assertParticipant(conversationId, userId);
+
+    if (conversation.type === 'beacon') {
+      throw new ValidationError('Beacon chat rooms cannot be encrypted');
+    }
+
+    if (conversation.type === 'group' && role !== 'admin') {
+      throw new ForbiddenError('Only conversation admins can do this');
+    }
+
+    if (!conversation.encrypted) {
+      await prisma.conversation.update({
+        where: { id: conversationId },
+        data: { encrypted: true }
+      });
+
+      logger.info({ conversationId, userId }, 'Conversation encryption enabled');
+    }
+
+    return this.getConversation(conversationId, userId);
+  }
+
+  /**
+   * Invite users to a group (admins only)
+   * Returns the IDs actually added
+   */
+  async addParticipants(conversationId, adminId, userIds) {
+    const { conversation } = await this.assertAdmin(conversationId, adminId);
+
+    if (conversation.type !== 'group') {
+      throw new ValidationError('Participants can only be invited to groups');
+    }
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      throw new ValidationError('userIds must be a non-empty array');
+    }
+
+    const existing = await this.getParticipantIds(conversationId);
+    const newIds = [...new Set(userIds)].filter(id => !existing.includes(id));
+
+    if (newIds.length === 0) {
+      return [];
+    }
+
+    if (existing.length + newIds.length > this.MAX_GROUP_SIZE) {
+      throw new ValidationError(`Groups are limited to ${this.MAX_GROUP_SIZE} participants`);
+    }
+
+    await this.assertCanAdd(adminId, newIds);
+
+    await prisma.conversationParticipant.createMany({
+      data: newIds.map(userId => ({ conversationId, userId })),
+      skipDuplicates: true
+    });
+
+    logger.info({ conversationId, adminId, added: newIds }, 'Participants added to group');
+
+    return newIds;
+  }
+
+  /**
+   * Remove a participant (admins only)
+   */
+  async removeParticipant(conversationId, adminId, userId) {
+    if (userId === adminId) {
+      throw new ValidationError('Use leave to remove yourself');
+    }
+
+    await this.assertAdmin(conversationId, adminId);
+
+    const result = await prisma.conversationParticipant.deleteMany({
+      where: { conversationId, userId }
+    });
+
+    if (result.count === 0) {
+      throw new NotFoundError('Participant not found');
+    }
+
+    logger.info({ conversationId, adminId, userId }, 'Participant removed from conversation');
+  }
+
+  /**
+   * Promote or demote a participant (admins only)
+   */
+  async setRole(conversationId, adminId, userId, role) {
+    if (!this.ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${this.ROLES.join(', ')}`);
+    }
+
+    await this.assertAdmin(conversationId, adminId);
+
+    const result = await prisma.conversationParticipant.updateMany({
+      where: { conversationId, userId },
+      data: { role }
+    });
+
+    if (result.count === 0) {
+      throw new NotFoundError('Participant not found');
+    }
+
+    await this.ensureAdmin(conversationId);
+
+    return this.getConversation(conversationId, adminId);
+  }
+
+  /**
+   * Leave a group or beacon room
+   * The longest-standing member takes over if the last admin leaves; empty groups are deleted
+   */
+  async leave(conversationId, userId) {
+    const { conversation } = await this.assertParticipant(conversationId, userId);
+
+    if (conversation.type === 'direct') {
+      throw new ValidationError('You cannot leave a direct conversation');
+    }
+
+    await prisma.conversationParticipant.delete({
+      where: {
+        conversationId_userId: { conversationId, userId }
+      }
+    });
+
+    const remaining = await prisma.conversationParticipant.count({
+      where: { conversationId }
+    });
+
+    if (remaining === 0 && conversation.type === 'group') {
+      await prisma.conversation.delete({ where: { id: conversationId } });
+      logger.info({ conversationId }, 'Empty group deleted');
+      return;
+    }
+
+    await this.ensureAdmin(conversationId);
+
+    logger.info({ conversationId, userId }, 'Conversation left');
+  }
+
+  /**
+   * Promote the longest-standing member if a group has no admin left
+   */
+  async ensureAdmin(conversationId) {
+    const admins = await prisma.conversationParticipant.count({
+      where: { conversationId, role: 'admin' }
+    });
+
+    if (admins > 0) return;
+
+    const successor = await prisma.conversationParticipant.findFirst({
+      where: { conversationId },
+      orderBy: { joinedAt: 'asc' }
+    });
+
+    if (successor) {
+      await prisma.conversationParticipant.update({
+        where: { id: successor.id },
+        data: { role: 'admin' }
+      });
+    }
+  }
+
+  /**
+   * Conversations for a user with their last message, newest first
+   */
+  async listConversations(userId, limit = 20) {
+    const conversations = await prisma.$queryRaw`
+      SELECT
+        c.id AS "conversationId",
+        c.type,
+        c.name,
+        c."beaconId",
+        c.encrypted,
+        partner.id AS "partnerId",
+        partner."displayName" AS "partnerName",
+        partner."photoUrl" AS "partnerPhoto",
+        (SELECT COUNT(*)::int FROM "ConversationParticipant" cp WHERE cp."conversationId" = c.id) AS "participantCount",
+        last.content AS "lastMessage",
+        last."createdAt" AS "lastMessageAt",
+        last."senderId" = ${userId} AS "sentByMe",
+        CASE
+          WHEN c.type = 'direct' THEN last.read
+          ELSE me."lastReadAt" IS NOT NULL AND me."lastReadAt" >= last."createdAt"
+        END AS "isRead"
+      FROM "ConversationParticipant" me
+      JOIN "Conversation" c ON c.id = me."conversationId"
+      LEFT JOIN LATERAL (
+        SELECT u.id, u."displayName", u."photoUrl", u."deletionRequestedAt"
+        FROM "ConversationParticipant" other
+        JOIN "User" u ON u.id = other."userId"
+        WHERE c.type = 'direct'
+          AND other."conversationId" = c.id
+          AND other."userId" <> ${userId}
+        LIMIT 1
+      ) partner ON true
+      LEFT JOIN LATERAL (
+        SELECT m.content, m."createdAt", m."senderId", m.read
+        FROM "Message" m
+        WHERE m."conversationId" = c.id
+          AND m.hidden = false
+        ORDER BY m."createdAt" DESC
+        LIMIT 1
+      ) last ON true
+      WHERE me."userId" = ${userId}
+        AND (c.type <> 'direct' OR last."createdAt" IS NOT NULL)
+        AND partner."deletionRequestedAt" IS NULL
+      ORDER BY COALESCE(last."createdAt", c."createdAt") DESC
+      LIMIT ${limit}
+    `;
+
+    return conversations;
+  }
+
+  /**
+   * Check the user may add each of these users to a conversation
+   */
+  async assertCanAdd(userId, memberIds) {
+    const users = await prisma.user.findMany({
+      where: { id: { in: memberIds }, deletionRequestedAt: null },
+      select: { id: true }
+    });
+
+    if (users.length !== memberIds.length) {
+      throw new NotFoundError('One or more users were not found');
+    }
+
+    for (const memberId of memberIds) {
+      // Blocks apply in both directions
+      if (await blockService.isBlockedBetween(userId, memberId)) {
+        throw new ForbiddenError('You cannot add one or more of these users');
+      }
+
+      // Adding someone starts messaging them
+      if (!(await privacyService.canMessage(userId, memberId))) {
+        throw new ForbiddenError('One or more of these users are not accepting messages from you');
+      }
+    }
+  }
+
+  validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmed) {
+      throw new ValidationError('Group name is required');
+    }
+
+    if (trimmed.length > this.MAX_NAME_LENGTH) {
+      throw new ValidationError(`Group name must be at most ${this.MAX_NAME_LENGTH} characters`);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Shape a conversation for the API
+   */
+  serialize(conversation) {
+    return {
+      id: conversation.id,
+      type: conversation.type,
+      name: conversation.name,
+      beaconId: conversation.beaconId,
+      createdById: conversation.createdById,
+      encrypted: conversation.encrypted,
+      lastMessageAt: conversation.lastMessageAt,
+      createdAt: conversation.createdAt,
+      participants: conversation.participants.map(p => ({
+        ...p.user,
+        role: p.role,
+        joinedAt: p.joinedAt
+      }))
+    };
+  }
+}
+
+export default ConversationService;
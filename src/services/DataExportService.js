@@ -0,0 +1,450 @@
+import { Readable } from 'stream';
+import { finished } from 'stream/promises';
+import archiver from 'archiver';
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { uploadStream, getDownloadUrl, deleteObject } from '../utils/storage.js';
+import { MailService } from './MailService.js';
+import { PrivacyService } from './PrivacyService.js';
+import { NotificationService } from './NotificationService.js';
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 1000;
+
+export class DataExportService {
+  constructor(mailService = new MailService()) {
+    this.mailService = mailService;
+    this.privacyService = new PrivacyService();
+    this.notificationService = new NotificationService();
+    this.FORMATS = ['json', 'csv'];
+    this.DOWNLOAD_TTL_DAYS = 7;
+    this.DOWNLOAD_URL_TTL_SECONDS = 60 * 60; // 1 hour
+    this.STALE_JOB_MINUTES = 60;
+
+    // One entry per exported entity
+    // single: one record per user; otherwise fetch(userId, cursor) returns a page ordered by id
+    this.collectors = {
+      user: {
+        single: true,
+        fetch: async (userId) => {
+          const user = await prisma.user.findUnique({ where: { id: userId } });
+          if (!user) return null;
+          const { passwordHash, totpSecret, ...safeUser } = user;
+          return safeUser;
+        }
+      },
+      subscription: {
+        single: true,
+        fetch: (userId) => prisma.subscription.findUnique({ where: { userId } })
+      },
+      privacySettings: {
+        single: true,
+        fetch: (userId) => this.privacyService.getSettings(userId)
+      },
+      notificationSettings: {
+        single: true,
+        fetch: (userId) => this.notificationService.getSettings(userId)
+      },
+      notifications: {
+        fetch: (userId, cursor) => this.page(prisma.notification, { userId }, cursor)
+      },
+      consentRecords: {
+        fetch: (userId, cursor) => this.page(prisma.consentRecord, { userId }, cursor)
+      },
+      devices: {
+        fetch: (userId, cursor) => this.page(prisma.device, { userId }, cursor)
+      },
+      sessions: {
+        fetch: async (userId, cursor) => {
+          const sessions = await this.page(prisma.session, { userId }, cursor);
+          return sessions.map(s => ({
+            id: s.id,
+            deviceId: s.deviceId,
+            createdAt: s.createdAt,
+            expiresAt: s.expiresAt,
+            revoked: s.revoked
+          }));
+        }
+      },
+      messages: {
+        // Unsent messages appear as tombstones, without their content or history
+        fetch: (userId, cursor) => this.page(prisma.message, {
+          OR: [
+            { senderId: userId },
+            { recipientId: userId }
+          ]
+        }, cursor, {
+          include: {
+            edits: {
+              select: { content: true, editedAt: true },
+              orderBy: { editedAt: 'asc' }
+            }
+          }
+        })
+      },
+      messageReactions: {
+        fetch: (userId, cursor) => this.page(prisma.messageReaction, { userId }, cursor)
+      },
+      conversations: {
+        fetch: (userId, cursor) => this.page(prisma.conversationParticipant, { userId }, cursor)
+      },
+      beacons: {
+        fetch: (userId, cursor) => this.page(prisma.beacon, { userId }, cursor)
+      },
+      beaconAttendances: {
+        fetch: (userId, cursor) => this.page(prisma.beaconAttendee, { userId }, cursor)
+      },
+      spots: {
+        fetch: (userId, cursor) => this.page(prisma.spot, { userId }, cursor)
+      },
+      media: {
+        fetch: (userId, cursor) => this.page(prisma.mediaAsset, { userId }, cursor)
+      },
+      blocks: {
+        fetch: (userId, cursor) => this.page(prisma.block, { blockerId: userId }, cursor)
+      },
+      reports: {
+        fetch: (userId, cursor) => this.page(prisma.report, { reporterId: userId }, cursor)
+      },
+      purchases: {
+        fetch: (userId, cursor) => this.page(prisma.purchase, { userId }, cursor)
+      }
+    };
+  }
+
+  /**
+   * Fetch one page of a user's rows, keyset-paginated by id
+   */
+  page(model, where, cursor, args = {}) {
+    return model.findMany({
+      ...args,
+      where,
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+  }
+
+  /**
+   * Yield an entity's rows in batches
+   */
+  async *batches(name, userId) {
+    const collector = this.collectors[name];
+
+    if (collector.single) {
+      const record = await collector.fetch(userId);
+      yield record ? [record] : [];
+      return;
+    }
+
+    let cursor = null;
+    while (true) {
+      const rows = await collector.fetch(userId, cursor);
+      if (rows.length > 0) {
+        yield rows;
+      }
+      if (rows.length < BATCH_SIZE) {
+        return;
+      }
+      cursor = rows[rows.length - 1].id;
+    }
+  }
+
+  /**
+   * Collect everything in memory (synchronous /export)
+   */
+  async collect(userId) {
+    const data = { exportDate: new Date().toISOString() };
+
+    for (const [name, collector] of Object.entries(this.collectors)) {
+      const rows = [];
+      for await (const batch of this.batches(name, userId)) {
+        rows.push(...batch);
+      }
+      data[name] = collector.single ? (rows[0] || null) : rows;
+    }
+
+    return data;
+  }
+
+  /**
+   * Queue an export job - returns the user's active job if one is already running
+   */
+  async createJob(userId, format = 'json') {
+    if (!this.FORMATS.includes(format)) {
+      throw new ValidationError(`Format must be one of: ${this.FORMATS.join(', ')}`);
+    }
+
+    const active = await prisma.exportJob.findFirst({
+      where: {
+        userId,
+        status: { in: ['pending', 'processing'] }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (active) {
+      return { job: active, existing: true };
+    }
+
+    const job = await prisma.exportJob.create({
+      data: { userId, format }
+    });
+
+    logger.info({ userId, jobId: job.id, format }, 'Data export job queued');
+
+    // Run in the background; failures are recorded on the job
+    setImmediate(() => {
+      this.runJob(job.id).catch(err => {
+        logger.error({ err, jobId: job.id }, 'Data export job crashed');
+      });
+    });
+
+    return { job, existing: false };
+  }
+
+  /**
+   * Build the ZIP for a job and upload it
+   */
+  async runJob(jobId) {
+    // Claim the job so concurrent workers don't both run it
+    const claimed = await prisma.exportJob.updateMany({
+      where: { id: jobId, status: 'pending' },
+      data: { status: 'processing', startedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      return;
+    }
+
+    const job = await prisma.exportJob.findUnique({ where: { id: jobId } });
+    const storageKey = `exports/${job.userId}/${job.id}.zip`;
+
+    try {
+      const sizeBytes = await this.writeArchive(job, storageKey);
+      const completedAt = new Date();
+
+      await prisma.exportJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'completed',
+          storageKey,
+          sizeBytes,
+          completedAt,
+          expiresAt: new Date(completedAt.getTime() + this.DOWNLOAD_TTL_DAYS * 24 * 60 * 60 * 1000)
+        }
+      });
+
+      logger.info({ jobId, userId: job.userId, sizeBytes }, 'Data export completed');
+
+      const user = await prisma.user.findUnique({
+        where: { id: job.userId },
+        select: { email: true, displayName: true }
+      });
+
+      if (user) {
+        this.mailService.sendDataExportReadyEmail(user, this.DOWNLOAD_TTL_DAYS).catch(err => {
+          logger.error({ err, jobId }, 'Failed to send data export email');
+        });
+      }
+    } catch (err) {
+      logger.error({ err, jobId }, 'Data export failed');
+
+      await prisma.exportJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'failed',
+          error: err.message,
+          completedAt: new Date()
+        }
+      });
+    }
+  }
+
+  /**
+   * Stream one file per entity into a ZIP on S3, returning its size
+   */
+  async writeArchive(job, storageKey) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const upload = uploadStream(storageKey, archive, 'application/zip');
+
+    const counts = {};
+
+    const written = Object.keys(this.collectors).map(name => {
+      const entry = Readable.from(this.serializeEntity(name, job, counts));
+      archive.append(entry, { name: `${name}.${job.format}` });
+      // Errors surface through the archive itself
+      return finished(entry).catch(() => {});
+    });
+
+    // Archiver may start reading this early, so wait until every count is in
+    archive.append(Readable.from((async function* () {
+      await Promise.all(written);
+      yield JSON.stringify({
+        exportDate: new Date().toISOString(),
+        jobId: job.id,
+        format: job.format,
+        counts
+      }, null, 2);
+    })()), { name: 'manifest.json' });
+
+    const failed = new Promise((resolve, reject) => archive.on('error', reject));
+
+    try {
+      await Promise.race([Promise.all([archive.finalize(), upload]), failed]);
+    } catch (err) {
+      archive.abort();
+      throw err;
+    }
+
+    return archive.pointer();
+  }
+
+  /**
+   * Serialize an entity as JSON or CSV, batch by batch
+   */
+  async *serializeEntity(name, job, counts) {
+    const single = this.collectors[name].single;
+    let count = 0;
+    let columns = null;
+
+    if (job.format === 'json' && !single) {
+      yield '[\n';
+    }
+
+    for await (const rows of this.batches(name, job.userId)) {
+      for (const row of rows) {
+        if (job.format === 'json') {
+          yield (count > 0 ? ',\n' : '') + JSON.stringify(row, null, 2);
+        } else {
+          if (!columns) {
+            columns = Object.keys(row);
+            yield columns.map(toCsvValue).join(',') + '\n';
+          }
+          yield columns.map(column => toCsvValue(row[column])).join(',') + '\n';
+        }
+        count++;
+      }
+    }
+
+    if (job.format === 'json') {
+      yield single ? (count === 0 ? 'null\n' : '\n') : '\n]\n';
+    }
+
+    counts[name] = count;
+  }
+
+  /**
+   * Job status for its owner, with a short-lived download link once complete
+   */
+  async getJob(userId, jobId) {
+    const job = await prisma.exportJob.findUnique({ where: { id: jobId } });
+
+    if (!job || job.userId !== userId) {
+      throw new NotFoundError('Export job not found');
+    }
+
+    const result = {
+      id: job.id,
+      format: job.format,
+      status: job.status,
+      sizeBytes: job.sizeBytes,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      error: job.status === 'failed' ? 'Export failed. Please request a new one.' : undefined
+    };
+
+    if (job.status === 'completed' && job.expiresAt <= new Date()) {
+      result.status = 'expired';
+    }
+
+    if (result.status === 'completed') {
+      const remainingSeconds = Math.floor((job.expiresAt.getTime() - Date.now()) / 1000);
+      const expiresIn = Math.min(this.DOWNLOAD_URL_TTL_SECONDS, remainingSeconds);
+
+      result.downloadUrl = await getDownloadUrl(job.storageKey, {
+        expiresIn,
+        filename: `data-export-${job.createdAt.toISOString().slice(0, 10)}.zip`
+      });
+      result.downloadUrlExpiresIn = expiresIn;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run jobs left pending (or stuck processing) by a restart
+   */
+  async processPendingJobs() {
+    const staleBefore = new Date(Date.now() - this.STALE_JOB_MINUTES * 60 * 1000);
+
+    await prisma.exportJob.updateMany({
+      where: { status: 'processing', startedAt: { lt: staleBefore } },
+      data: { status: 'pending' }
+    });
+
+    const jobs = await prisma.exportJob.findMany({
+      where: { status: 'pending' },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true }
+    });
+
+    for (const { id } of jobs) {
+      await this.runJob(id);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Delete archives whose download window has passed
+   */
+  async purgeExpiredExports() {
+    const jobs = await prisma.exportJob.findMany({
+      where: {
+        status: 'completed',
+        expiresAt: { lte: new Date() }
+      },
+      select: { id: true, storageKey: true }
+    });
+
+    for (const job of jobs) {
+      try {
+        await deleteObject(job.storageKey);
+        await prisma.exportJob.update({
+          where: { id: job.id },
+          data: { status: 'expired', storageKey: null }
+        });
+      } catch (err) {
+        logger.error({ err, jobId: job.id }, 'Failed to delete expired export');
+      }
+    }
+
+    if (jobs.length > 0) {
+      logger.info({ count: jobs.length }, 'Expired data exports deleted');
+    }
+
+    return jobs.length;
+  }
+}
+
+// RFC 4180 field: nested values as JSON, quoted when needed
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export default DataExportService;
@@ -0,0 +1,128 @@
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError, TooManyRequestsError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { MailService } from './MailService.js';
+
+const prisma = new PrismaClient();
+
+export class EmailVerificationService {
+  constructor(mailService = new MailService()) {
+    this.mailService = mailService;
+    this.TOKEN_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+    this.RESEND_COOLDOWN_SECONDS = 60;
+  }
+
+  /**
+   * Issue a verification token and email it to the user
+   */
+  async sendVerification(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.emailVerified) {
+      throw new ValidationError('Email is already verified');
+    }
+
+    // Enforce resend cooldown
+    const latest = await prisma.emailVerificationToken.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (latest) {
+      const elapsedSeconds = (Date.now() - latest.createdAt.getTime()) / 1000;
+
+      if (elapsedSeconds < this.RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(this.RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+        throw new TooManyRequestsError(`Please wait ${retryAfter} seconds before requesting another email`, retryAfter);
+      }
+    }
+
+    const record = await prisma.emailVerificationToken.create({
+      data: {
+        userId,
+        email: user.email,
+        expiresAt: new Date(Date.now() + this.TOKEN_TTL_SECONDS * 1000)
+      }
+    });
+
+    const token = jwt.sign(
+      { sub: userId, type: 'email_verify', email: user.email },
+      process.env.JWT_SECRET,
+      { expiresIn: this.TOKEN_TTL_SECONDS, jwtid: record.id }
+    );
+
+    await this.mailService.sendVerificationEmail(user, token);
+
+    logger.info({ userId }, 'Verification email sent');
+
+    return { expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Confirm a verification token (single use)
+   */
+  async confirm(token) {
+    if (!token) {
+      throw new ValidationError('Verification token is required');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      throw new ValidationError('Invalid or expired verification token');
+    }
+
+    if (payload.type !== 'email_verify' || !payload.jti) {
+      throw new ValidationError('Invalid verification token');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.sub }
+    });
+
+    // Tokens are bound to the address they were sent to
+    if (!user || user.email !== payload.email) {
+      throw new ValidationError('Invalid verification token');
+    }
+
+    const verifiedAt = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      const consumed = await tx.emailVerificationToken.updateMany({
+        where: {
+          id: payload.jti,
+          userId: user.id,
+          usedAt: null,
+          expiresAt: { gt: verifiedAt }
+        },
+        data: { usedAt: verifiedAt }
+      });
+
+      if (consumed.count === 0) {
+        throw new ValidationError('Verification token has already been used or expired');
+      }
+
+      await tx.user.updateMany({
+        where: { id: user.id, emailVerified: false },
+        data: {
+          emailVerified: true,
+          emailVerifiedAt: verifiedAt
+        }
+      });
+    });
+
+    logger.info({ userId: user.id }, 'Email verified');
+
+    return { userId: user.id, emailVerifiedAt: user.emailVerifiedAt || verifiedAt };
+  }
+}
+
+export default EmailVerificationService;
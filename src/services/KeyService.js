@@ -0,0 +1,323 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { verifyEd25519 } from '../utils/crypto.js';
+import { BlockService } from './BlockService.js';
+import { ConversationService } from './ConversationService.js';
+import { PrivacyService } from './PrivacyService.js';
+
+const prisma = new PrismaClient();
+const blockService = new BlockService();
+const conversationService = new ConversationService();
+const privacyService = new PrivacyService();
+
+/**
+ * Public key directory for end-to-end encrypted messaging
+ *
+ * Each device uploads an Ed25519 identity key, an X25519 prekey signed by it and
+ * a batch of one-time X25519 prekeys. Senders fetch a bundle per recipient device
+ * and encrypt a copy of the message for each, over a session per pair of devices.
+ * A one-time prekey is only handed out to start a session - senders list the
+ * devices they need one for as claimDeviceIds - and is deleted once claimed.
+ * Every copy is signed by the sending device's identity key. The server only
+ * ever sees public keys and ciphertext.
+ */
+export class KeyService {
+  constructor() {
+    this.KEY_BYTES = 32;
+    this.SIGNATURE_BYTES = 64;
+    this.MAX_PREKEYS = 100; // Stored per device
+    this.LOW_PREKEYS = 20; // Clients should top up below this
+    this.MAX_CLAIM_DEVICES = 200;
+  }
+
+  /**
+   * The Device row for the device a request comes from
+   */
+  async getDevice(userId, deviceId) {
+    const device = deviceId && await prisma.device.findUnique({
+      where: {
+        userId_deviceId: { userId, deviceId }
+      }
+    });
+
+    if (!device) {
+      throw new NotFoundError('Device not registered - log in again on this device');
+    }
+
+    return device;
+  }
+
+  /**
+   * Upload a device's identity key, signed prekey and one-time prekeys
+   * A new identity key replaces everything, since old prekeys belong to the old identity
+   */
+  async uploadKeys(userId, deviceId, { identityKey, signedPreKey, preKeys = [] } = {}) {
+    const device = await this.getDevice(userId, deviceId);
+
+    this.validateKey(identityKey, 'identityKey');
+    this.validateSignedPreKey(identityKey, signedPreKey);
+    this.validatePreKeys(preKeys);
+
+    const identityChanged = device.identityKey !== identityKey;
+
+    await prisma.$transaction([
+      ...(identityChanged
+        ? [prisma.devicePreKey.deleteMany({ where: { deviceId: device.id } })]
+        : []),
+      prisma.device.update({
+        where: { id: device.id },
+        data: {
+          identityKey,
+          signedPreKeyId: signedPreKey.keyId,
+          signedPreKey: signedPreKey.publicKey,
+          signedPreKeySignature: signedPreKey.signature,
+          keysUpdatedAt: new Date()
+        }
+      })
+    ]);
+
+    const preKeyCount = await this.storePreKeys(device.id, preKeys);
+
+    logger.info({ userId, deviceId, identityChanged, preKeyCount }, 'Device keys uploaded');
+
+    return { deviceId: device.id, preKeyCount };
+  }
+
+  /**
+   * Top up a device's one-time prekeys
+   */
+  async addPreKeys(userId, deviceId, preKeys) {
+    const device = await this.getDevice(userId, deviceId);
+
+    if (!device.identityKey) {
+      throw new ValidationError('Upload an identity key first');
+    }
+
+    this.validatePreKeys(preKeys);
+
+    return { deviceId: device.id, preKeyCount: await this.storePreKeys(device.id, preKeys) };
+  }
+
+  /**
+   * Key status for the current device, so clients know when to top up
+   */
+  async getKeyStatus(userId, deviceId) {
+    const device = await this.getDevice(userId, deviceId);
+
+    const preKeyCount = await prisma.devicePreKey.count({
+      where: { deviceId: device.id }
+    });
+
+    return {
+      deviceId: device.id,
+      registered: Boolean(device.identityKey),
+      signedPreKeyId: device.signedPreKeyId,
+      preKeyCount,
+      maxPreKeys: this.MAX_PREKEYS,
+      needsPreKeys: preKeyCount < this.LOW_PREKEYS
+    };
+  }
+
+  /**
+   * Bundles for every device of a user the requester may message
+   * (with a one-time prekey for each device in claimDeviceIds)
+   */
+  async getUserBundles(requesterId, userId, claimDeviceIds = []) {
+    if (requesterId !== userId) {
+      if (await blockService.isBlockedBetween(requesterId, userId)) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (!(await privacyService.canMessage(requesterId, userId))) {
+        throw new ForbiddenError('This user is not accepting messages from you');
+      }
+    }
+
+    const devices = await this.getEncryptionDevices([userId]);
+    return this.claimBundles(devices, claimDeviceIds);
+  }
+
+  /**
+   * Bundles for every device in a conversation, including the requester's own
+   * (so the sender's other devices can read what it sent)
+   */
+  async getConversationBundles(requesterId, conversationId, claimDeviceIds = []) {
+    await conversationService.assertParticipant(conversationId, requesterId);
+
+    const userIds = await conversationService.getParticipantIds(conversationId);
+    const devices = await this.getEncryptionDevices(userIds);
+
+    return this.claimBundles(devices, claimDeviceIds);
+  }
+
+  /**
+   * Devices of these users that have uploaded keys
+   */
+  async getEncryptionDevices(userIds) {
+    return prisma.device.findMany({
+      where: {
+        userId: { in: userIds },
+        identityKey: { not: null }
+      },
+      select: {
+        id: true,
+        userId: true,
+        identityKey: true,
+        signedPreKeyId: true,
+        signedPreKey: true,
+        signedPreKeySignature: true
+      }
+    });
+  }
+
+  /**
+   * Build a bundle per device - those in claimDeviceIds (the sender is starting a
+   * session with them) with a one-time prekey if any are left
+   */
+  async claimBundles(devices, claimDeviceIds = []) {
+    return Promise.all(devices.map(async device => ({
+      deviceId: device.id,
+      userId: device.userId,
+      identityKey: device.identityKey,
+      signedPreKey: {
+        keyId: device.signedPreKeyId,
+        publicKey: device.signedPreKey,
+        signature: device.signedPreKeySignature
+      },
+      preKey: claimDeviceIds.includes(device.id) ? await this.claimPreKey(device.id) : null
+    })));
+  }
+
+  /**
+   * Parse the claim query parameter - comma separated device IDs
+   */
+  parseClaimDevices(value) {
+    if (value === undefined || value === '') return [];
+
+    const ids = typeof value === 'string' ? value.split(',') : null;
+
+    if (!ids || ids.length > this.MAX_CLAIM_DEVICES || ids.some(id => !id)) {
+      throw new ValidationError(`claim must be a comma separated list of at most ${this.MAX_CLAIM_DEVICES} device IDs`);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Hand out a one-time prekey exactly once, even to concurrent senders
+   */
+  async claimPreKey(deviceId) {
+    const [preKey] = await prisma.$queryRaw`
+      DELETE FROM "DevicePreKey"
+      WHERE id = (
+        SELECT id FROM "DevicePreKey"
+        WHERE "deviceId" = ${deviceId}
+        ORDER BY "keyId"
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING "keyId", "publicKey"
+    `;
+
+    return preKey || null;
+  }
+
+  /**
+   * Store new one-time prekeys (duplicate key IDs are ignored), returning the device's total
+   * Devices are topped up to MAX_PREKEYS - keys beyond that are left out
+   */
+  async storePreKeys(deviceId, preKeys) {
+    const existing = await prisma.devicePreKey.count({ where: { deviceId } });
+    const room = Math.max(this.MAX_PREKEYS - existing, 0);
+
+    if (preKeys.length === 0 || room === 0) {
+      return existing;
+    }
+
+    const { count } = await prisma.devicePreKey.createMany({
+      data: preKeys.slice(0, room).map(({ keyId, publicKey }) => ({ deviceId, keyId, publicKey })),
+      skipDuplicates: true
+    });
+
+    return existing + count;
+  }
+
+  /**
+   * Check each copy of an encrypted message is signed by the sending device's identity key
+   */
+  verifyCiphertexts(senderDevice, conversationId, ciphertexts) {
+    const identityKey = Buffer.from(senderDevice.identityKey, 'base64');
+
+    for (const c of ciphertexts) {
+      const signature = this.decode(c.signature, this.SIGNATURE_BYTES, 'signature');
+
+      if (!verifyEd25519(identityKey, this.signedCiphertextData(conversationId, c), signature)) {
+        throw new ValidationError('A ciphertext signature does not match the sending device');
+      }
+    }
+  }
+
+  /**
+   * What a copy's signature covers - ties it to its conversation, recipient device
+   * and place in the session (the app signs the same string)
+   */
+  signedCiphertextData(conversationId, { deviceId, ephemeralKey, preKeyId, counter, nonce, ciphertext }) {
+    return Buffer.from([conversationId, deviceId, ephemeralKey, preKeyId ?? '', counter, nonce, ciphertext].join('.'), 'utf8');
+  }
+
+  /**
+   * Check a signed prekey and its signature by the identity key
+   */
+  validateSignedPreKey(identityKey, signedPreKey) {
+    if (!signedPreKey || !Number.isInteger(signedPreKey.keyId) || signedPreKey.keyId < 0) {
+      throw new ValidationError('signedPreKey must have an integer keyId');
+    }
+
+    const publicKey = this.validateKey(signedPreKey.publicKey, 'signedPreKey.publicKey');
+    const signature = this.decode(signedPreKey.signature, this.SIGNATURE_BYTES, 'signedPreKey.signature');
+
+    // Proves the prekey belongs to this identity
+    if (!verifyEd25519(Buffer.from(identityKey, 'base64'), publicKey, signature)) {
+      throw new ValidationError('signedPreKey signature does not match identityKey');
+    }
+  }
+
+  /**
+   * Check a batch of one-time prekeys
+   */
+  validatePreKeys(preKeys) {
+    if (!Array.isArray(preKeys) || preKeys.length > this.MAX_PREKEYS) {
+      throw new ValidationError(`preKeys must be an array of at most ${this.MAX_PREKEYS} keys`);
+    }
+
+    for (const preKey of preKeys) {
+      if (!preKey || !Number.isInteger(preKey.keyId) || preKey.keyId < 0) {
+        throw new ValidationError('Each prekey needs an integer keyId');
+      }
+      this.validateKey(preKey.publicKey, 'preKey.publicKey');
+    }
+  }
+
+  /**
+   * Check a base64 public key
+   */
+  validateKey(value, field) {
+    return this.decode(value, this.KEY_BYTES, field);
+  }
+
+  /**
+   * Decode a base64 value of an exact length
+   */
+  decode(value, bytes, field) {
+    const buffer = typeof value === 'string' ? Buffer.from(value, 'base64') : null;
+
+    if (!buffer || buffer.length !== bytes || buffer.toString('base64') !== value) {
+      throw new ValidationError(`${field} must be ${bytes} bytes of base64`);
+    }
+
+    return buffer;
+  }
+}
+
+export default KeyService;
@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import nodemailer from 'nodemailer';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Mail transports
+ * Each transport exposes send({ from, to, subject, text, html })
+ */
+const transports = {
+  // Real delivery via SMTP
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  // Writes each message as JSON to an outbox directory (offline testing)
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'social-app-mail');
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(outboxDir, { recursive: true });
+        const file = path.join(outboxDir, `${Date.now()}-${randomUUID()}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        logger.info({ to: message.to, file }, 'Email written to outbox');
+      }
+    };
+  },
+
+  // Logs the message (local development)
+  console: () => ({
+    send: async (message) => {
+      logger.info({ mail: message }, 'Email (console transport)');
+    }
+  })
+};
+
+export class MailService {
+  constructor(transport = null) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+    if (!transport && !transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}. Choose from: ${Object.keys(transports).join(', ')}`);
+    }
+
+    this.transport = transport || transports[name]();
+    this.from = process.env.MAIL_FROM || 'no-reply@yourapp.com';
+    this.clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Send an email
+   */
+  async send({ to, subject, text, html }) {
+    await this.transport.send({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    logger.info({ to, subject }, 'Email sent');
+  }
+
+  /**
+   * Send email address verification link
+   */
+  async sendVerificationEmail(user, token) {
+    const link = `${this.clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.displayName},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 24 hours. If you didn't create an account, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours. If you didn't create an account, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Send password reset link
+   */
+  async sendPasswordResetEmail(user, token, ttlMinutes) {
+    const link = `${this.clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.displayName},\n\nWe received a request to reset your password. Open this link to choose a new one:\n\n${link}\n\nOr enter this code in the app: ${token}\n\nThe link expires in ${ttlMinutes} minutes. If you didn't request a reset, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>We received a request to reset your password.</p><p><a href="${link}">Choose a new password</a></p><p>Or enter this code in the app: <code>${token}</code></p><p>The link expires in ${ttlMinutes} minutes. If you didn't request a reset, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Let a user know their data export is ready to download
+   */
+  async sendDataExportReadyEmail(user, ttlDays) {
+    const link = `${this.clientUrl}/settings/privacy`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Your data export is ready',
+      text: `Hi ${user.displayName},\n\nThe copy of your data you requested is ready. Download it from your privacy settings:\n\n${link}\n\nThe download is available for ${ttlDays} days.`,
+      html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>The copy of your data you requested is ready.</p><p><a href="${link}">Download it from your privacy settings</a></p><p>The download is available for ${ttlDays} days.</p>`
+    });
+  }
+
+  /**
+   * Notify a user about a warning, suspension or ban on their account
+   */
+  async sendModerationNotice(user, { action, expiresAt, note }) {
+    const summaries = {
+      warn_user: 'Your account has received a warning for violating our community guidelines.',
+      suspend_user: `Your account has been suspended until ${expiresAt?.toUTCString()} for violating our community guidelines.`,
+      ban_user: 'Your account has been permanently banned for violating our community guidelines.'
+    };
+
+    const summary = summaries[action];
+    const reason = note ? `\n\nModerator note: ${note}` : '';
+
+    await this.send({
+      to: user.email,
+      subject: 'Important notice about your account',
+      text: `Hi ${user.displayName},\n\n${summary}${reason}`,
+      html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>${escapeHtml(summary)}</p>${note ? `<p>Moderator note: ${escapeHtml(note)}</p>` : ''}`
+    });
+  }
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export default MailService;
@@ -0,0 +1,197 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { keyFromUrl, getDownloadUrl, deleteObjects } from '../utils/storage.js';
+
+const prisma = new PrismaClient();
+
+// Asset metadata safe to embed in messages (no URL - those are signed per viewer)
+export const MEDIA_SELECT = {
+  id: true,
+  kind: true,
+  blurHash: true,
+  width: true,
+  height: true,
+  sizeBytes: true
+};
+
+export class MediaService {
+  constructor() {
+    this.URL_TTL_SECONDS = 5 * 60;
+    this.VIEW_ONCE_URL_TTL_SECONDS = 30; // Just long enough to load it once
+  }
+
+  /**
+   * An asset the sender may attach to a message - their own, and approved by moderation
+   * Assets uploaded for a view-once message can only be sent once, as a view-once message
+   */
+  async getAttachable(mediaId, senderId, viewOnce = false) {
+    const media = await prisma.mediaAsset.findUnique({
+      where: { id: mediaId }
+    });
+
+    if (!media || media.userId !== senderId) {
+      throw new NotFoundError('Media not found');
+    }
+
+    if (media.status === 'pending') {
+      throw new ValidationError('Media is still awaiting review');
+    }
+
+    if (media.status !== 'approved' || media.flagged) {
+      throw new ValidationError('Media was rejected by moderation');
+    }
+
+    if (media.viewOnce) {
+      if (!viewOnce) {
+        throw new ValidationError('This media was uploaded for a view-once message');
+      }
+
+      const attached = await prisma.message.count({ where: { mediaId } });
+      if (attached > 0) {
+        throw new ValidationError('View-once media can only be sent once');
+      }
+    }
+
+    return media;
+  }
+
+  /**
+   * An asset with a short-lived signed URL, for users allowed to see it
+   *
+   * Owners and moderators can always see an asset. Anyone else needs a message in
+   * one of their conversations that carries it. View-once media burns on the
+   * recipient's first fetch: later fetches are refused.
+   */
+  async getForViewer(mediaId, userId, role = 'user') {
+    const media = await prisma.mediaAsset.findUnique({
+      where: { id: mediaId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            displayName: true,
+            photoUrl: true
+          }
+        }
+      }
+    });
+
+    if (!media) {
+      throw new NotFoundError('Media not found');
+    }
+
+    let expiresIn = this.URL_TTL_SECONDS;
+
+    if (media.userId !== userId && !['moderator', 'admin'].includes(role)) {
+      if (media.status === 'rejected') {
+        throw new NotFoundError('Media not found');
+      }
+
+      const message = await this.findCarryingMessage(mediaId, userId);
+
+      if (!message) {
+        throw new NotFoundError('Media not found');
+      }
+
+      if (message.viewOnce) {
+        await this.burn(message);
+        expiresIn = this.VIEW_ONCE_URL_TTL_SECONDS;
+      }
+    }
+
+    const key = keyFromUrl(media.url);
+
+    if (!key) {
+      throw new NotFoundError('Media not found');
+    }
+
+    return {
+      ...media,
+      url: await getDownloadUrl(key, { expiresIn }),
+      expiresIn
+    };
+  }
+
+  /**
+   * A message in one of the user's conversations that carries the asset
+   * Prefers a regular message over a view-once one, so a repeat attachment isn't burned
+   */
+  async findCarryingMessage(mediaId, userId) {
+    return prisma.message.findFirst({
+      where: {
+        mediaId,
+        hidden: false,
+        deletedAt: null,
+        conversation: {
+          participants: { some: { userId } }
+        }
+      },
+      select: {
+        id: true,
+        viewOnce: true,
+        expiresAt: true
+      },
+      orderBy: { viewOnce: 'asc' }
+    });
+  }
+
+  /**
+   * Mark view-once media viewed - only the first caller wins
+   */
+  async burn(message) {
+    if (message.expiresAt && message.expiresAt < new Date()) {
+      throw new ForbiddenError('View-once message has expired');
+    }
+
+    const now = new Date();
+    const { count } = await prisma.message.updateMany({
+      where: { id: message.id, viewedAt: null },
+      data: {
+        viewedAt: now,
+        read: true,
+        readAt: now
+      }
+    });
+
+    if (count === 0) {
+      throw new ForbiddenError('View-once media has already been viewed');
+    }
+
+    logger.info({ messageId: message.id }, 'View-once media viewed');
+  }
+
+  /**
+   * Delete view-once uploads and their S3 objects once their messages are gone
+   * Anything else - the sender's own library uploads - is never deleted here
+   */
+  async deleteViewOnce(mediaIds) {
+    if (mediaIds.length === 0) return 0;
+
+    const assets = await prisma.mediaAsset.findMany({
+      where: {
+        id: { in: mediaIds },
+        viewOnce: true,
+        messages: { none: {} }
+      },
+      select: { id: true, url: true }
+    });
+
+    if (assets.length === 0) return 0;
+
+    const keys = assets.map(a => keyFromUrl(a.url)).filter(Boolean);
+    const failed = keys.length > 0 ? await deleteObjects(keys) : [];
+
+    if (failed.length > 0) {
+      logger.error({ keys: failed }, 'Failed to delete media objects');
+    }
+
+    await prisma.mediaAsset.deleteMany({
+      where: { id: { in: assets.map(a => a.id) } }
+    });
+
+    return assets.length;
+  }
+}
+
+export default MediaService;
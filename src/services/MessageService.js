@@ -1,79 +1,337 @@
 import { PrismaClient } from '@prisma/client';
-import { ValidationError, NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
+import { ValidationError, NotFoundError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import { messagesSent } from '../utils/metrics.js';
+import { BlockService } from './BlockService.js';
+import { PrivacyService } from './PrivacyService.js';
+import { ConversationService } from './ConversationService.js';
+import { KeyService } from './KeyService.js';
+import { MediaService, MEDIA_SELECT } from './MediaService.js';
+import { NotificationService } from './NotificationService.js';
 
 const prisma = new PrismaClient();
+const blockService = new BlockService();
+const privacyService = new PrivacyService();
+const conversationService = new ConversationService();
+const keyService = new KeyService();
+const mediaService = new MediaService();
+const notificationService = new NotificationService();
+
+// Relations returned with every message
+const MESSAGE_INCLUDE = {
+  sender: {
+    select: {
+      id: true,
+      displayName: true,
+      photoUrl: true
+    }
+  },
+  replyTo: {
+    select: {
+      id: true,
+      senderId: true,
+      content: true,
+      deletedAt: true,
+      createdAt: true
+    }
+  },
+  reactions: {
+    select: {
+      emoji: true,
+      userId: true
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  },
+  // Metadata only - viewers fetch a signed URL from GET /api/media/:mediaId
+  media: {
+    select: MEDIA_SELECT
+  }
+};
+
+// A per-device copy of an encrypted message
+const CIPHERTEXT_SELECT = {
+  deviceId: true,
+  ciphertext: true,
+  nonce: true,
+  ephemeralKey: true,
+  preKeyId: true,
+  counter: true,
+  signature: true
+};
+
+// Emoji, including skin tones, flags, keycaps and ZWJ sequences (not bare digits or #)
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+const EMOJI_SYMBOL = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
 
 export class MessageService {
+  constructor() {
+    this.EDIT_WINDOW_MS = 15 * 60 * 1000; // Messages can be edited for 15 minutes
+    this.MAX_EMOJI_LENGTH = 16;
+  }
+
   /**
    * Create a new message
+   * Send to a conversation by ID, or to a user by recipientId (starting a direct conversation if needed)
+   * replyToId quotes an earlier message from the same conversation
+   * Encrypted messages carry one ciphertext per device in the conversation instead of content,
+   * each signed by the sending device (deviceId - the client's device identifier)
    */
-  async create({ senderId, recipientId, content, encrypted = false, viewOnce = false, mediaId = null }) {
+  async create({
+    senderId,
+    deviceId = null,
+    recipientId,
+    conversationId,
+    content,
+    encrypted = false,
+    ciphertexts = null,
+    viewOnce = false,
+    mediaId = null,
+    replyToId = null
+  }) {
     // Validate
-    if (!senderId || !recipientId) {
-      throw new ValidationError('Sender and recipient IDs are required');
+    if (!senderId || (!recipientId && !conversationId)) {
+      throw new ValidationError('Sender and a recipient or conversation are required');
+    }
+
+    if (encrypted && content) {
+      throw new ValidationError('Encrypted messages send ciphertexts, not content');
     }
 
-    if (!content && !mediaId) {
+    if (!content && !mediaId && !encrypted) {
       throw new ValidationError('Content or media is required');
     }
 
+    let conversation = null;
+    let directRecipientId = recipientId || null;
+
+    if (conversationId) {
+      ({ conversation } = await conversationService.assertParticipant(conversationId, senderId));
+
+      directRecipientId = conversation.type === 'direct'
+        ? conversation.directKey.split(':').find(id => id !== senderId)
+        : null;
+    }
+
+    if (directRecipientId) {
+      await this.assertCanMessage(senderId, directRecipientId);
+      conversation = conversation || await conversationService.getOrCreateDirect(senderId, directRecipientId);
+    }
+
+    // View-once relies on a single recipient viewing it
+    if (viewOnce && conversation.type !== 'direct') {
+      throw new ValidationError('View-once messages are only available in direct conversations');
+    }
+
+    if (conversation.encrypted && (!encrypted || mediaId)) {
+      throw new ValidationError('This conversation is end-to-end encrypted - plaintext messages are not accepted');
+    }
+
+    let senderDevice = null;
+
+    if (encrypted) {
+      senderDevice = await keyService.getDevice(senderId, deviceId);
+      await this.assertCiphertexts(conversation.id, ciphertexts, senderDevice);
+    }
+
+    if (mediaId) {
+      await mediaService.getAttachable(mediaId, senderId, viewOnce);
+    }
+
+    if (replyToId) {
+      await this.assertCanReplyTo(replyToId, conversation.id);
+    }
+
+    // Create message
+    const [message] = await prisma.$transaction([
+      prisma.message.create({
+        data: {
+          conversationId: conversation.id,
+          senderId,
+          recipientId: directRecipientId,
+          content: content || '',
+          encrypted,
+          viewOnce,
+          mediaId,
+          replyToId,
+          expiresAt: viewOnce ? new Date(Date.now() + 60 * 1000) : null, // 1 minute for view-once
+          ...(encrypted && {
+            senderDeviceId: senderDevice.id,
+            ciphertexts: {
+              create: ciphertexts.map(c => ({
+                deviceId: c.deviceId,
+                ciphertext: c.ciphertext,
+                nonce: c.nonce,
+                ephemeralKey: c.ephemeralKey,
+                preKeyId: c.preKeyId ?? null,
+                counter: c.counter,
+                signature: c.signature
+              }))
+            }
+          })
+        },
+        // Live delivery carries every device's copy; each device decrypts its own
+        include: encrypted
+          ? { ...MESSAGE_INCLUDE, ciphertexts: { select: CIPHERTEXT_SELECT } }
+          : MESSAGE_INCLUDE
+      }),
+      prisma.conversation.update({
+        where: { id: conversation.id },
+        data: { lastMessageAt: new Date() }
+      })
+    ]);
+
+    messagesSent.inc();
+    logger.info({ messageId: message.id, from: senderId, conversationId: conversation.id }, 'Message created');
+
+    return { ...this.serialize(message), status: 'sent' };
+  }
+
+  /**
+   * Check an encrypted message has exactly one ciphertext per device in the conversation
+   * A mismatch usually means a device was added or removed since the sender fetched bundles
+   * Every copy must be signed by the sending device's identity key
+   */
+  async assertCiphertexts(conversationId, ciphertexts, senderDevice) {
+    if (!Array.isArray(ciphertexts) || ciphertexts.length === 0) {
+      throw new ValidationError('Encrypted messages need a ciphertext for each device');
+    }
+
+    if (!senderDevice.identityKey) {
+      throw new ValidationError('Upload this device\'s keys before sending encrypted messages');
+    }
+
+    for (const c of ciphertexts) {
+      if (!c || typeof c.deviceId !== 'string' || typeof c.ciphertext !== 'string' ||
+          typeof c.nonce !== 'string' || typeof c.ephemeralKey !== 'string' ||
+          !Number.isInteger(c.counter) || c.counter < 0) {
+        throw new ValidationError('Each ciphertext needs deviceId, ciphertext, nonce, ephemeralKey, counter and signature');
+      }
+    }
+
+    keyService.verifyCiphertexts(senderDevice, conversationId, ciphertexts);
+
+    const userIds = await conversationService.getParticipantIds(conversationId);
+    const devices = await keyService.getEncryptionDevices(userIds);
+    const expected = new Set(devices.map(d => d.id));
+    const given = new Set(ciphertexts.map(c => c.deviceId));
+
+    if (given.size !== ciphertexts.length) {
+      throw new ValidationError('Only one ciphertext per device');
+    }
+
+    const unknownDeviceIds = [...given].filter(id => !expected.has(id));
+    const missingDeviceIds = [...expected].filter(id => !given.has(id));
+
+    if (unknownDeviceIds.length > 0 || missingDeviceIds.length > 0) {
+      throw new ConflictError('Devices in this conversation have changed - fetch key bundles again', {
+        unknownDeviceIds,
+        missingDeviceIds
+      });
+    }
+  }
+
+  /**
+   * Check a message can be replied to from a conversation
+   */
+  async assertCanReplyTo(replyToId, conversationId) {
+    const original = await prisma.message.findFirst({
+      where: { id: replyToId, conversationId, hidden: false },
+      select: { viewOnce: true, deletedAt: true }
+    });
+
+    if (!original || original.deletedAt) {
+      throw new NotFoundError('Message being replied to not found');
+    }
+
+    // Quoting would keep the content around after it's been viewed
+    if (original.viewOnce) {
+      throw new ValidationError('View-once messages cannot be replied to');
+    }
+  }
+
+  /**
+   * Shape a message for clients, grouping reactions by emoji
+   */
+  serialize(message) {
+    const reactions = [];
+
+    for (const { emoji, userId } of message.reactions || []) {
+      let group = reactions.find(r => r.emoji === emoji);
+      if (!group) {
+        group = { emoji, count: 0, userIds: [] };
+        reactions.push(group);
+      }
+      group.count++;
+      group.userIds.push(userId);
+    }
+
+    return { ...message, reactions };
+  }
+
+  /**
+   * Check a sender may message a user directly
+   */
+  async assertCanMessage(senderId, recipientId) {
     if (senderId === recipientId) {
       throw new ValidationError('Cannot send message to yourself');
     }
 
-    // Check if recipient exists
-    const recipient = await prisma.user.findUnique({
-      where: { id: recipientId },
-      select: { id: true, displayName: true }
+    // Check if recipient exists (accounts pending deletion can't be messaged)
+    const recipient = await prisma.user.findFirst({
+      where: { id: recipientId, deletionRequestedAt: null },
+      select: { id: true }
     });
 
     if (!recipient) {
       throw new NotFoundError('Recipient not found');
     }
 
-    // Create message
-    const message = await prisma.message.create({
-      data: {
-        senderId,
-        recipientId,
-        content: content || '',
-        encrypted,
-        viewOnce,
-        mediaId,
-        expiresAt: viewOnce ? new Date(Date.now() + 60 * 1000) : null // 1 minute for view-once
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            displayName: true,
-            photoUrl: true
-          }
-        }
-      }
-    });
-
-    messagesSent.inc();
-    logger.info({ messageId: message.id, from: senderId, to: recipientId }, 'Message created');
+    // Blocks apply in both directions
+    if (await blockService.isBlockedBetween(senderId, recipientId)) {
+      throw new ForbiddenError('You cannot message this user');
+    }
 
-    return message;
+    // Recipient's allowMessages setting
+    if (!(await privacyService.canMessage(senderId, recipientId))) {
+      throw new ForbiddenError('This user is not accepting messages from you');
+    }
   }
 
   /**
    * Get conversation between two users
    */
-  async getConversation(userId, otherUserId, limit = 50, before = null) {
+  async getConversation(userId, otherUserId, limit = 50, before = null, deviceId = null) {
     if (!userId || !otherUserId) {
       throw new ValidationError('User IDs are required');
     }
 
+    const conversation = await conversationService.findDirect(userId, otherUserId);
+
+    if (!conversation) {
+      return [];
+    }
+
+    return this.getMessages(conversation.id, userId, limit, before, deviceId);
+  }
+
+  /**
+   * Get messages in a conversation (participants only), each with its receipt status
+   * Fetching doesn't mark anything read - see markRead
+   * Encrypted messages come with the ciphertext for the requesting device only
+   */
+  async getMessages(conversationId, userId, limit = 50, before = null, deviceId = null) {
+    const { conversation } = await conversationService.assertParticipant(conversationId, userId);
+
+    const device = deviceId && await prisma.device.findUnique({
+      where: { userId_deviceId: { userId, deviceId } },
+      select: { id: true }
+    });
+
     const whereClause = {
-      OR: [
-        { senderId: userId, recipientId: otherUserId },
-        { senderId: otherUserId, recipientId: userId }
-      ]
+      conversationId,
+      hidden: false
     };
 
     // Add pagination
@@ -90,13 +348,13 @@ export class MessageService {
       },
       take: limit,
       include: {
-        sender: {
-          select: {
-            id: true,
-            displayName: true,
-            photoUrl: true
+        ...MESSAGE_INCLUDE,
+        ...(device && {
+          ciphertexts: {
+            where: { deviceId: device.id },
+            select: CIPHERTEXT_SELECT
           }
-        }
+        })
       }
     });
 
@@ -107,73 +365,175 @@ export class MessageService {
       return new Date(msg.expiresAt) > new Date();
     });
 
-    // Mark messages as read
-    const unreadIds = validMessages
-      .filter(msg => msg.recipientId === userId && !msg.read)
-      .map(msg => msg.id);
+    // Return in chronological order
+    return this.withStatus(conversation, validMessages.reverse().map(msg => this.serialize(msg)), userId);
+  }
+
+  /**
+   * Add sent / delivered / read status to messages
+   * Group statuses come from participant watermarks: "read" once everyone else has read it
+   */
+  async withStatus(conversation, messages, viewerId) {
+    if (conversation.type === 'direct') {
+      return messages.map(msg => ({ ...msg, status: this.statusOf(msg) }));
+    }
+
+    const participants = await prisma.conversationParticipant.findMany({
+      where: { conversationId: conversation.id },
+      select: { userId: true, lastDeliveredAt: true, lastReadAt: true }
+    });
+
+    return messages.map(msg => {
+      const others = participants.filter(p => p.userId !== msg.senderId);
+      const read = others.filter(p => p.lastReadAt >= msg.createdAt).length;
+      const delivered = others.filter(p =>
+        p.lastReadAt >= msg.createdAt || p.lastDeliveredAt >= msg.createdAt
+      ).length;
+
+      let status = 'sent';
+      if (others.length > 0 && read === others.length) {
+        status = 'read';
+      } else if (others.length > 0 && delivered === others.length) {
+        status = 'delivered';
+      }
+
+      return {
+        ...msg,
+        status,
+        // Counts are only shown to the sender
+        receipts: msg.senderId === viewerId ? { delivered, read, total: others.length } : undefined
+      };
+    });
+  }
+
+  /**
+   * Status of a direct message
+   */
+  statusOf(message) {
+    if (message.readAt) return 'read';
+    if (message.deliveredAt) return 'delivered';
+    return 'sent';
+  }
+
+  /**
+   * Mark a conversation delivered up to a message (a connected device received it)
+   */
+  async markDelivered(conversationId, userId, upToMessageId) {
+    return this.applyReceipt('delivered', conversationId, userId, upToMessageId);
+  }
+
+  /**
+   * Mark a conversation read up to a message (defaults to the latest one)
+   * Returns null if the conversation has no messages
+   */
+  async markRead(conversationId, userId, upToMessageId = null) {
+    let messageId = upToMessageId;
+
+    if (!messageId) {
+      await conversationService.assertParticipant(conversationId, userId);
+
+      const latest = await prisma.message.findFirst({
+        where: { conversationId, hidden: false },
+        orderBy: { createdAt: 'desc' },
+        select: { id: true }
+      });
+
+      if (!latest) return null;
+      messageId = latest.id;
+    }
+
+    return this.applyReceipt('read', conversationId, userId, messageId);
+  }
+
+  /**
+   * Record delivery or read of everything up to (and including) a message
+   * Returns the receipt to broadcast to the conversation
+   */
+  async applyReceipt(status, conversationId, userId, upToMessageId) {
+    if (!conversationId || !upToMessageId) {
+      throw new ValidationError('Conversation and message IDs are required');
+    }
+
+    const { conversation } = await conversationService.assertParticipant(conversationId, userId);
+
+    const upTo = await prisma.message.findFirst({
+      where: { id: upToMessageId, conversationId },
+      select: { id: true, createdAt: true }
+    });
+
+    if (!upTo) {
+      throw new NotFoundError('Message not found');
+    }
+
+    const at = new Date();
+    let messageIds = [];
 
-    if (unreadIds.length > 0) {
-      await prisma.message.updateMany({
+    // Direct messages carry their own timestamps
+    if (conversation.type === 'direct') {
+      const pending = await prisma.message.findMany({
         where: {
-          id: { in: unreadIds }
+          conversationId,
+          recipientId: userId,
+          createdAt: { lte: upTo.createdAt },
+          ...(status === 'read'
+            ? { readAt: null, viewOnce: false } // View-once messages are read by opening them
+            : { deliveredAt: null })
         },
-        data: {
-          read: true
-        }
+        select: { id: true }
       });
+
+      messageIds = pending.map(msg => msg.id);
+
+      if (messageIds.length > 0) {
+        await prisma.$transaction([
+          prisma.message.updateMany({
+            where: { id: { in: messageIds }, deliveredAt: null },
+            data: { deliveredAt: at }
+          }),
+          ...(status === 'read'
+            ? [prisma.message.updateMany({
+                where: { id: { in: messageIds } },
+                data: { readAt: at, read: true }
+              })]
+            : [])
+        ]);
+      }
     }
 
-    return validMessages.reverse(); // Return in chronological order
+    // Watermarks only move forward
+    const watermark = status === 'read' ? 'lastReadAt' : 'lastDeliveredAt';
+    await prisma.conversationParticipant.updateMany({
+      where: {
+        conversationId,
+        userId,
+        OR: [
+          { [watermark]: null },
+          { [watermark]: { lt: upTo.createdAt } }
+        ]
+      },
+      data: { [watermark]: upTo.createdAt }
+    });
+
+    return {
+      conversationId,
+      participantIds: conversation.directKey ? conversation.directKey.split(':') : null,
+      userId,
+      status,
+      upToMessageId: upTo.id,
+      messageIds,
+      at
+    };
   }
 
   /**
    * Get all conversations for a user
    */
   async getConversations(userId, limit = 20) {
-    // Get unique conversation partners with their last message
-    const conversations = await prisma.$queryRaw`
-      WITH ranked_messages AS (
-        SELECT 
-          m.*,
-          u.id as partner_id,
-          u."displayName" as partner_name,
-          u."photoUrl" as partner_photo,
-          ROW_NUMBER() OVER (
-            PARTITION BY 
-              CASE 
-                WHEN m."senderId" = ${userId} THEN m."recipientId"
-                ELSE m."senderId"
-              END
-            ORDER BY m."createdAt" DESC
-          ) as rn
-        FROM "Message" m
-        JOIN "User" u ON (
-          CASE 
-            WHEN m."senderId" = ${userId} THEN u.id = m."recipientId"
-            ELSE u.id = m."senderId"
-          END
-        )
-        WHERE m."senderId" = ${userId} OR m."recipientId" = ${userId}
-      )
-      SELECT 
-        partner_id as "partnerId",
-        partner_name as "partnerName",
-        partner_photo as "partnerPhoto",
-        content as "lastMessage",
-        "createdAt" as "lastMessageAt",
-        "senderId" = ${userId} as "sentByMe",
-        read as "isRead"
-      FROM ranked_messages
-      WHERE rn = 1
-      ORDER BY "createdAt" DESC
-      LIMIT ${limit}
-    `;
-
-    return conversations;
+    return conversationService.listConversations(userId, limit);
   }
 
   /**
-   * Mark message as read
+   * Mark a single message as read (opens view-once messages)
    */
   async markAsRead(messageId, userId) {
     const message = await prisma.message.findUnique({
@@ -184,66 +544,263 @@ export class MessageService {
       throw new NotFoundError('Message not found');
     }
 
-    // Only recipient can mark as read
-    if (message.recipientId !== userId) {
-      throw new ForbiddenError('You can only mark your own messages as read');
+    // Only recipients can mark as read
+    if (message.recipientId ? message.recipientId !== userId : message.senderId === userId) {
+      throw new ForbiddenError('You can only mark messages sent to you as read');
+    }
+
+    if (!message.viewOnce) {
+      return this.applyReceipt('read', message.conversationId, userId, messageId);
     }
 
     // Check if view-once message is still valid
-    if (message.viewOnce && message.expiresAt && new Date(message.expiresAt) < new Date()) {
+    if (message.expiresAt && new Date(message.expiresAt) < new Date()) {
       throw new ForbiddenError('View-once message has expired');
     }
 
-    const updated = await prisma.message.update({
+    const at = new Date();
+
+    // View-once media is viewed (and burned) when its URL is fetched
+    await prisma.message.update({
       where: { id: messageId },
       data: {
         read: true,
-        viewedAt: message.viewOnce ? new Date() : message.viewedAt
+        readAt: at,
+        deliveredAt: message.deliveredAt || at,
+        ...(!message.mediaId && { viewedAt: at })
       }
     });
 
-    return updated;
+    return {
+      conversationId: message.conversationId,
+      participantIds: [message.senderId, message.recipientId],
+      userId,
+      status: 'read',
+      upToMessageId: messageId,
+      messageIds: [messageId],
+      at
+    };
   }
 
   /**
-   * Delete a message (soft delete - only hides for user)
+   * A message the user sent that hasn't been unsent
    */
-  async deleteMessage(messageId, userId) {
+  async getSentMessage(messageId, userId) {
     const message = await prisma.message.findUnique({
       where: { id: messageId }
     });
 
-    if (!message) {
+    if (!message || message.deletedAt) {
       throw new NotFoundError('Message not found');
     }
 
-    // Only sender can delete
     if (message.senderId !== userId) {
-      throw new ForbiddenError('You can only delete your own messages');
+      throw new ForbiddenError('You can only change your own messages');
     }
 
-    // For now, actually delete. In production, you might want soft delete
-    await prisma.message.delete({
-      where: { id: messageId }
+    return message;
+  }
+
+  /**
+   * A message in one of the user's conversations
+   */
+  async getVisibleMessage(messageId, userId) {
+    const message = await prisma.message.findFirst({
+      where: { id: messageId, hidden: false }
     });
 
-    logger.info({ messageId, userId }, 'Message deleted');
+    if (!message) {
+      throw new NotFoundError('Message not found');
+    }
+
+    await conversationService.assertParticipant(message.conversationId, userId);
 
-    return { success: true };
+    return message;
   }
 
   /**
-   * Get unread message count
+   * Edit a message within the edit window, keeping the previous version
    */
-  async getUnreadCount(userId) {
-    const count = await prisma.message.count({
-      where: {
-        recipientId: userId,
-        read: false
+  async editMessage(messageId, userId, content) {
+    if (!content || !content.trim()) {
+      throw new ValidationError('Content is required');
+    }
+
+    const message = await this.getSentMessage(messageId, userId);
+
+    if (message.viewOnce || message.encrypted) {
+      throw new ValidationError('View-once and encrypted messages cannot be edited');
+    }
+
+    if (Date.now() - message.createdAt.getTime() > this.EDIT_WINDOW_MS) {
+      throw new ForbiddenError(`Messages can only be edited within ${this.EDIT_WINDOW_MS / 60000} minutes of sending`);
+    }
+
+    if (content === message.content) {
+      throw new ValidationError('Message is unchanged');
+    }
+
+    const editedAt = new Date();
+
+    const [, updated] = await prisma.$transaction([
+      prisma.messageEdit.create({
+        data: {
+          messageId,
+          content: message.content,
+          editedAt
+        }
+      }),
+      prisma.message.update({
+        where: { id: messageId },
+        data: { content, editedAt },
+        include: MESSAGE_INCLUDE
+      })
+    ]);
+
+    // Inbox entries carry a preview of the message
+    await notificationService.updateForMessage(updated);
+
+    logger.info({ messageId, userId }, 'Message edited');
+
+    return this.serialize(updated);
+  }
+
+  /**
+   * Previous versions of a message, oldest first
+   */
+  async getEditHistory(messageId, userId) {
+    const message = await this.getVisibleMessage(messageId, userId);
+
+    return prisma.messageEdit.findMany({
+      where: { messageId: message.id },
+      orderBy: { editedAt: 'asc' },
+      select: {
+        content: true,
+        editedAt: true
       }
     });
+  }
 
-    return count;
+  /**
+   * Unsend a message for everyone
+   * Leaves a tombstone in its place so replies and ordering still make sense
+   */
+  async unsendMessage(messageId, userId) {
+    await this.getSentMessage(messageId, userId);
+
+    const [, , , tombstone] = await prisma.$transaction([
+      prisma.messageEdit.deleteMany({ where: { messageId } }),
+      prisma.messageReaction.deleteMany({ where: { messageId } }),
+      prisma.messageCiphertext.deleteMany({ where: { messageId } }),
+      prisma.message.update({
+        where: { id: messageId },
+        data: {
+          content: '',
+          mediaId: null,
+          deletedAt: new Date()
+        },
+        include: MESSAGE_INCLUDE
+      })
+    ]);
+
+    // Inbox entries carry a preview of the message
+    await notificationService.deleteForMessage(messageId);
+
+    logger.info({ messageId, userId }, 'Message unsent');
+
+    return this.serialize(tombstone);
+  }
+
+  /**
+   * React to a message (reacting twice with the same emoji is a no-op)
+   */
+  async addReaction(messageId, userId, emoji) {
+    this.validateEmoji(emoji);
+
+    const message = await this.getVisibleMessage(messageId, userId);
+
+    if (message.deletedAt) {
+      throw new NotFoundError('Message not found');
+    }
+
+    try {
+      await prisma.messageReaction.create({
+        data: { messageId, userId, emoji }
+      });
+    } catch (err) {
+      if (err.code !== 'P2002') throw err;
+    }
+
+    return this.getReactions(message);
+  }
+
+  /**
+   * Remove a reaction from a message
+   */
+  async removeReaction(messageId, userId, emoji) {
+    const message = await this.getVisibleMessage(messageId, userId);
+
+    await prisma.messageReaction.deleteMany({
+      where: { messageId, userId, emoji }
+    });
+
+    return this.getReactions(message);
+  }
+
+  /**
+   * A message with its current reactions
+   */
+  async getReactions(message) {
+    const reactions = await prisma.messageReaction.findMany({
+      where: { messageId: message.id },
+      orderBy: { createdAt: 'asc' },
+      select: { emoji: true, userId: true }
+    });
+
+    return this.serialize({ ...message, reactions });
+  }
+
+  /**
+   * Check a reaction is an emoji
+   */
+  validateEmoji(emoji) {
+    if (
+      typeof emoji !== 'string' ||
+      emoji.length > this.MAX_EMOJI_LENGTH ||
+      !EMOJI_PATTERN.test(emoji) ||
+      !EMOJI_SYMBOL.test(emoji)
+    ) {
+      throw new ValidationError('Reaction must be an emoji');
+    }
+  }
+
+  /**
+   * Get unread message count
+   */
+  async getUnreadCount(userId) {
+    const [direct, [groups]] = await Promise.all([
+      prisma.message.count({
+        where: {
+          recipientId: userId,
+          read: false,
+          hidden: false
+        }
+      }),
+      // Group and beacon messages since the user last read each conversation
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS count
+        FROM "ConversationParticipant" cp
+        JOIN "Conversation" c ON c.id = cp."conversationId"
+        JOIN "Message" m ON m."conversationId" = c.id
+        WHERE cp."userId" = ${userId}
+          AND c.type <> 'direct'
+          AND m."senderId" <> ${userId}
+          AND m.hidden = false
+          AND m."createdAt" > COALESCE(cp."lastReadAt", cp."joinedAt")
+      `
+    ]);
+
+    return direct + groups.count;
   }
 
   /**
@@ -256,15 +813,16 @@ export class MessageService {
 
     const messages = await prisma.message.findMany({
       where: {
-        OR: [
-          { senderId: userId },
-          { recipientId: userId }
-        ],
+        conversation: {
+          participants: { some: { userId } }
+        },
         content: {
           contains: query,
           mode: 'insensitive'
         },
-        encrypted: false // Can't search encrypted messages
+        encrypted: false, // Can't search encrypted messages
+        hidden: false,
+        deletedAt: null
       },
       orderBy: {
         createdAt: 'desc'
@@ -284,6 +842,23 @@ export class MessageService {
             displayName: true,
             photoUrl: true
           }
+        },
+        conversation: {
+          select: {
+            id: true,
+            type: true,
+            name: true
+          }
+        },
+        // Matches are on the current version; earlier versions come back with it
+        edits: {
+          select: {
+            content: true,
+            editedAt: true
+          },
+          orderBy: {
+            editedAt: 'asc'
+          }
         }
       }
     });
@@ -295,16 +870,24 @@ export class MessageService {
    * Clean up expired view-once messages (run periodically)
    */
   async cleanupExpiredMessages() {
-    const result = await prisma.message.deleteMany({
-      where: {
-        viewOnce: true,
-        expiresAt: {
-          lt: new Date()
-        }
+    const where = {
+      viewOnce: true,
+      expiresAt: {
+        lt: new Date()
       }
+    };
+
+    const withMedia = await prisma.message.findMany({
+      where: { ...where, mediaId: { not: null } },
+      select: { mediaId: true }
     });
 
-    logger.info({ count: result.count }, 'Expired view-once messages cleaned up');
+    const result = await prisma.message.deleteMany({ where });
+
+    // Media uploaded for view-once messages goes with them (library uploads stay)
+    const mediaDeleted = await mediaService.deleteViewOnce([...new Set(withMedia.map(m => m.mediaId))]);
+
+    logger.info({ count: result.count, mediaDeleted }, 'Expired view-once messages cleaned up');
 
     return result.count;
   }
@@ -338,12 +921,9 @@ export class MessageService {
 
   /**
    * Block user (prevent messages)
-   * TODO: Implement proper blocking system with Block model
    */
   async blockUser(userId, blockUserId) {
-    // Placeholder - would need Block model in schema
-    logger.info({ userId, blockUserId }, 'User blocked');
-    return { success: true, message: 'Block feature coming soon' };
+    return blockService.blockUser(userId, blockUserId);
   }
 }
 
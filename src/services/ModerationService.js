@@ -0,0 +1,375 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { MailService } from './MailService.js';
+import { NotificationService } from './NotificationService.js';
+
+const prisma = new PrismaClient();
+
+const REPORT_TYPES = ['user', 'message', 'photo', 'beacon', 'spot'];
+
+// Short-lived cache of account restrictions, checked on every authenticated request
+// Entries for a user are dropped as soon as this instance actions them. Expired
+// entries are swept once the cache is full, then the oldest go, so it stays bounded.
+const RESTRICTION_CACHE_TTL_MS = 30 * 1000;
+const RESTRICTION_CACHE_MAX_ENTRIES = 10000;
+const restrictionCache = new Map();
+
+const cacheRestriction = (userId, user) => {
+  const now = Date.now();
+
+  // Re-inserted so the Map's order stays oldest first
+  restrictionCache.delete(userId);
+  restrictionCache.set(userId, { user, expiresAt: now + RESTRICTION_CACHE_TTL_MS });
+
+  if (restrictionCache.size <= RESTRICTION_CACHE_MAX_ENTRIES) return;
+
+  for (const [key, entry] of restrictionCache) {
+    if (entry.expiresAt <= now) restrictionCache.delete(key);
+  }
+
+  for (const key of restrictionCache.keys()) {
+    if (restrictionCache.size <= RESTRICTION_CACHE_MAX_ENTRIES) break;
+    restrictionCache.delete(key);
+  }
+};
+
+export class ModerationService {
+  constructor(mailService = new MailService(), notificationService = new NotificationService()) {
+    this.mailService = mailService;
+    this.notificationService = notificationService;
+    this.MAX_SUSPENSION_DAYS = 365;
+
+    // Each action lists the report types it applies to and how it changes the target
+    this.actions = {
+      warn_user: {
+        targetTypes: REPORT_TYPES,
+        apply: async () => {}
+      },
+      hide_message: {
+        targetTypes: ['message'],
+        apply: async (tx, { targetId }) => {
+          await tx.message.update({
+            where: { id: targetId },
+            data: { hidden: true }
+          });
+
+          // Recipients' inbox entries carry a preview of it
+          await this.notificationService.deleteForMessage(targetId, tx);
+        }
+      },
+      reject_media: {
+        targetTypes: ['photo'],
+        apply: (tx, { targetId }) => tx.mediaAsset.update({
+          where: { id: targetId },
+          data: { status: 'rejected', flagged: true }
+        })
+      },
+      deactivate_beacon: {
+        targetTypes: ['beacon'],
+        apply: (tx, { targetId }) => tx.beacon.update({
+          where: { id: targetId },
+          data: { active: false }
+        })
+      },
+      flag_spot: {
+        targetTypes: ['spot'],
+        apply: (tx, { targetId }) => tx.spot.update({
+          where: { id: targetId },
+          data: { approved: false, flagged: true }
+        })
+      },
+      suspend_user: {
+        targetTypes: REPORT_TYPES,
+        restrictsAccount: true,
+        apply: (tx, { targetUserId, expiresAt }) => tx.user.update({
+          where: { id: targetUserId },
+          data: { suspendedUntil: expiresAt }
+        })
+      },
+      ban_user: {
+        targetTypes: REPORT_TYPES,
+        restrictsAccount: true,
+        apply: (tx, { targetUserId }) => tx.user.update({
+          where: { id: targetUserId },
+          data: { bannedAt: new Date() }
+        })
+      }
+    };
+  }
+
+  /**
+   * Carry out an action against a report's target and resolve the report
+   */
+  async actionReport(reportId, moderatorId, { action, durationDays, note } = {}) {
+    const definition = this.actions[action];
+
+    if (!definition) {
+      throw new ValidationError(`Invalid action. Must be one of: ${Object.keys(this.actions).join(', ')}`);
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id: reportId }
+    });
+
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    if (!definition.targetTypes.includes(report.type)) {
+      throw new ValidationError(`Action ${action} cannot be applied to a ${report.type} report`);
+    }
+
+    let suspensionDays = null;
+    let expiresAt = null;
+
+    if (action === 'suspend_user') {
+      suspensionDays = parseInt(durationDays);
+
+      if (!Number.isInteger(suspensionDays) || suspensionDays < 1 || suspensionDays > this.MAX_SUSPENSION_DAYS) {
+        throw new ValidationError(`durationDays must be between 1 and ${this.MAX_SUSPENSION_DAYS}`);
+      }
+
+      expiresAt = new Date(Date.now() + suspensionDays * 24 * 60 * 60 * 1000);
+    }
+
+    const targetUserId = await this.resolveTargetUserId(report.type, report.targetId);
+
+    if (!targetUserId) {
+      throw new NotFoundError(`Reported ${report.type} no longer exists`);
+    }
+
+    const targetUser = await prisma.user.findUnique({
+      where: { id: targetUserId },
+      select: { id: true, email: true, displayName: true, role: true }
+    });
+
+    if (definition.restrictsAccount && targetUser.role !== 'user') {
+      throw new ForbiddenError('Staff accounts cannot be suspended or banned');
+    }
+
+    const now = new Date();
+
+    const { moderationAction, updatedReport } = await prisma.$transaction(async (tx) => {
+      // Claimed first, so two moderators actioning the same report can't both apply an action
+      const { count } = await tx.report.updateMany({
+        where: { id: reportId, status: { not: 'actioned' } },
+        data: {
+          status: 'actioned',
+          reviewedBy: moderatorId,
+          reviewedAt: now
+        }
+      });
+
+      if (count !== 1) {
+        throw new ConflictError('Report has already been actioned');
+      }
+
+      await definition.apply(tx, {
+        targetId: report.targetId,
+        targetUserId,
+        expiresAt
+      });
+
+      // Signed-in devices lose their refresh tokens immediately
+      if (definition.restrictsAccount) {
+        await tx.session.updateMany({
+          where: { userId: targetUserId, revoked: false },
+          data: { revoked: true }
+        });
+      }
+
+      const moderationAction = await tx.moderationAction.create({
+        data: {
+          moderatorId,
+          reportId,
+          action,
+          targetType: report.type,
+          targetId: report.targetId,
+          targetUserId,
+          note: note || null,
+          durationDays: suspensionDays,
+          expiresAt
+        }
+      });
+
+      const updatedReport = await tx.report.findUnique({
+        where: { id: reportId }
+      });
+
+      return { moderationAction, updatedReport };
+    });
+
+    if (definition.restrictsAccount) {
+      restrictionCache.delete(targetUserId);
+    }
+
+    if (['warn_user', 'suspend_user', 'ban_user'].includes(action)) {
+      this.mailService.sendModerationNotice(targetUser, { action, expiresAt, note }).catch(err => {
+        logger.error({ err, userId: targetUserId, action }, 'Failed to send moderation notice');
+      });
+      this.notificationService.notifyModerationAction(targetUserId, { action, expiresAt }).catch(err => {
+        logger.error({ err, userId: targetUserId, action }, 'Failed to push moderation notice');
+      });
+    }
+
+    this.notificationService.notifyReportActioned(report).catch(err => {
+      logger.error({ err, reportId }, 'Failed to notify reporter');
+    });
+
+    logger.warn({
+      reportId,
+      moderatorId,
+      action,
+      targetType: report.type,
+      targetId: report.targetId,
+      targetUserId
+    }, 'Moderation action taken');
+
+    return { report: updatedReport, moderationAction };
+  }
+
+  /**
+   * Lift a suspension or ban
+   */
+  async reinstateUser(userId, moderatorId, note = null) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, suspendedUntil: true, bannedAt: true }
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.bannedAt && !(user.suspendedUntil && user.suspendedUntil > new Date())) {
+      throw new ValidationError('User is not suspended or banned');
+    }
+
+    const [, moderationAction] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { suspendedUntil: null, bannedAt: null }
+      }),
+      prisma.moderationAction.create({
+        data: {
+          moderatorId,
+          action: 'reinstate_user',
+          targetType: 'user',
+          targetId: userId,
+          targetUserId: userId,
+          note
+        }
+      })
+    ]);
+
+    restrictionCache.delete(userId);
+
+    logger.warn({ userId, moderatorId }, 'User reinstated');
+
+    return moderationAction;
+  }
+
+  /**
+   * List moderation actions taken against a user (newest first)
+   */
+  async getHistory(userId, limit = 50) {
+    return prisma.moderationAction.findMany({
+      where: { targetUserId: userId },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(limit, 100)
+    });
+  }
+
+  /**
+   * Find the user who owns a reported item
+   */
+  async resolveTargetUserId(type, targetId) {
+    switch (type) {
+      case 'user': {
+        const user = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true } });
+        return user?.id || null;
+      }
+      case 'message': {
+        const message = await prisma.message.findUnique({ where: { id: targetId }, select: { senderId: true } });
+        return message?.senderId || null;
+      }
+      case 'photo': {
+        const media = await prisma.mediaAsset.findUnique({ where: { id: targetId }, select: { userId: true } });
+        return media?.userId || null;
+      }
+      case 'beacon': {
+        const beacon = await prisma.beacon.findUnique({ where: { id: targetId }, select: { userId: true } });
+        return beacon?.userId || null;
+      }
+      case 'spot': {
+        const spot = await prisma.spot.findUnique({ where: { id: targetId }, select: { userId: true } });
+        return spot?.userId || null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the active restriction on an account, if any
+   * Returns { type: 'banned' | 'suspended', until } or null
+   */
+  async getRestriction(userId) {
+    const cached = restrictionCache.get(userId);
+    if (cached) {
+      if (cached.expiresAt > Date.now()) {
+        return this.restrictionFor(cached.user);
+      }
+      restrictionCache.delete(userId);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { suspendedUntil: true, bannedAt: true }
+    });
+
+    cacheRestriction(userId, user);
+
+    return this.restrictionFor(user);
+  }
+
+  /**
+   * Derive a restriction from a user's moderation fields
+   */
+  restrictionFor(user) {
+    if (!user) {
+      return null;
+    }
+
+    if (user.bannedAt) {
+      return { type: 'banned', until: null };
+    }
+
+    if (user.suspendedUntil && user.suspendedUntil > new Date()) {
+      return { type: 'suspended', until: user.suspendedUntil };
+    }
+
+    return null;
+  }
+
+  /**
+   * Response body for a request blocked by a restriction
+   */
+  describeRestriction(restriction) {
+    if (restriction.type === 'banned') {
+      return {
+        error: 'Account Banned',
+        message: 'This account has been banned for violating our community guidelines'
+      };
+    }
+
+    return {
+      error: 'Account Suspended',
+      message: `This account is suspended until ${restriction.until.toISOString()}`,
+      suspendedUntil: restriction.until
+    };
+  }
+}
+
+export default ModerationService;
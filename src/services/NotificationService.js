@@ -0,0 +1,607 @@
+import { EventEmitter } from 'events';
+import { PrismaClient } from '@prisma/client';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { pushNotifications } from '../utils/metrics.js';
+import { getPushProvider, PUSH_PROVIDERS, APNS_TOKEN_PATTERN } from '../utils/push.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+
+const prisma = new PrismaClient();
+
+// Emits 'created' with each new inbox entry (the socket server relays it live)
+export const notificationEvents = new EventEmitter();
+
+// Used for users who have never saved their settings
+const DEFAULT_SETTINGS = {
+  messages: true,
+  beaconJoins: true,
+  moderation: true,
+  quietHoursStart: null,
+  quietHoursEnd: null,
+  timeZone: 'UTC'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Notifications - an in-app inbox per user, also pushed to their devices
+ *
+ * Devices register a token with the provider it came from (Expo, APNs or FCM).
+ * Set PUSH_PROVIDER (e.g. to console) to send every push through one provider
+ * instead, or pass a provider (e.g. the memory one) in tests.
+ */
+export class NotificationService {
+  constructor(provider = null) {
+    const name = process.env.PUSH_PROVIDER;
+
+    this.provider = provider || (name ? getPushProvider(name) : null);
+    this.PREFERENCES = ['messages', 'beaconJoins', 'moderation'];
+    this.MAX_TOKEN_LENGTH = 4096;
+    this.MAX_PREVIEW_LENGTH = 100;
+    this.MAX_PAGE_SIZE = 50;
+    this.RETENTION_DAYS = 90;
+
+    // Each type names the setting that turns its pushes off (null: always pushed)
+    this.TYPES = {
+      message: 'messages',
+      beacon_join: 'beaconJoins',
+      report_actioned: 'moderation',
+      moderation_action: 'moderation',
+      media_moderated: 'moderation',
+      payment_failed: null
+    };
+  }
+
+  /**
+   * Register the push token for the device a request comes from
+   * A token belongs to one install, so any other device holding it loses it
+   */
+  async registerPushToken(userId, deviceId, { token, provider } = {}) {
+    if (!PUSH_PROVIDERS.includes(provider)) {
+      throw new ValidationError(`provider must be one of: ${PUSH_PROVIDERS.join(', ')}`);
+    }
+
+    if (typeof token !== 'string' || token.length === 0 || token.length > this.MAX_TOKEN_LENGTH) {
+      throw new ValidationError('A push token is required');
+    }
+
+    if (provider === 'expo' && !/^Expo(nent)?PushToken\[.+\]$/.test(token)) {
+      throw new ValidationError('Invalid Expo push token');
+    }
+
+    if (provider === 'apns' && !APNS_TOKEN_PATTERN.test(token)) {
+      throw new ValidationError('Invalid APNs device token');
+    }
+
+    const device = await this.getDevice(userId, deviceId);
+
+    await prisma.$transaction([
+      prisma.device.updateMany({
+        where: { pushToken: token, id: { not: device.id } },
+        data: { pushToken: null, pushProvider: null, pushTokenUpdatedAt: null }
+      }),
+      prisma.device.update({
+        where: { id: device.id },
+        data: { pushToken: token, pushProvider: provider, pushTokenUpdatedAt: new Date() }
+      })
+    ]);
+
+    logger.info({ userId, deviceId, provider }, 'Push token registered');
+  }
+
+  /**
+   * Stop pushes to the device a request comes from
+   */
+  async removePushToken(userId, deviceId) {
+    if (!deviceId) return;
+
+    await prisma.device.updateMany({
+      where: { userId, deviceId },
+      data: { pushToken: null, pushProvider: null, pushTokenUpdatedAt: null }
+    });
+  }
+
+  /**
+   * Stop pushes to every device of a user (e.g. logging out everywhere)
+   */
+  async removeAllPushTokens(userId) {
+    await prisma.device.updateMany({
+      where: { userId, pushToken: { not: null } },
+      data: { pushToken: null, pushProvider: null, pushTokenUpdatedAt: null }
+    });
+  }
+
+  /**
+   * Get a user's notification settings (defaults if never saved)
+   */
+  async getSettings(userId) {
+    return this.serialize(await this.getStoredSettings(userId));
+  }
+
+  /**
+   * Update a user's notification settings (partial updates allowed)
+   * quietHours is { start: 'HH:MM', end: 'HH:MM', timeZone }, or null to turn them off
+   */
+  async updateSettings(userId, updates) {
+    const data = {};
+
+    for (const field of this.PREFERENCES) {
+      if (updates[field] !== undefined) {
+        if (typeof updates[field] !== 'boolean') {
+          throw new ValidationError(`${field} must be true or false`);
+        }
+        data[field] = updates[field];
+      }
+    }
+
+    if (updates.quietHours === null) {
+      data.quietHoursStart = null;
+      data.quietHoursEnd = null;
+    } else if (updates.quietHours !== undefined) {
+      const { start, end, timeZone } = updates.quietHours;
+
+      data.quietHoursStart = this.parseTime(start, 'quietHours.start');
+      data.quietHoursEnd = this.parseTime(end, 'quietHours.end');
+
+      if (data.quietHoursStart === data.quietHoursEnd) {
+        throw new ValidationError('quietHours.start and quietHours.end must differ');
+      }
+
+      if (timeZone !== undefined) {
+        this.validateTimeZone(timeZone);
+        data.timeZone = timeZone;
+      }
+    }
+
+    const settings = await prisma.notificationSettings.upsert({
+      where: { userId },
+      create: { userId, ...data },
+      update: data
+    });
+
+    logger.info({ userId, fields: Object.keys(data) }, 'Notification settings updated');
+
+    return this.serialize(settings);
+  }
+
+  /**
+   * Add a notification to a user's inbox and push it to their devices
+   */
+  async notify(userId, type, { title, body, data = {} }) {
+    if (!(type in this.TYPES)) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const notification = this.serializeNotification(await prisma.notification.create({
+      data: { userId, type, title, body, data }
+    }));
+
+    notificationEvents.emit('created', notification);
+
+    await this.push(notification);
+
+    return notification;
+  }
+
+  /**
+   * Push an inbox entry to every device of its user with a push token
+   * Skipped if the user turned the type off or is in their quiet hours.
+   * Returns the number of devices it was sent to.
+   */
+  async push({ id, userId, type, title, body, data }) {
+    const settings = await this.getStoredSettings(userId);
+    const preference = this.TYPES[type];
+
+    if ((preference && !settings[preference]) || this.isQuietTime(settings)) {
+      return 0;
+    }
+
+    const devices = await prisma.device.findMany({
+      where: { userId, pushToken: { not: null } },
+      select: { id: true, pushToken: true, pushProvider: true }
+    });
+
+    // async, so a provider that can't be set up fails only its own device
+    const results = await Promise.allSettled(devices.map(async device =>
+      this.providerFor(device).send({
+        token: device.pushToken,
+        title,
+        body,
+        data: { ...data, type, notificationId: id }
+      })
+    ));
+
+    let sent = 0;
+    const staleDeviceIds = [];
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        pushNotifications.labels(type, 'failed').inc();
+        logger.error({ err: result.reason, userId, deviceId: devices[i].id }, 'Failed to send push notification');
+      } else if (result.value.invalidToken) {
+        pushNotifications.labels(type, 'invalid_token').inc();
+        staleDeviceIds.push(devices[i].id);
+      } else {
+        pushNotifications.labels(type, 'sent').inc();
+        sent++;
+      }
+    });
+
+    // Tokens the provider no longer recognises (app uninstalled, token rotated)
+    if (staleDeviceIds.length > 0) {
+      await prisma.device.updateMany({
+        where: { id: { in: staleDeviceIds } },
+        data: { pushToken: null, pushProvider: null, pushTokenUpdatedAt: null }
+      });
+    }
+
+    return sent;
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * Pass the previous page's nextCursor to continue
+   */
+  async listNotifications(userId, { cursor, limit = 20, unreadOnly = false } = {}) {
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), this.MAX_PAGE_SIZE);
+    const where = { userId };
+
+    if (unreadOnly) {
+      where.readAt = null;
+    }
+
+    if (cursor) {
+      const [createdAt, id] = decodeCursor(cursor, 2);
+      const after = typeof createdAt === 'string' ? new Date(createdAt) : null;
+
+      // Cursors carry the ISO timestamp they were made with
+      if (!after || Number.isNaN(after.getTime()) || after.toISOString() !== createdAt || typeof id !== 'string') {
+        throw new ValidationError('Invalid cursor');
+      }
+
+      where.OR = [
+        { createdAt: { lt: after } },
+        { createdAt: after, id: { lt: id } }
+      ];
+    }
+
+    const rows = await prisma.notification.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: take + 1
+    });
+
+    const hasMore = rows.length > take;
+    const page = rows.slice(0, take);
+    const last = page[page.length - 1];
+
+    return {
+      notifications: page.map(n => this.serializeNotification(n)),
+      unreadCount: await this.getUnreadCount(userId),
+      meta: {
+        hasMore,
+        nextCursor: hasMore ? encodeCursor([last.createdAt.toISOString(), last.id]) : null
+      }
+    };
+  }
+
+  /**
+   * Number of unread notifications (for the app's badge)
+   */
+  async getUnreadCount(userId) {
+    return prisma.notification.count({
+      where: { userId, readAt: null }
+    });
+  }
+
+  /**
+   * Mark one of a user's notifications read, returning their new unread count
+   */
+  async markRead(userId, notificationId) {
+    const notification = await prisma.notification.findUnique({
+      where: { id: notificationId }
+    });
+
+    if (!notification || notification.userId !== userId) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    if (!notification.readAt) {
+      await prisma.notification.update({
+        where: { id: notificationId },
+        data: { readAt: new Date() }
+      });
+    }
+
+    return this.getUnreadCount(userId);
+  }
+
+  /**
+   * Mark every notification of a user read
+   */
+  async markAllRead(userId) {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    return count;
+  }
+
+  /**
+   * Delete the notifications for a message (e.g. once it's unsent or hidden by
+   * moderation), so its preview goes too - pass a transaction client to join one
+   */
+  async deleteForMessage(messageId, client = prisma) {
+    await client.notification.deleteMany({
+      where: {
+        type: 'message',
+        data: { path: ['messageId'], equals: messageId }
+      }
+    });
+  }
+
+  /**
+   * Refresh the preview in a message's notifications (once it's edited)
+   */
+  async updateForMessage(message) {
+    await prisma.notification.updateMany({
+      where: {
+        type: 'message',
+        data: { path: ['messageId'], equals: message.id }
+      },
+      data: { body: this.messagePreview(message) }
+    });
+  }
+
+  /**
+   * Delete notifications past the retention period
+   */
+  async cleanupOldNotifications() {
+    const cutoff = new Date(Date.now() - this.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const { count } = await prisma.notification.deleteMany({
+      where: { createdAt: { lt: cutoff } }
+    });
+
+    if (count > 0) {
+      logger.info({ count }, 'Old notifications deleted');
+    }
+
+    return count;
+  }
+
+  /**
+   * Notification text for a message
+   * Encrypted and view-once messages are never previewed
+   */
+  messagePreview(message) {
+    const body = message.content || '';
+
+    if (message.encrypted) {
+      return 'Sent an encrypted message';
+    }
+    if (message.viewOnce) {
+      return 'Sent a view-once message';
+    }
+    if (message.media && !body) {
+      return `Sent a ${message.media.kind}`;
+    }
+    if (body.length > this.MAX_PREVIEW_LENGTH) {
+      return `${body.slice(0, this.MAX_PREVIEW_LENGTH - 1)}…`;
+    }
+    return body;
+  }
+
+  /**
+   * Notify recipients who aren't connected about a new message
+   */
+  async notifyNewMessage(message, userIds) {
+    return Promise.all(userIds.map(userId => this.notify(userId, 'message', {
+      title: message.sender?.displayName || 'New message',
+      body: this.messagePreview(message),
+      data: {
+        conversationId: message.conversationId,
+        messageId: message.id,
+        senderId: message.senderId
+      }
+    })));
+  }
+
+  /**
+   * Tell a beacon's host that someone joined
+   */
+  async notifyBeaconJoin(beacon, attendee) {
+    return this.notify(beacon.userId, 'beacon_join', {
+      title: beacon.title,
+      body: `${attendee.displayName} joined your beacon`,
+      data: {
+        beaconId: beacon.id,
+        userId: attendee.id
+      }
+    });
+  }
+
+  /**
+   * Tell a reporter their report was actioned
+   */
+  async notifyReportActioned(report) {
+    return this.notify(report.reporterId, 'report_actioned', {
+      title: 'Thanks for your report',
+      body: 'We reviewed your report and took action.',
+      data: { reportId: report.id }
+    });
+  }
+
+  /**
+   * Tell a user about a warning, suspension or ban on their account
+   */
+  async notifyModerationAction(userId, { action, expiresAt }) {
+    const summaries = {
+      warn_user: 'Your account has received a warning for violating our community guidelines.',
+      suspend_user: `Your account has been suspended until ${expiresAt?.toUTCString()}.`,
+      ban_user: 'Your account has been permanently banned.'
+    };
+
+    return this.notify(userId, 'moderation_action', {
+      title: 'Important notice about your account',
+      body: summaries[action],
+      data: { action }
+    });
+  }
+
+  /**
+   * Tell a user whether their upload passed moderation
+   */
+  async notifyMediaModerated(media) {
+    const approved = media.status === 'approved';
+
+    return this.notify(media.userId, 'media_moderated', {
+      title: approved ? 'Your upload was approved' : 'Your upload was removed',
+      body: approved
+        ? `Your ${media.kind} is now visible to others.`
+        : `Your ${media.kind} doesn't meet our community guidelines.`,
+      data: { mediaId: media.id, status: media.status }
+    });
+  }
+
+  /**
+   * Tell a user a subscription payment failed, so they can update their card
+   */
+  async notifyPaymentFailed(userId, invoice) {
+    return this.notify(userId, 'payment_failed', {
+      title: 'Payment failed',
+      body: `We couldn't charge your card for your subscription. Update your payment method to keep your plan.`,
+      data: { invoiceId: invoice.id }
+    });
+  }
+
+  /**
+   * Stored settings, or the defaults
+   */
+  async getStoredSettings(userId) {
+    const settings = await prisma.notificationSettings.findUnique({
+      where: { userId }
+    });
+
+    return settings || DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Check if it's currently within a user's quiet hours (which may span midnight)
+   */
+  isQuietTime(settings, now = new Date()) {
+    const { quietHoursStart: start, quietHoursEnd: end } = settings;
+
+    if (start === null || end === null) {
+      return false;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: settings.timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+
+    const value = (type) => parseInt(parts.find(p => p.type === type).value);
+    const minutes = value('hour') * 60 + value('minute');
+
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * The provider to send through for a device
+   */
+  providerFor(device) {
+    return this.provider || getPushProvider(device.pushProvider);
+  }
+
+  /**
+   * The Device row for the device a request comes from
+   */
+  async getDevice(userId, deviceId) {
+    const device = deviceId && await prisma.device.findUnique({
+      where: {
+        userId_deviceId: { userId, deviceId }
+      }
+    });
+
+    if (!device) {
+      throw new ValidationError('Device not registered - log in again on this device');
+    }
+
+    return device;
+  }
+
+  /**
+   * Parse HH:MM into minutes after midnight
+   */
+  parseTime(value, field) {
+    const match = typeof value === 'string' && value.match(TIME_PATTERN);
+
+    if (!match) {
+      throw new ValidationError(`${field} must be a time in HH:MM format`);
+    }
+
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+  }
+
+  /**
+   * Format minutes after midnight as HH:MM
+   */
+  formatTime(minutes) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * Check an IANA time zone name (e.g. Europe/London)
+   */
+  validateTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone });
+    } catch {
+      throw new ValidationError('quietHours.timeZone must be an IANA time zone, e.g. Europe/London');
+    }
+  }
+
+  /**
+   * Shape an inbox entry for the API
+   */
+  serializeNotification(notification) {
+    return {
+      id: notification.id,
+      userId: notification.userId,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data,
+      read: notification.readAt !== null,
+      readAt: notification.readAt,
+      createdAt: notification.createdAt
+    };
+  }
+
+  /**
+   * Shape stored settings for the API
+   */
+  serialize(settings) {
+    return {
+      messages: settings.messages,
+      beaconJoins: settings.beaconJoins,
+      moderation: settings.moderation,
+      quietHours: settings.quietHoursStart === null
+        ? null
+        : {
+          start: this.formatTime(settings.quietHoursStart),
+          end: this.formatTime(settings.quietHoursEnd),
+          timeZone: settings.timeZone
+        }
+    };
+  }
+}
+
+export default NotificationService;
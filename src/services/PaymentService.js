@@ -3,12 +3,14 @@ import { PrismaClient } from '@prisma/client';
 import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import { subscriptionEvents } from '../utils/metrics.js';
+import { NotificationService } from './NotificationService.js';
 
 const prisma = new PrismaClient();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 export class PaymentService {
-  constructor() {
+  constructor(notificationService = new NotificationService()) {
+    this.notificationService = notificationService;
     this.plans = {
       basic: {
         priceId: process.env.STRIPE_PRICE_BASIC || 'price_basic',
@@ -269,7 +271,19 @@ export class PaymentService {
    */
   async handlePaymentFailed(invoice) {
     logger.warn({ invoiceId: invoice.id, customerId: invoice.customer }, 'Payment failed');
-    
+
+    const user = await prisma.user.findUnique({
+      where: { stripeCustomerId: invoice.customer },
+      select: { id: true }
+    });
+
+    // Not awaited - a failed notification shouldn't make Stripe retry the webhook
+    if (user) {
+      this.notificationService.notifyPaymentFailed(user.id, invoice).catch(err => {
+        logger.error({ err, userId: user.id, invoiceId: invoice.id }, 'Failed to notify user of failed payment');
+      });
+    }
+
     // TODO: Send email notification to user about failed payment
   }
 
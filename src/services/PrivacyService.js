@@ -0,0 +1,171 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const prisma = new PrismaClient();
+
+// Used for users who have never saved their settings
+const DEFAULT_SETTINGS = {
+  profileVisibility: 'public',
+  showLocation: true,
+  showOnlineStatus: true,
+  allowMessages: 'everyone',
+  showAge: true,
+  hideDistance: false,
+  analytics: true,
+  locationHistory: true
+};
+
+export class PrivacyService {
+  constructor() {
+    this.PROFILE_VISIBILITY = ['public', 'friends', 'private'];
+    this.ALLOW_MESSAGES = ['everyone', 'matches', 'nobody'];
+  }
+
+  /**
+   * Get a user's privacy settings (defaults if never saved)
+   */
+  async getSettings(userId) {
+    const settings = await prisma.privacySettings.findUnique({
+      where: { userId }
+    });
+
+    return this.serialize(settings || DEFAULT_SETTINGS);
+  }
+
+  /**
+   * Update a user's privacy settings (partial updates allowed)
+   */
+  async updateSettings(userId, updates) {
+    const data = {};
+
+    if (updates.profileVisibility !== undefined) {
+      if (!this.PROFILE_VISIBILITY.includes(updates.profileVisibility)) {
+        throw new ValidationError(`profileVisibility must be one of: ${this.PROFILE_VISIBILITY.join(', ')}`);
+      }
+      data.profileVisibility = updates.profileVisibility;
+    }
+
+    if (updates.allowMessages !== undefined) {
+      if (!this.ALLOW_MESSAGES.includes(updates.allowMessages)) {
+        throw new ValidationError(`allowMessages must be one of: ${this.ALLOW_MESSAGES.join(', ')}`);
+      }
+      data.allowMessages = updates.allowMessages;
+    }
+
+    for (const field of ['showLocation', 'showOnlineStatus', 'showAge', 'hideDistance']) {
+      if (updates[field] !== undefined) {
+        if (typeof updates[field] !== 'boolean') {
+          throw new ValidationError(`${field} must be true or false`);
+        }
+        data[field] = updates[field];
+      }
+    }
+
+    if (updates.dataCollection !== undefined) {
+      for (const field of ['analytics', 'locationHistory']) {
+        const value = updates.dataCollection?.[field];
+        if (value !== undefined) {
+          if (typeof value !== 'boolean') {
+            throw new ValidationError(`dataCollection.${field} must be true or false`);
+          }
+          data[field] = value;
+        }
+      }
+    }
+
+    const settings = await prisma.privacySettings.upsert({
+      where: { userId },
+      create: { userId, ...data },
+      update: data
+    });
+
+    logger.info({ userId, fields: Object.keys(data) }, 'Privacy settings updated');
+
+    return this.serialize(settings);
+  }
+
+  /**
+   * Check if a viewer may see another user's profile
+   * "friends" means the two users have an existing conversation
+   */
+  async canViewProfile(viewerId, ownerId) {
+    if (viewerId === ownerId) {
+      return true;
+    }
+
+    const { profileVisibility } = await this.getSettings(ownerId);
+
+    if (profileVisibility === 'public') {
+      return true;
+    }
+
+    if (profileVisibility === 'friends') {
+      return this.haveConversation(viewerId, ownerId);
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if a sender may message a recipient
+   * "matches" only accepts messages from users the recipient already has a conversation with
+   */
+  async canMessage(senderId, recipientId) {
+    const { allowMessages } = await this.getSettings(recipientId);
+
+    if (allowMessages === 'everyone') {
+      return true;
+    }
+
+    if (allowMessages === 'matches') {
+      return this.haveConversation(senderId, recipientId);
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if a user shares their online status
+   */
+  async showsOnlineStatus(userId) {
+    const { showOnlineStatus } = await this.getSettings(userId);
+    return showOnlineStatus;
+  }
+
+  /**
+   * Check if two users have exchanged any message
+   */
+  async haveConversation(userId, otherUserId) {
+    const count = await prisma.message.count({
+      where: {
+        OR: [
+          { senderId: userId, recipientId: otherUserId },
+          { senderId: otherUserId, recipientId: userId }
+        ]
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Shape stored settings for the API
+   */
+  serialize(settings) {
+    return {
+      profileVisibility: settings.profileVisibility,
+      showLocation: settings.showLocation,
+      showOnlineStatus: settings.showOnlineStatus,
+      allowMessages: settings.allowMessages,
+      showAge: settings.showAge,
+      hideDistance: settings.hideDistance,
+      dataCollection: {
+        analytics: settings.analytics,
+        locationHistory: settings.locationHistory
+      }
+    };
+  }
+}
+
+export default PrivacyService;
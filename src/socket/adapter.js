@@ -0,0 +1,27 @@
+import { createAdapter as createRedisAdapter } from '@socket.io/redis-adapter';
+import { redisEnabled, createRedisClient } from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Pick the Socket.IO adapter for this deployment
+ *
+ * With REDIS_URL set, room broadcasts (e.g. to `user:${id}`) are relayed
+ * through Redis pub/sub so they reach sockets on every instance. Without it
+ * Socket.IO keeps its default in-memory adapter, which only works for a
+ * single instance.
+ */
+export const createAdapter = () => {
+  if (!redisEnabled) {
+    logger.info('Socket.IO using in-memory adapter (single instance only)');
+    return null;
+  }
+
+  const pubClient = createRedisClient('socket.io-pub');
+  const subClient = createRedisClient('socket.io-sub');
+
+  logger.info('Socket.IO using Redis adapter');
+
+  return createRedisAdapter(pubClient, subClient);
+};
+
+export default createAdapter;
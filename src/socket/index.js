@@ -0,0 +1,437 @@
+import { Server as SocketIO } from 'socket.io';
+import jwt from 'jsonwebtoken';
+import { logger } from '../utils/logger.js';
+import { activeConnections } from '../utils/metrics.js';
+import { MessageService } from '../services/MessageService.js';
+import { ModerationService } from '../services/ModerationService.js';
+import { PrivacyService } from '../services/PrivacyService.js';
+import { BlockService } from '../services/BlockService.js';
+import { ConversationService } from '../services/ConversationService.js';
+import { NotificationService, notificationEvents } from '../services/NotificationService.js';
+import { createAdapter } from './adapter.js';
+import { createPresenceStore, PRESENCE_STATUSES } from './presence.js';
+
+const moderationService = new ModerationService();
+const privacyService = new PrivacyService();
+const blockService = new BlockService();
+const conversationService = new ConversationService();
+const notificationService = new NotificationService();
+const presenceStore = createPresenceStore();
+
+const MAX_PRESENCE_LOOKUP = 100;
+
+let ioServer = null;
+
+/**
+ * Emit an event to every connected device of a user (no-op before the server starts)
+ * Lets REST routes push the same events as the socket handlers
+ */
+export const emitToUser = (userId, event, payload) => {
+  ioServer?.to(`user:${userId}`).emit(event, payload);
+};
+
+/**
+ * Emit an event to everyone in a conversation
+ */
+export const emitToConversation = (conversationId, event, payload) => {
+  ioServer?.to(`conversation:${conversationId}`).emit(event, payload);
+};
+
+/**
+ * Add every connected device of these users to a conversation room
+ */
+export const joinConversationRoom = (conversationId, userIds) => {
+  ioServer?.in(userIds.map(id => `user:${id}`)).socketsJoin(`conversation:${conversationId}`);
+};
+
+/**
+ * Remove every connected device of these users from a conversation room
+ */
+export const leaveConversationRoom = (conversationId, userIds) => {
+  ioServer?.in(userIds.map(id => `user:${id}`)).socketsLeave(`conversation:${conversationId}`);
+};
+
+/**
+ * Rooms that should see a message's events
+ * Direct messages also go to both users' rooms, since a conversation started by
+ * a message has no room members yet
+ */
+const messageRooms = (message) => {
+  const rooms = [`conversation:${message.conversationId}`];
+
+  if (message.recipientId) {
+    rooms.push(`user:${message.senderId}`, `user:${message.recipientId}`);
+  }
+
+  return rooms;
+};
+
+// New inbox entries go live to the user's connected devices
+notificationEvents.on('created', (notification) => {
+  emitToUser(notification.userId, 'notification', notification);
+});
+
+/**
+ * Send a push notification to recipients with no open connection on any instance
+ */
+const pushToOfflineRecipients = async (message) => {
+  const participantIds = message.recipientId
+    ? [message.recipientId]
+    : await conversationService.getParticipantIds(message.conversationId);
+  const recipientIds = participantIds.filter(id => id !== message.senderId);
+
+  if (recipientIds.length === 0) return;
+
+  const presence = await presenceStore.getPresence(recipientIds);
+  const offlineIds = recipientIds.filter(id => presence[id] === 'offline');
+
+  if (offlineIds.length > 0) {
+    await notificationService.notifyNewMessage(message, offlineIds);
+  }
+};
+
+/**
+ * Push a new message to its conversation (pass the sending socket to skip it)
+ * Recipients who aren't connected get a push notification instead
+ */
+export const deliverMessage = (message, sender = null) => {
+  const rooms = messageRooms(message);
+  const target = sender ? sender.to(rooms) : ioServer?.to(rooms);
+  target?.emit('new_message', message);
+
+  pushToOfflineRecipients(message).catch(err => {
+    logger.error({ err, messageId: message.id }, 'Failed to push message to offline recipients');
+  });
+};
+
+/**
+ * Push a change to an existing message (edit, unsend, reaction) to its conversation
+ */
+export const emitMessageEvent = (message, event, payload) => {
+  ioServer?.to(messageRooms(message)).emit(event, payload);
+};
+
+/**
+ * Push a delivery or read receipt to a conversation (see MessageService.applyReceipt)
+ * Direct receipts go to both users' rooms, like direct messages
+ */
+export const emitMessageStatus = (receipt) => {
+  if (!receipt) return;
+
+  const { conversationId, participantIds, userId, status, upToMessageId, messageIds, at } = receipt;
+  const rooms = participantIds
+    ? participantIds.map(id => `user:${id}`)
+    : [`conversation:${conversationId}`];
+
+  ioServer?.to(rooms).emit('message_status', {
+    conversationId,
+    userId,
+    status,
+    upToMessageId,
+    messageIds,
+    at
+  });
+};
+
+/**
+ * Authenticate the handshake with an access token
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth.token;
+    
+    if (!token) {
+      return next(new Error('Authentication token required'));
+    }
+
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    
+    if (payload.type !== 'access') {
+      return next(new Error('Invalid token type'));
+    }
+
+    const restriction = await moderationService.getRestriction(payload.sub);
+    if (restriction) {
+      const err = new Error('Account restricted');
+      err.data = moderationService.describeRestriction(restriction);
+      return next(err);
+    }
+
+    socket.userId = payload.sub;
+    socket.userRole = payload.role || 'user';
+    socket.deviceId = payload.did;
+    next();
+  } catch (err) {
+    logger.error({ err }, 'Socket.IO authentication failed');
+    next(new Error('Authentication failed'));
+  }
+};
+
+/**
+ * Broadcast a user's presence to every instance (unless they hide their online status)
+ * Users blocked either way don't get it
+ */
+const broadcastPresence = async (socket, status) => {
+  if (await privacyService.showsOnlineStatus(socket.userId)) {
+    const blockedIds = await blockService.getBlockedUserIds(socket.userId);
+
+    socket.broadcast.except(blockedIds.map(id => `user:${id}`)).emit('user_presence', {
+      userId: socket.userId,
+      status
+    });
+  }
+};
+
+/**
+ * Wire up a connected socket
+ */
+const handleConnection = (io, socket) => {
+  logger.info({ userId: socket.userId }, 'User connected via WebSocket');
+  activeConnections.inc();
+
+  // Join user's personal room
+  socket.join(`user:${socket.userId}`);
+
+  // Join a room per conversation
+  conversationService.getConversationIds(socket.userId)
+    .then(ids => socket.join(ids.map(id => `conversation:${id}`)))
+    .catch(err => {
+      logger.error({ err, userId: socket.userId }, 'Failed to join conversation rooms');
+    });
+
+  // Announce the user only when their first device connects
+  const connected = presenceStore.addConnection(socket.userId, socket.id)
+    .then(cameOnline => cameOnline && broadcastPresence(socket, 'online'))
+    .catch(err => {
+      logger.error({ err, userId: socket.userId }, 'Failed to record presence');
+    });
+
+  // Drop the connection if the account is suspended or banned mid-session
+  socket.use(async (packet, next) => {
+    try {
+      const restriction = await moderationService.getRestriction(socket.userId);
+      if (restriction) {
+        socket.emit('error', moderationService.describeRestriction(restriction));
+        socket.disconnect(true);
+        return;
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Handle sending messages (to a conversation, or to a user directly)
+  // clientId is echoed back so the sender can match the ack to its pending message
+  socket.on('send_message', async (data) => {
+    try {
+      const { conversationId, recipientId, content, encrypted = false, ciphertexts, replyToId, clientId } = data;
+
+      if ((!conversationId && !recipientId) || (!content && !encrypted)) {
+        socket.emit('error', { message: 'Missing required fields', clientId });
+        return;
+      }
+
+      const messageService = new MessageService();
+      const message = await messageService.create({
+        senderId: socket.userId,
+        deviceId: socket.deviceId,
+        conversationId,
+        recipientId,
+        content,
+        encrypted,
+        ciphertexts,
+        replyToId
+      });
+
+      // Send to the conversation, including the sender's other devices
+      deliverMessage(message, socket);
+
+      // Confirm to sender
+      socket.emit('message_sent', { messageId: message.id, clientId, message });
+
+      logger.info({
+        from: socket.userId,
+        conversationId: message.conversationId,
+        messageId: message.id
+      }, 'Message sent');
+    } catch (err) {
+      logger.error({ err }, 'Error sending message');
+      // Surface client errors (e.g. blocked recipient), hide server errors
+      const message = err.statusCode && err.statusCode < 500
+        ? err.message
+        : 'Failed to send message';
+      socket.emit('error', { message, clientId: data?.clientId });
+    }
+  });
+
+  // Typing indicators go to a conversation (if the socket is in its room) or to a user,
+  // and like messages never between two users when either has blocked the other
+  const typingTarget = async ({ conversationId, recipientId } = {}) => {
+    if (conversationId) {
+      const room = `conversation:${conversationId}`;
+      if (!socket.rooms.has(room)) return null;
+
+      const { conversation } = await conversationService.assertParticipant(conversationId, socket.userId);
+      const otherUserId = conversation.type === 'direct'
+        ? conversation.directKey.split(':').find(id => id !== socket.userId)
+        : null;
+
+      if (otherUserId && await blockService.isBlockedBetween(socket.userId, otherUserId)) return null;
+      return socket.to(room);
+    }
+
+    if (!recipientId || await blockService.isBlockedBetween(socket.userId, recipientId)) return null;
+    return io.to(`user:${recipientId}`);
+  };
+
+  // Handle typing indicator
+  socket.on('typing', async (data) => {
+    try {
+      (await typingTarget(data))?.emit('user_typing', {
+        userId: socket.userId,
+        conversationId: data.conversationId
+      });
+    } catch (err) {
+      logger.error({ err, userId: socket.userId }, 'Failed to send typing indicator');
+    }
+  });
+
+  // Handle stop typing
+  socket.on('stop_typing', async (data) => {
+    try {
+      (await typingTarget(data))?.emit('user_stop_typing', {
+        userId: socket.userId,
+        conversationId: data.conversationId
+      });
+    } catch (err) {
+      logger.error({ err, userId: socket.userId }, 'Failed to send typing indicator');
+    }
+  });
+
+  // Acknowledge new_message - marks the conversation delivered up to that message
+  socket.on('message_delivered', async (data) => {
+    try {
+      const { conversationId, upToMessageId } = data;
+      const messageService = new MessageService();
+
+      emitMessageStatus(await messageService.markDelivered(conversationId, socket.userId, upToMessageId));
+    } catch (err) {
+      logger.error({ err, userId: socket.userId }, 'Error marking messages as delivered');
+    }
+  });
+
+  // Handle marking messages as read (a conversation up to a message, or one message)
+  socket.on('mark_read', async (data) => {
+    try {
+      const { messageId, conversationId, upToMessageId } = data;
+      const messageService = new MessageService();
+
+      const receipt = conversationId
+        ? await messageService.markRead(conversationId, socket.userId, upToMessageId)
+        : await messageService.markAsRead(messageId, socket.userId);
+
+      emitMessageStatus(receipt);
+    } catch (err) {
+      logger.error({ err, userId: socket.userId }, 'Error marking messages as read');
+    }
+  });
+
+  // Handle presence/online status (not shared if the user hides their online status)
+  socket.on('presence', async (data) => {
+    try {
+      const { status } = data; // online, away, busy
+
+      if (!PRESENCE_STATUSES.includes(status)) {
+        socket.emit('error', { message: `Status must be one of: ${PRESENCE_STATUSES.join(', ')}` });
+        return;
+      }
+
+      await presenceStore.setStatus(socket.userId, status);
+      await broadcastPresence(socket, status);
+    } catch (err) {
+      logger.error({ err, userId: socket.userId }, 'Failed to broadcast presence');
+    }
+  });
+
+  // Look up presence for a list of users (e.g. a conversation list)
+  socket.on('get_presence', async (data) => {
+    try {
+      const { userIds } = data;
+
+      if (!Array.isArray(userIds) || userIds.length === 0 || userIds.length > MAX_PRESENCE_LOOKUP) {
+        socket.emit('error', { message: `userIds must be an array of 1 to ${MAX_PRESENCE_LOOKUP} IDs` });
+        return;
+      }
+
+      const presence = await presenceStore.getPresence(userIds);
+
+      // Users hiding their online status, and users blocked either way, always appear offline
+      const blockedIds = await blockService.getBlockedUserIds(socket.userId);
+      const visible = await Promise.all(userIds.map(userId => privacyService.showsOnlineStatus(userId)));
+      userIds.forEach((userId, i) => {
+        if (!visible[i] || blockedIds.includes(userId)) presence[userId] = 'offline';
+      });
+
+      socket.emit('presence_state', presence);
+    } catch (err) {
+      logger.error({ err, userId: socket.userId }, 'Failed to look up presence');
+    }
+  });
+
+  // Handle disconnect
+  socket.on('disconnect', async () => {
+    logger.info({ userId: socket.userId }, 'User disconnected');
+    activeConnections.dec();
+
+    try {
+      // Let a quick connect/disconnect finish registering before removing it
+      await connected;
+
+      // Only offline once the user's last connection on any instance closes
+      if (await presenceStore.removeConnection(socket.userId, socket.id)) {
+        await broadcastPresence(socket, 'offline');
+      }
+    } catch (err) {
+      logger.error({ err, userId: socket.userId }, 'Failed to broadcast presence');
+    }
+  });
+};
+
+/**
+ * Create the Socket.IO server
+ * Uses the Redis adapter and presence store when REDIS_URL is set, so
+ * rooms and presence span every instance
+ */
+export const createSocketServer = (server) => {
+  const io = new SocketIO(server, {
+    cors: {
+      origin: process.env.CLIENT_URL || 'http://localhost:3000',
+      credentials: true
+    }
+  });
+
+  const adapter = createAdapter();
+  if (adapter) {
+    io.adapter(adapter);
+  }
+
+  presenceStore.start();
+
+  io.use(authenticateSocket);
+  io.on('connection', (socket) => handleConnection(io, socket));
+
+  ioServer = io;
+  return io;
+};
+
+/**
+ * Disconnect this instance's sockets and stop presence heartbeats (call on shutdown)
+ * Sockets on other instances are untouched
+ */
+export const closeSocketServer = (io) => {
+  presenceStore.stop();
+  io.local.disconnectSockets(true);
+};
+
+export default createSocketServer;
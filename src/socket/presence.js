@@ -0,0 +1,205 @@
+import { redisEnabled, createRedisClient } from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+
+export const PRESENCE_STATUSES = ['online', 'away', 'busy'];
+
+// Connections not refreshed within the TTL (e.g. their instance crashed) count as gone
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const CONNECTION_TTL_MS = 90 * 1000;
+
+/**
+ * Presence for a single instance
+ * Tracks every open socket per user, so a user is online until their last device disconnects
+ */
+export class MemoryPresenceStore {
+  constructor() {
+    this.connections = new Map(); // userId -> Set of socket IDs
+    this.statuses = new Map(); // userId -> status
+  }
+
+  /**
+   * Record a connection - returns true if the user just came online
+   */
+  async addConnection(userId, socketId) {
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Set());
+    }
+
+    const sockets = this.connections.get(userId);
+    sockets.add(socketId);
+
+    return sockets.size === 1;
+  }
+
+  /**
+   * Remove a connection - returns true if the user just went offline
+   */
+  async removeConnection(userId, socketId) {
+    const sockets = this.connections.get(userId);
+    if (!sockets) return false;
+
+    sockets.delete(socketId);
+    if (sockets.size > 0) return false;
+
+    this.connections.delete(userId);
+    this.statuses.delete(userId);
+    return true;
+  }
+
+  /**
+   * Set a connected user's status (online, away, busy)
+   */
+  async setStatus(userId, status) {
+    if (this.connections.has(userId)) {
+      this.statuses.set(userId, status);
+    }
+  }
+
+  /**
+   * Current status for each user ID ('offline' if not connected)
+   */
+  async getPresence(userIds) {
+    return Object.fromEntries(userIds.map(userId => [
+      userId,
+      this.connections.has(userId) ? (this.statuses.get(userId) || 'online') : 'offline'
+    ]));
+  }
+
+  start() {}
+
+  stop() {}
+}
+
+/**
+ * Presence shared by every instance through Redis
+ *
+ * Each user has a sorted set of socket IDs scored by expiry time. Instances
+ * refresh their own sockets on a heartbeat, so sockets left behind by a crashed
+ * instance age out instead of keeping the user online forever.
+ */
+export class RedisPresenceStore {
+  constructor(client = createRedisClient('presence')) {
+    this.client = client;
+    this.local = new Map(); // userId -> Set of socket IDs on this instance
+    this.timer = null;
+  }
+
+  socketsKey(userId) {
+    return `presence:${userId}:sockets`;
+  }
+
+  statusKey(userId) {
+    return `presence:${userId}:status`;
+  }
+
+  async addConnection(userId, socketId) {
+    if (!this.local.has(userId)) {
+      this.local.set(userId, new Set());
+    }
+    this.local.get(userId).add(socketId);
+
+    const now = Date.now();
+    const key = this.socketsKey(userId);
+
+    const results = await this.client.multi()
+      .zremrangebyscore(key, '-inf', now)
+      .zadd(key, now + CONNECTION_TTL_MS, socketId)
+      .pexpire(key, CONNECTION_TTL_MS)
+      .zcard(key)
+      .exec();
+
+    return results[3][1] === 1;
+  }
+
+  async removeConnection(userId, socketId) {
+    const sockets = this.local.get(userId);
+    if (sockets) {
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        this.local.delete(userId);
+      }
+    }
+
+    const key = this.socketsKey(userId);
+
+    const results = await this.client.multi()
+      .zremrangebyscore(key, '-inf', Date.now())
+      .zrem(key, socketId)
+      .zcard(key)
+      .exec();
+
+    if (results[2][1] > 0) {
+      return false;
+    }
+
+    await this.client.del(key, this.statusKey(userId));
+    return true;
+  }
+
+  async setStatus(userId, status) {
+    await this.client.set(this.statusKey(userId), status, 'PX', CONNECTION_TTL_MS);
+  }
+
+  async getPresence(userIds) {
+    if (userIds.length === 0) return {};
+
+    const now = Date.now();
+    const pipeline = this.client.pipeline();
+
+    for (const userId of userIds) {
+      pipeline.zcount(this.socketsKey(userId), now, '+inf');
+      pipeline.get(this.statusKey(userId));
+    }
+
+    const results = await pipeline.exec();
+
+    return Object.fromEntries(userIds.map((userId, i) => {
+      const [, connections] = results[i * 2];
+      const [, status] = results[i * 2 + 1];
+      return [userId, connections > 0 ? (status || 'online') : 'offline'];
+    }));
+  }
+
+  /**
+   * Extend the expiry of every socket connected to this instance
+   */
+  async heartbeat() {
+    if (this.local.size === 0) return;
+
+    const expiresAt = Date.now() + CONNECTION_TTL_MS;
+    const pipeline = this.client.pipeline();
+
+    for (const [userId, sockets] of this.local) {
+      const key = this.socketsKey(userId);
+      for (const socketId of sockets) {
+        pipeline.zadd(key, expiresAt, socketId);
+      }
+      pipeline.pexpire(key, CONNECTION_TTL_MS);
+      pipeline.pexpire(this.statusKey(userId), CONNECTION_TTL_MS);
+    }
+
+    await pipeline.exec();
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.heartbeat().catch(err => {
+        logger.error({ err }, 'Presence heartbeat failed');
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Redis-backed store when REDIS_URL is set, in-memory otherwise
+ */
+export const createPresenceStore = () =>
+  redisEnabled ? new RedisPresenceStore() : new MemoryPresenceStore();
+
+export default createPresenceStore;
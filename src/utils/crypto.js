@@ -0,0 +1,127 @@
+import { createCipheriv, createDecipheriv, createHash, createPublicKey, randomBytes, verify } from 'crypto';
+
+// AES-256-GCM with a versioned payload: v1:<iv>:<authTag>:<ciphertext> (base64)
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// Secrets that have no fallback - checked at startup (see assertSecretsConfigured)
+// TOTP_ENCRYPTION_KEY is only needed once someone enables 2FA, so it isn't listed
+const REQUIRED_SECRETS = ['CURSOR_SECRET', 'LOCATION_FUZZ_SECRET'];
+
+/**
+ * A secret from the environment (throws if it is missing)
+ */
+export const getSecret = (name) => {
+  const secret = process.env[name];
+
+  if (!secret) {
+    throw new Error(`${name} is not configured`);
+  }
+
+  return secret;
+};
+
+/**
+ * Fail fast, naming every required secret that is missing
+ */
+export const assertSecretsConfigured = () => {
+  const missing = REQUIRED_SECRETS.filter(name => !process.env[name]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required secrets: ${missing.join(', ')} (see .envexample)`);
+  }
+};
+
+// Derive a fixed-length key so any sufficiently random string works
+const getKey = (name) => createHash('sha256').update(getSecret(name)).digest();
+
+/**
+ * Encrypt a secret for storage at rest
+ */
+export const encryptSecret = (plaintext) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, getKey('TOTP_ENCRYPTION_KEY'), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [
+    VERSION,
+    iv.toString('base64'),
+    authTag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * Values without a version prefix are legacy plaintext and returned as-is
+ */
+export const decryptSecret = (payload) => {
+  if (!payload || !payload.startsWith(`${VERSION}:`)) {
+    return payload;
+  }
+
+  const [, iv, authTag, ciphertext] = payload.split(':');
+  const decipher = createDecipheriv(ALGORITHM, getKey('TOTP_ENCRYPTION_KEY'), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Encrypt a short value for a client to hand back unchanged (e.g. a pagination cursor)
+ * Compact base64url of iv, auth tag and ciphertext - opaque and tamper-proof.
+ * Sealed with CURSOR_SECRET, which is never used for anything stored.
+ */
+export const sealToken = (plaintext) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, getKey('CURSOR_SECRET'), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+/**
+ * Decrypt a token produced by sealToken - null if it is malformed or was tampered with
+ */
+export const openToken = (token) => {
+  const payload = typeof token === 'string' ? Buffer.from(token, 'base64url') : null;
+
+  if (!payload || payload.length < 28) {
+    return null;
+  }
+
+  try {
+    const decipher = createDecipheriv(ALGORITHM, getKey('CURSOR_SECRET'), payload.subarray(0, 12));
+    decipher.setAuthTag(payload.subarray(12, 28));
+
+    return Buffer.concat([decipher.update(payload.subarray(28)), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * SHA-256 hex digest (for high-entropy one-time tokens and codes)
+ */
+export const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Check an Ed25519 signature (raw 32-byte public key, all values as buffers)
+ */
+export const verifyEd25519 = (publicKey, data, signature) => {
+  try {
+    const key = createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: publicKey.toString('base64url') },
+      format: 'jwk'
+    });
+    return verify(null, data, key, signature);
+  } catch {
+    return false;
+  }
+};
+
+export default { getSecret, assertSecretsConfigured, encryptSecret, decryptSecret, sealToken, openToken, sha256, verifyEd25519 };
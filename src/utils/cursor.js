@@ -0,0 +1,28 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+import { sealToken, openToken } from './crypto.js';
+
+/**
+ * Opaque pagination cursor for the sort key of the last item on a page
+ * Sealed, since sort keys can hold values the API otherwise hides (e.g. distances)
+ */
+export const encodeCursor = (values) => sealToken(JSON.stringify(values));
+
+/**
+ * Sort key from a cursor made by encodeCursor (throws a 400 for anything else)
+ */
+export const decodeCursor = (cursor, length) => {
+  const json = openToken(cursor);
+  let values;
+
+  try {
+    values = json === null ? null : JSON.parse(json);
+  } catch {
+    values = null;
+  }
+
+  if (!Array.isArray(values) || values.length !== length) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  return values;
+};
@@ -0,0 +1,115 @@
+import { Prisma } from '@prisma/client';
+import { getSecret } from './crypto.js';
+
+// Other users only ever see a fuzzed location: the real one snapped to a grid of
+// this many degrees (~500m), then moved by a stable per-user offset within a cell.
+// The same user always lands on the same point, so repeating a search from
+// different origins can't average the fuzz away. The offset is keyed with
+// LOCATION_FUZZ_SECRET, so knowing a user's ID doesn't give it away.
+export const FUZZ_CELL_DEGREES = 0.005;
+
+// The furthest a fuzzed location can be from the real one (a cell on each axis)
+export const FUZZ_MARGIN_METERS = Math.ceil(FUZZ_CELL_DEGREES * 111320 * Math.SQRT2);
+
+// User locations are stored to this many decimal places (~100m) - nothing finer is kept
+const STORED_COORDINATE_DECIMALS = 3;
+
+// Upper bounds of the distance buckets shown instead of exact distances
+const DISTANCE_BUCKETS_KM = [1, 2, 5, 10, 25, 50, 100];
+
+// Users with their privacy settings - the FROM clause the filters below expect
+export const USERS_FROM = Prisma.sql`"User" u LEFT JOIN "PrivacySettings" ps ON ps."userId" = u.id`;
+
+// Discovery only lists public profiles, plus "friends" profiles the viewer
+// already has a conversation with. Expects "User" u joined to "PrivacySettings" ps.
+export const visibilityFilter = (viewerId) => Prisma.sql`(
+  COALESCE(ps."profileVisibility", 'public') = 'public'
+  OR (
+    ps."profileVisibility" = 'friends'
+    AND EXISTS (
+      SELECT 1 FROM "Message" m
+      WHERE (m."senderId" = ${viewerId} AND m."recipientId" = u.id)
+         OR (m."senderId" = u.id AND m."recipientId" = ${viewerId})
+    )
+  )
+)`;
+
+/**
+ * Users the viewer may find by location: others with a location they share,
+ * not leaving, and with a profile visible to the viewer (blocks are left to GeoQuery)
+ */
+export const discoverableBy = (viewerId) => Prisma.sql`
+  u.id != ${viewerId}
+  AND u.geo IS NOT NULL
+  AND u."deletionRequestedAt" IS NULL
+  AND COALESCE(ps."showLocation", true)
+  AND ${visibilityFilter(viewerId)}
+`;
+
+// Per-user offset along one axis, from an HMAC of the user ID (pgcrypto) read
+// as a signed 32-bit integer - in [-0.5, 0.5) cells
+const fuzzOffset = (secret, axis) => Prisma.sql`(
+  'x' || encode(substring(hmac(u.id || ${axis}, ${secret}::text, 'sha256') FROM 1 FOR 4), 'hex')
+)::bit(32)::int::float8 / 4294967296 * ${FUZZ_CELL_DEGREES}::float8`;
+
+/**
+ * A user's fuzzed location - use it wherever another user's position or distance is computed
+ */
+export const fuzzedLocation = () => {
+  const secret = getSecret('LOCATION_FUZZ_SECRET');
+
+  return Prisma.sql`ST_Translate(
+    ST_SnapToGrid(u.geo::geometry, ${FUZZ_CELL_DEGREES}::float8),
+    ${fuzzOffset(secret, ':x')},
+    ${fuzzOffset(secret, ':y')}
+  )::geography`;
+};
+
+/**
+ * Index-friendly pre-filter for users whose fuzzed location may be within a radius of a point
+ */
+export const nearPoint = ({ latitude, longitude }, meters) => Prisma.sql`
+  ST_DWithin(
+    u.geo,
+    ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)::geography,
+    ${meters + FUZZ_MARGIN_METERS}
+  )
+`;
+
+/**
+ * Index-friendly pre-filter for users whose fuzzed location may fall inside a
+ * bounding box - the real location is always within a cell of the fuzzed one
+ */
+export const nearBoundingBox = ({ west, south, east, north }) => Prisma.sql`
+  u.geo && ST_MakeEnvelope(
+    ${west - FUZZ_CELL_DEGREES}, ${south - FUZZ_CELL_DEGREES},
+    ${east + FUZZ_CELL_DEGREES}, ${north + FUZZ_CELL_DEGREES}, 4326
+  )::geography
+`;
+
+/**
+ * SQL for a distance in meters coarsened to its bucket - the furthest whole meter
+ * in it - so sorting, filtering or labelling (distanceBucket) by it says no more
+ * than the bucket does
+ */
+export const coarseDistance = (meters) => {
+  const limits = DISTANCE_BUCKETS_KM.map(km => km * 1000);
+
+  return Prisma.sql`CASE
+    ${Prisma.join(limits.map(limit => Prisma.sql`WHEN ${meters} < ${limit}::int THEN ${limit - 1}::int`), ' ')}
+    ELSE ${limits[limits.length - 1]}::int
+  END`;
+};
+
+/**
+ * A distance as a coarse bucket label, e.g. "<1 km" or "100+ km"
+ */
+export const distanceBucket = (meters) => {
+  const km = DISTANCE_BUCKETS_KM.find(limit => meters < limit * 1000);
+  return km ? `<${km} km` : `${DISTANCE_BUCKETS_KM[DISTANCE_BUCKETS_KM.length - 1]}+ km`;
+};
+
+/**
+ * A user's coordinate at the precision it is stored with
+ */
+export const roundCoordinate = (value) => Number(value.toFixed(STORED_COORDINATE_DECIMALS));
@@ -0,0 +1,365 @@
+// Prisma's SQL helpers (Prisma.sql and co.) straight from its runtime, so the
+// builder works - and is tested - without a generated client
+import { empty, join, raw, sqltag as sql } from '@prisma/client/runtime/library';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+
+// alias.column or alias."quotedColumn" - the only shape column() accepts
+const COLUMN_PATTERN = /^[a-z_][a-z0-9_]*\.([a-z_][a-z0-9_]*|"[A-Za-z_][A-Za-z0-9_]*")$/;
+
+const MAX_FILTER_VALUES = 20;
+const MAX_CLUSTERS = 500;
+
+/**
+ * A column reference for GeoQuery, e.g. column('u.age') or column('b."expiresAt"')
+ * Only for names written in code - anything else is refused, never spliced
+ */
+export const column = (name) => {
+  if (!COLUMN_PATTERN.test(name)) {
+    throw new Error(`Invalid column reference: ${name}`);
+  }
+  return raw(name);
+};
+
+/**
+ * Parse the location and paging parameters shared by nearby searches
+ * radiusParam names the query parameter holding the radius (routes differ)
+ */
+export const parseGeoParams = (query, {
+  radiusParam = 'radiusMeters',
+  defaultRadius = 5000,
+  maxRadius = 100000,
+  defaultLimit = 50,
+  maxLimit = 100
+} = {}) => {
+  const { lat, lng } = query;
+
+  if (lat === undefined || lng === undefined || lat === '' || lng === '') {
+    throw new ValidationError('Latitude and longitude are required');
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new ValidationError('Invalid coordinates');
+  }
+
+  if (latitude < -90 || latitude > 90) {
+    throw new ValidationError('Latitude must be between -90 and 90');
+  }
+
+  if (longitude < -180 || longitude > 180) {
+    throw new ValidationError('Longitude must be between -180 and 180');
+  }
+
+  const radius = query[radiusParam] === undefined ? defaultRadius : Number(query[radiusParam]);
+
+  if (!Number.isFinite(radius) || radius <= 0 || radius > maxRadius) {
+    throw new ValidationError(`${radiusParam} must be between 1 and ${maxRadius}`);
+  }
+
+  return {
+    latitude,
+    longitude,
+    radius,
+    limit: parseLimit(query.limit, defaultLimit, maxLimit)
+  };
+};
+
+/**
+ * Parse a bbox query parameter - "west,south,east,north" in degrees
+ * Boxes crossing the antimeridian aren't supported; clients clamp to it
+ */
+export const parseBoundingBox = (value) => {
+  const parts = typeof value === 'string' ? value.split(',').map(Number) : [];
+
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    throw new ValidationError('bbox must be west,south,east,north');
+  }
+
+  const [west, south, east, north] = parts;
+
+  if (west < -180 || east > 180 || south < -90 || north > 90 || west >= east || south >= north) {
+    throw new ValidationError('bbox is out of range');
+  }
+
+  return { west, south, east, north };
+};
+
+/**
+ * Page size from a query parameter, clamped to 1..max
+ */
+export const parseLimit = (value, defaultLimit, maxLimit) => {
+  const limit = parseInt(value);
+  return Number.isInteger(limit) ? Math.min(Math.max(limit, 1), maxLimit) : defaultLimit;
+};
+
+/**
+ * A query parameter that may be repeated (?tag=a&tag=b) or comma separated, as a list of strings
+ */
+export const parseList = (value, field) => {
+  if (value === undefined || value === '') return [];
+
+  const values = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => (typeof v === 'string' ? v.trim() : null));
+
+  if (values.some(v => !v) || values.length > MAX_FILTER_VALUES) {
+    throw new ValidationError(`${field} must be a list of at most ${MAX_FILTER_VALUES} values`);
+  }
+
+  return values;
+};
+
+/**
+ * An optional integer query parameter within bounds
+ */
+export const parseOptionalInt = (value, field, min, max) => {
+  if (value === undefined || value === '') return null;
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(`${field} must be a whole number between ${min} and ${max}`);
+  }
+
+  return number;
+};
+
+/**
+ * Geospatial search over one table, built from bound parameters only
+ *
+ * Callers supply the FROM clause and selected columns as Prisma.sql fragments
+ * and add filters through the methods below. Every value from a request is
+ * passed as a parameter; column names go through column(). Results always carry
+ * distanceMeters (whole meters from the origin) and are ordered nearest first,
+ * then by ID so ties keep a stable order. With that order, pages continue from
+ * an opaque cursor over (distanceMeters, id) rather than an offset, so rows
+ * inserted or removed between requests don't shift later pages.
+ */
+export class GeoQuery {
+  /**
+   * @param {object} options
+   * @param {Prisma.Sql} options.from - table, alias and joins
+   * @param {Prisma.Sql} options.geo - the geography to measure from (a column or expression)
+   * @param {Prisma.Sql} options.id - the row's ID column
+   * @param {number} options.latitude - origin
+   * @param {number} options.longitude - origin
+   */
+  constructor({ from, geo, id, latitude, longitude }) {
+    this.from = from;
+    this.geo = geo;
+    this.id = id;
+    this.center = { lat: latitude, lng: longitude };
+    this.origin = sql`ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)::geography`;
+    this.distance = sql`ROUND(ST_Distance(${geo}, ${this.origin}))::int`;
+    this.columns = [];
+    this.conditions = [];
+    this.cursor = null;
+    this.order = null;
+    this.pageSize = 50;
+    this.radius = null;
+  }
+
+  /**
+   * Add selected columns
+   */
+  select(...columns) {
+    this.columns.push(...columns);
+    return this;
+  }
+
+  /**
+   * Add a condition (a Prisma.sql fragment)
+   */
+  where(condition) {
+    this.conditions.push(condition);
+    return this;
+  }
+
+  /**
+   * Replace the distance of rows matching a condition with a coarser one (an
+   * expression of the exact distance), which is what they are then selected as,
+   * sorted, filtered by radius and paged by
+   */
+  coarsenDistance(condition, coarsen) {
+    this.distance = sql`CASE WHEN ${condition} THEN ${coarsen(this.distance)} ELSE ${this.distance} END`;
+    return this;
+  }
+
+  /**
+   * Only rows within a radius of the origin (uses the geography index)
+   */
+  withinRadius(meters) {
+    this.radius = meters;
+    return this.where(sql`ST_DWithin(${this.geo}, ${this.origin}, ${meters})`);
+  }
+
+  /**
+   * Only rows inside a bounding box (west/south/east/north in degrees)
+   */
+  withinBoundingBox({ west, south, east, north }) {
+    return this.where(sql`${this.geo} && ST_MakeEnvelope(${west}, ${south}, ${east}, ${north}, 4326)::geography`);
+  }
+
+  /**
+   * Only rows whose column equals one of the values (skipped when there are none)
+   */
+  oneOf(col, values) {
+    if (values.length === 0) return this;
+    return this.where(sql`${col} = ANY(${values}::text[])`);
+  }
+
+  /**
+   * Only rows whose text[] column shares at least one value (skipped when there are none)
+   */
+  overlaps(col, values) {
+    if (values.length === 0) return this;
+    return this.where(sql`${col} && ${values}::text[]`);
+  }
+
+  /**
+   * Only rows whose column is within the bounds (either may be null)
+   */
+  between(col, min, max) {
+    if (min !== null) this.where(sql`${col} >= ${min}`);
+    if (max !== null) this.where(sql`${col} <= ${max}`);
+    return this;
+  }
+
+  /**
+   * Leave out rows owned by users the viewer has blocked or been blocked by
+   */
+  excludeBlocked(viewerId, ownerCol) {
+    return this.where(sql`NOT EXISTS (
+      SELECT 1 FROM "Block" bl
+      WHERE (bl."blockerId" = ${viewerId} AND bl."blockedId" = ${ownerCol})
+         OR (bl."blockerId" = ${ownerCol} AND bl."blockedId" = ${viewerId})
+    )`);
+  }
+
+  /**
+   * Continue after the row a cursor from a previous page points at (skipped when there is none)
+   * Only meaningful with the default order - run() gives no cursor for any other
+   */
+  after(cursor) {
+    if (cursor === undefined || cursor === '') return this;
+
+    const [distance, id] = decodeCursor(cursor, 2);
+
+    if (!Number.isInteger(distance) || typeof id !== 'string') {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    this.cursor = { distance, id };
+    return this;
+  }
+
+  /**
+   * Replace the default nearest-first order (the ID tie-break is always added)
+   */
+  orderBy(order) {
+    this.order = order;
+    return this;
+  }
+
+  /**
+   * Page size
+   */
+  limit(pageSize) {
+    this.pageSize = pageSize;
+    return this;
+  }
+
+  /**
+   * The WHERE clause for the conditions added so far
+   * The radius and cursor are compared to the final distance (see coarsenDistance)
+   */
+  whereClause() {
+    const conditions = [...this.conditions];
+
+    if (this.radius !== null) {
+      conditions.push(sql`${this.distance} <= ${this.radius}`);
+    }
+
+    if (this.cursor) {
+      conditions.push(sql`(${this.distance}, ${this.id}) > (${this.cursor.distance}, ${this.cursor.id})`);
+    }
+
+    return conditions.length > 0
+      ? sql`WHERE ${join(conditions.map(c => sql`(${c})`), ' AND ')}`
+      : empty;
+  }
+
+  /**
+   * The complete statement (fetches one extra row to tell if there are more)
+   */
+  build() {
+    const where = this.whereClause();
+    const order = this.order || sql`"distanceMeters" ASC`;
+
+    return sql`
+      SELECT ${join(this.columns)}, ${this.distance} AS "distanceMeters"
+      FROM ${this.from}
+      ${where}
+      ORDER BY ${order}, ${this.id} ASC
+      LIMIT ${this.pageSize + 1}
+    `;
+  }
+
+  /**
+   * Run the search, returning a page of rows and pagination meta
+   */
+  async run(prisma) {
+    const rows = await prisma.$queryRaw(this.build());
+    const hasMore = rows.length > this.pageSize;
+    const page = hasMore ? rows.slice(0, this.pageSize) : rows;
+    const last = page[page.length - 1];
+
+    return {
+      rows: page,
+      meta: {
+        count: page.length,
+        limit: this.pageSize,
+        hasMore,
+        nextCursor: hasMore && !this.order ? encodeCursor([last.distanceMeters, last.id]) : null,
+        searchRadius: this.radius,
+        center: this.center
+      }
+    };
+  }
+
+  /**
+   * Count matching rows per grid cell instead of listing them (selected columns,
+   * order and paging don't apply). Each cluster is placed at the mean position of
+   * its rows, or with cellCenters at the center of its cell, which says nothing
+   * about where its rows are; the largest MAX_CLUSTERS are returned.
+   */
+  async clusters(prisma, cellSize, { cellCenters = false } = {}) {
+    const point = sql`${this.geo}::geometry`;
+    const cell = sql`${cellSize}::float8`;
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        FLOOR(ST_X(${point}) / ${cell})::int AS x,
+        FLOOR(ST_Y(${point}) / ${cell})::int AS y,
+        AVG(ST_Y(${point})) AS lat,
+        AVG(ST_X(${point})) AS lng,
+        COUNT(*)::int AS count
+      FROM ${this.from}
+      ${this.whereClause()}
+      GROUP BY 1, 2
+      ORDER BY count DESC
+      LIMIT ${MAX_CLUSTERS}
+    `;
+
+    return rows.map(({ x, y, lat, lng, count }) => ({
+      id: `${x}:${y}`,
+      lat: cellCenters ? (y + 0.5) * cellSize : lat,
+      lng: cellCenters ? (x + 0.5) * cellSize : lng,
+      count
+    }));
+  }
+}
+
+export default GeoQuery;
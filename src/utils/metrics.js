@@ -42,6 +42,14 @@ export const messagesSent = new client.Counter({
 });
 register.registerMetric(messagesSent);
 
+// Push Notifications Counter
+export const pushNotifications = new client.Counter({
+  name: 'push_notifications_total',
+  help: 'Total number of push notifications attempted',
+  labelNames: ['type', 'status'] // status: sent, failed, invalid_token
+});
+register.registerMetric(pushNotifications);
+
 // User Registrations Counter
 export const userRegistrations = new client.Counter({
   name: 'user_registrations_total',
@@ -82,6 +90,31 @@ export const apiErrors = new client.Counter({
 });
 register.registerMetric(apiErrors);
 
+// Scheduled Job Runs Counter
+export const jobRuns = new client.Counter({
+  name: 'job_runs_total',
+  help: 'Total number of scheduled job runs',
+  labelNames: ['job', 'trigger', 'status'] // trigger: schedule, manual; status: succeeded, failed
+});
+register.registerMetric(jobRuns);
+
+// Scheduled Job Duration
+export const jobDuration = new client.Histogram({
+  name: 'job_duration_seconds',
+  help: 'Duration of scheduled job runs in seconds',
+  labelNames: ['job', 'status'],
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900]
+});
+register.registerMetric(jobDuration);
+
+// Last Successful Job Run
+export const jobLastSuccess = new client.Gauge({
+  name: 'job_last_success_timestamp_seconds',
+  help: 'Unix time of the last successful run of each job',
+  labelNames: ['job']
+});
+register.registerMetric(jobLastSuccess);
+
 // Middleware to track HTTP metrics
 export const metricsMiddleware = (req, res, next) => {
   const start = Date.now();
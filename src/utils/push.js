@@ -0,0 +1,254 @@
+import http2 from 'http2';
+import jwt from 'jsonwebtoken';
+import { logger } from './logger.js';
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// Provider auth tokens are reused until shortly before they expire
+const AUTH_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+// A provider that hasn't answered by then fails the send, so one stalled
+// provider can't hold up notify() and its caller
+const PUSH_TIMEOUT_MS = 10 * 1000;
+
+// APNs device tokens are hex (they go into the request path)
+export const APNS_TOKEN_PATTERN = /^[0-9a-f]{32,200}$/i;
+
+// Keys in env files usually have their newlines escaped
+const readKey = (value) => value?.replace(/\\n/g, '\n');
+
+/**
+ * Push providers
+ * Each provider exposes send({ token, title, body, data }), resolving to
+ * { invalidToken } - true when the token is dead and should be forgotten
+ */
+export const pushProviders = {
+  // Expo push service (tokens from expo-notifications, delivered via APNs/FCM by Expo)
+  expo: () => ({
+    send: async ({ token, title, body, data }) => {
+      const response = await fetch(EXPO_PUSH_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          ...(process.env.EXPO_ACCESS_TOKEN && { Authorization: `Bearer ${process.env.EXPO_ACCESS_TOKEN}` })
+        },
+        body: JSON.stringify({ to: token, title, body, data, sound: 'default' }),
+        signal: AbortSignal.timeout(PUSH_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Expo push failed with status ${response.status}`);
+      }
+
+      const { data: ticket } = await response.json();
+
+      if (ticket.status === 'error') {
+        if (ticket.details?.error === 'DeviceNotRegistered') {
+          return { invalidToken: true };
+        }
+        throw new Error(`Expo push rejected: ${ticket.message}`);
+      }
+
+      return { invalidToken: false };
+    }
+  }),
+
+  // Apple Push Notification service, with token (.p8 key) authentication
+  apns: () => {
+    const host = process.env.APNS_PRODUCTION === 'true'
+      ? 'https://api.push.apple.com'
+      : 'https://api.sandbox.push.apple.com';
+    let session = null;
+    let auth = null;
+
+    const authToken = () => {
+      if (!auth || auth.issuedAt < Date.now() - AUTH_TOKEN_TTL_MS) {
+        auth = {
+          issuedAt: Date.now(),
+          token: jwt.sign({ iss: process.env.APNS_TEAM_ID }, readKey(process.env.APNS_PRIVATE_KEY), {
+            algorithm: 'ES256',
+            keyid: process.env.APNS_KEY_ID
+          })
+        };
+      }
+      return auth.token;
+    };
+
+    // One HTTP/2 connection, reopened if it drops or stalls
+    const connect = () => {
+      if (!session || session.closed || session.destroyed) {
+        session = http2.connect(host);
+        session.on('error', err => logger.error({ err }, 'APNs connection error'));
+        session.unref();
+      }
+      return session;
+    };
+
+    return {
+      send: ({ token, title, body, data }) => new Promise((resolve, reject) => {
+        // Anything else can't be a device token - it's dropped rather than sent
+        if (!APNS_TOKEN_PATTERN.test(token)) {
+          resolve({ invalidToken: true });
+          return;
+        }
+
+        const client = connect();
+        const request = client.request({
+          ':method': 'POST',
+          ':path': `/3/device/${token}`,
+          authorization: `bearer ${authToken()}`,
+          'apns-topic': process.env.APNS_BUNDLE_ID,
+          'apns-push-type': 'alert'
+        });
+
+        let status = null;
+        let responseBody = '';
+
+        request.setEncoding('utf8');
+        request.setTimeout(PUSH_TIMEOUT_MS, () => {
+          reject(new Error('APNs request timed out'));
+          client.destroy();
+        });
+        request.on('response', headers => { status = headers[':status']; });
+        request.on('data', chunk => { responseBody += chunk; });
+        request.on('error', reject);
+        request.on('end', () => {
+          if (status === 200) {
+            resolve({ invalidToken: false });
+            return;
+          }
+
+          let reason = null;
+          try {
+            reason = JSON.parse(responseBody).reason;
+          } catch {
+            // Empty or non-JSON body - fall back to the status
+          }
+
+          if (status === 410 || reason === 'BadDeviceToken' || reason === 'Unregistered') {
+            resolve({ invalidToken: true });
+          } else {
+            reject(new Error(`APNs rejected notification: ${reason || status}`));
+          }
+        });
+
+        request.end(JSON.stringify({
+          aps: { alert: { title, body }, sound: 'default' },
+          ...data
+        }));
+      })
+    };
+  },
+
+  // Firebase Cloud Messaging HTTP v1, authenticated as a service account
+  fcm: () => {
+    const account = process.env.FCM_SERVICE_ACCOUNT ? JSON.parse(process.env.FCM_SERVICE_ACCOUNT) : {};
+    const tokenUrl = account.token_uri || 'https://oauth2.googleapis.com/token';
+    let auth = null;
+
+    const accessToken = async () => {
+      if (!auth || auth.issuedAt < Date.now() - AUTH_TOKEN_TTL_MS) {
+        const assertion = jwt.sign({ scope: FCM_SCOPE }, readKey(account.private_key), {
+          algorithm: 'RS256',
+          issuer: account.client_email,
+          audience: tokenUrl,
+          expiresIn: '1h'
+        });
+
+        const response = await fetch(tokenUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+            assertion
+          }),
+          signal: AbortSignal.timeout(PUSH_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+          throw new Error(`FCM authentication failed with status ${response.status}`);
+        }
+
+        auth = { issuedAt: Date.now(), token: (await response.json()).access_token };
+      }
+      return auth.token;
+    };
+
+    return {
+      send: async ({ token, title, body, data }) => {
+        const response = await fetch(`https://fcm.googleapis.com/v1/projects/${account.project_id}/messages:send`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${await accessToken()}`
+          },
+          body: JSON.stringify({
+            message: {
+              token,
+              notification: { title, body },
+              // FCM data values must be strings
+              data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]))
+            }
+          }),
+          signal: AbortSignal.timeout(PUSH_TIMEOUT_MS)
+        });
+
+        if (response.ok) {
+          return { invalidToken: false };
+        }
+
+        const { error } = await response.json().catch(() => ({}));
+        const unregistered = error?.details?.some(detail => detail.errorCode === 'UNREGISTERED');
+
+        if (response.status === 404 || unregistered) {
+          return { invalidToken: true };
+        }
+
+        throw new Error(`FCM rejected notification: ${error?.message || response.status}`);
+      }
+    };
+  },
+
+  // Records notifications in memory instead of sending them (tests)
+  memory: () => {
+    const sent = [];
+
+    return {
+      sent,
+      send: async (notification) => {
+        sent.push(notification);
+        return { invalidToken: false };
+      }
+    };
+  },
+
+  // Logs the notification (local development)
+  console: () => ({
+    send: async (notification) => {
+      logger.info({ push: notification }, 'Push notification (console provider)');
+      return { invalidToken: false };
+    }
+  })
+};
+
+// Providers a device can register a token for (the rest are for development and tests)
+export const PUSH_PROVIDERS = ['expo', 'apns', 'fcm'];
+
+const instances = new Map();
+
+/**
+ * Shared instance of a provider (connections and auth tokens are reused)
+ */
+export const getPushProvider = (name) => {
+  if (!pushProviders[name]) {
+    throw new Error(`Unknown push provider: ${name}. Choose from: ${Object.keys(pushProviders).join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, pushProviders[name]());
+  }
+
+  return instances.get(name);
+};
@@ -0,0 +1,39 @@
+import Redis from 'ioredis';
+import { logger } from './logger.js';
+
+// Redis is optional - features fall back to in-process state without it
+export const redisEnabled = Boolean(process.env.REDIS_URL);
+
+const clients = new Set();
+
+/**
+ * Create a Redis connection (each pub/sub subscriber needs its own)
+ */
+export const createRedisClient = (name) => {
+  if (!redisEnabled) {
+    throw new Error('REDIS_URL is not configured');
+  }
+
+  const client = new Redis(process.env.REDIS_URL, {
+    connectionName: name,
+    maxRetriesPerRequest: 3
+  });
+
+  client.on('error', (err) => {
+    logger.error({ err, client: name }, 'Redis connection error');
+  });
+
+  clients.add(client);
+
+  return client;
+};
+
+/**
+ * Close every connection created by createRedisClient
+ */
+export const closeRedisClients = async () => {
+  await Promise.all([...clients].map(client => client.quit().catch(() => client.disconnect())));
+  clients.clear();
+};
+
+export default { redisEnabled, createRedisClient, closeRedisClients };
@@ -0,0 +1,98 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Shared S3 client
+export const s3Client = new S3Client({
+  region: process.env.AWS_REGION || 'us-east-1',
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+  }
+});
+
+export const bucket = process.env.AWS_S3_BUCKET;
+
+/**
+ * Public URL for an object key
+ */
+export const objectUrl = (key) =>
+  `https://${bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+
+/**
+ * Object key for a URL produced by objectUrl (null for anything else)
+ */
+export const keyFromUrl = (url) => {
+  const prefix = objectUrl('');
+  return url && url.startsWith(prefix) ? decodeURIComponent(url.slice(prefix.length)) : null;
+};
+
+/**
+ * Presigned URL for a direct client upload
+ */
+export const getUploadUrl = (key, { contentType, contentLength, expiresIn = 300 }) =>
+  getSignedUrl(s3Client, new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ContentType: contentType,
+    ContentLength: contentLength,
+    ACL: 'private'
+  }), { expiresIn });
+
+/**
+ * Presigned URL for downloading a private object
+ * Pass filename to have browsers save it under that name
+ */
+export const getDownloadUrl = (key, { expiresIn = 3600, filename } = {}) =>
+  getSignedUrl(s3Client, new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ResponseContentDisposition: filename ? `attachment; filename="${filename}"` : undefined
+  }), { expiresIn });
+
+/**
+ * Stream a body of unknown length to S3 (multipart under the hood)
+ */
+export const uploadStream = async (key, body, contentType) => {
+  const upload = new Upload({
+    client: s3Client,
+    params: {
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType
+    }
+  });
+
+  return upload.done();
+};
+
+/**
+ * Delete an object
+ */
+export const deleteObject = (key) =>
+  s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+
+/**
+ * Delete many objects (S3 accepts up to 1000 keys per request)
+ * Returns the keys that could not be deleted
+ */
+export const deleteObjects = async (keys) => {
+  const failed = [];
+
+  for (let i = 0; i < keys.length; i += 1000) {
+    const result = await s3Client.send(new DeleteObjectsCommand({
+      Bucket: bucket,
+      Delete: {
+        Objects: keys.slice(i, i + 1000).map(Key => ({ Key })),
+        Quiet: true
+      }
+    }));
+
+    failed.push(...(result.Errors || []).map(error => error.Key));
+  }
+
+  return failed;
+};
+
+export default { s3Client, bucket, objectUrl, keyFromUrl, getUploadUrl, getDownloadUrl, uploadStream, deleteObject, deleteObjects };
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../src/middleware/errorHandler.js';
+import { encodeCursor, decodeCursor } from '../src/utils/cursor.js';
+
+process.env.CURSOR_SECRET ??= 'test-cursor-secret';
+
+describe('cursor', () => {
+  it('round-trips a sort key', () => {
+    assert.deepEqual(decodeCursor(encodeCursor([120, 'abc']), 2), [120, 'abc']);
+  });
+
+  it('does not reveal the sort key', () => {
+    const cursor = encodeCursor([4321, 'abc']);
+
+    assert.ok(!Buffer.from(cursor, 'base64url').toString('utf8').includes('4321'));
+  });
+
+  it('rejects tampered and unsealed cursors', () => {
+    const cursor = encodeCursor([120, 'abc']);
+    const tampered = `${cursor.slice(0, -2)}${cursor.endsWith('AA') ? 'BB' : 'AA'}`;
+
+    assert.throws(() => decodeCursor(tampered, 2), ValidationError);
+    assert.throws(() => decodeCursor(Buffer.from('[120,"abc"]').toString('base64url'), 2), ValidationError);
+  });
+
+  it('rejects garbage', () => {
+    const garbage = [
+      'not a cursor!!',
+      '',
+      Buffer.from('{"a":1}').toString('base64url'),
+      Buffer.from('[1,2').toString('base64url'),
+      Buffer.from('"string"').toString('base64url'),
+      encodeCursor([1, 2, 3]),
+      ['array', 'param'],
+      { $gt: '' }
+    ];
+
+    for (const cursor of garbage) {
+      assert.throws(() => decodeCursor(cursor, 2), ValidationError, JSON.stringify(cursor));
+    }
+  });
+});
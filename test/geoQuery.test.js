@@ -0,0 +1,177 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sqltag as sql } from '@prisma/client/runtime/library';
+import { ValidationError } from '../src/middleware/errorHandler.js';
+import { encodeCursor } from '../src/utils/cursor.js';
+import {
+  GeoQuery,
+  column,
+  parseBoundingBox,
+  parseGeoParams,
+  parseList,
+  parseOptionalInt
+} from '../src/utils/geoQuery.js';
+
+process.env.CURSOR_SECRET ??= 'test-cursor-secret';
+
+const INJECTION = "' OR 1=1 --";
+
+const venues = () => new GeoQuery({
+  from: sql`"Venue" v`,
+  geo: column('v.geo'),
+  id: column('v.id'),
+  latitude: 51.5,
+  longitude: -0.12
+}).select(sql`v.id, v.name`);
+
+describe('column', () => {
+  it('accepts alias.column and alias."quotedColumn"', () => {
+    assert.equal(column('u.id').sql, 'u.id');
+    assert.equal(column('b."expiresAt"').sql, 'b."expiresAt"');
+  });
+
+  it('refuses anything else', () => {
+    for (const name of ['u.id; DROP TABLE "User"', 'id', 'u.id--', '"u".id', 'u."id"; --"', 'u.id OR 1=1']) {
+      assert.throws(() => column(name), /Invalid column reference/, name);
+    }
+  });
+});
+
+describe('parseGeoParams', () => {
+  it('parses coordinates, radius and limit', () => {
+    assert.deepEqual(
+      parseGeoParams({ lat: '51.5', lng: '-0.12', radiusMeters: '2000', limit: '500' }),
+      { latitude: 51.5, longitude: -0.12, radius: 2000, limit: 100 }
+    );
+  });
+
+  it('rejects crafted coordinates', () => {
+    for (const lat of [INJECTION, '1 OR 1=1', ['1', '2'], { $gt: 0 }, 'NaN', 'Infinity', '91', '']) {
+      assert.throws(() => parseGeoParams({ lat, lng: '0' }), ValidationError, JSON.stringify(lat));
+    }
+    assert.throws(() => parseGeoParams({ lng: '0' }), ValidationError);
+    assert.throws(() => parseGeoParams({ lat: '0', lng: '181' }), ValidationError);
+  });
+
+  it('rejects crafted radii', () => {
+    for (const radius of [INJECTION, ['100', '200'], '0', '-5', '1e9']) {
+      assert.throws(
+        () => parseGeoParams({ lat: '0', lng: '0', maxDistanceMeters: radius }, { radiusParam: 'maxDistanceMeters' }),
+        ValidationError,
+        JSON.stringify(radius)
+      );
+    }
+  });
+});
+
+describe('parseList', () => {
+  it('accepts repeated and comma separated values', () => {
+    assert.deepEqual(parseList(['bar', 'club'], 'kind'), ['bar', 'club']);
+    assert.deepEqual(parseList('music, food', 'category'), ['music', 'food']);
+    assert.deepEqual(parseList(undefined, 'tags'), []);
+  });
+
+  it('rejects non-string, empty and over-long lists', () => {
+    assert.throws(() => parseList([{ $ne: null }], 'tags'), ValidationError);
+    assert.throws(() => parseList(['music', ['nested']], 'category'), ValidationError);
+    assert.throws(() => parseList('bar,,club', 'kind'), ValidationError);
+    assert.throws(() => parseList(Array.from({ length: 21 }, (_, i) => `tag${i}`), 'tags'), ValidationError);
+    assert.throws(() => parseList(Array.from({ length: 21 }, (_, i) => `k${i}`).join(','), 'kind'), ValidationError);
+  });
+});
+
+describe('parseOptionalInt', () => {
+  it('parses whole numbers in range', () => {
+    assert.equal(parseOptionalInt('30', 'minAge', 18, 120), 30);
+    assert.equal(parseOptionalInt(undefined, 'minAge', 18, 120), null);
+  });
+
+  it('rejects crafted values', () => {
+    for (const value of [INJECTION, '18; DROP TABLE "User"', '18.5', '17', '121', ['18', '30'], 'abc']) {
+      assert.throws(() => parseOptionalInt(value, 'minAge', 18, 120), ValidationError, JSON.stringify(value));
+    }
+  });
+});
+
+describe('parseBoundingBox', () => {
+  it('parses west,south,east,north', () => {
+    assert.deepEqual(parseBoundingBox('-0.2,51.4,0.1,51.6'), { west: -0.2, south: 51.4, east: 0.1, north: 51.6 });
+  });
+
+  it('rejects malformed boxes', () => {
+    for (const bbox of [INJECTION, '1,2,3', '1,2,3,4,5', ['1,2,3,4'], '0,0,-1,1', '-181,0,0,1', undefined]) {
+      assert.throws(() => parseBoundingBox(bbox), ValidationError, JSON.stringify(bbox));
+    }
+  });
+});
+
+describe('GeoQuery', () => {
+  it('passes request values as bound parameters only', () => {
+    const statement = venues()
+      .withinRadius(5000)
+      .oneOf(column('v.kind'), [INJECTION])
+      .overlaps(column('v.tags'), [INJECTION])
+      .excludeBlocked(INJECTION, column('v."ownerId"'))
+      .after(encodeCursor([120, INJECTION]))
+      .limit(10)
+      .build();
+
+    assert.ok(!statement.sql.includes('OR 1=1'));
+    assert.ok(statement.values.includes(INJECTION));
+    assert.ok(statement.values.some(value => Array.isArray(value) && value.includes(INJECTION)));
+  });
+
+  it('skips empty filters and orders nearest first with an ID tie-break', () => {
+    const statement = venues().oneOf(column('v.kind'), []).build();
+
+    assert.ok(!statement.sql.includes('WHERE'));
+    assert.match(statement.sql, /ORDER BY "distanceMeters" ASC, v\.id ASC/);
+  });
+
+  it('sorts, filters and pages coarsened rows by their coarse distance', () => {
+    const statement = venues()
+      .coarsenDistance(sql`v.hidden`, distance => sql`(${distance} / 1000 * 1000)`)
+      .after(encodeCursor([120, 'a']))
+      .withinRadius(5000)
+      .build();
+    const distance = 'CASE WHEN v.hidden THEN (ROUND(ST_Distance(v.geo, ST_SetSRID(ST_MakePoint(?, ?), 4326)::geography))::int / 1000 * 1000) ELSE ROUND(ST_Distance(v.geo, ST_SetSRID(ST_MakePoint(?, ?), 4326)::geography))::int END';
+
+    assert.ok(statement.sql.includes(`SELECT v.id, v.name, ${distance} AS "distanceMeters"`));
+    assert.ok(statement.sql.includes(`(${distance} <= ?)`));
+    assert.ok(statement.sql.includes(`((${distance}, v.id) > (?, ?))`));
+  });
+
+  it('rejects cursors that are not a (distance, id) pair', () => {
+    for (const cursor of ['garbage!', encodeCursor(['1', 'a']), encodeCursor([1.5, 'a']), encodeCursor([1, 2]), encodeCursor([1])]) {
+      assert.throws(() => venues().after(cursor), ValidationError, cursor);
+    }
+  });
+
+  it('returns a page with a cursor for the next one', async () => {
+    const prisma = {
+      $queryRaw: async () => [
+        { id: 'a', distanceMeters: 5 },
+        { id: 'b', distanceMeters: 7 },
+        { id: 'c', distanceMeters: 9 }
+      ]
+    };
+
+    const { rows, meta } = await venues().limit(2).run(prisma);
+
+    assert.deepEqual(rows.map(r => r.id), ['a', 'b']);
+    assert.equal(meta.hasMore, true);
+    assert.ok(meta.nextCursor);
+    assert.doesNotThrow(() => venues().after(meta.nextCursor));
+  });
+
+  it('can place clusters at their cell center instead of the mean of their rows', async () => {
+    const prisma = { $queryRaw: async () => [{ x: 10, y: -4, lat: -0.0371234, lng: 0.1012345, count: 1 }] };
+
+    const [mean] = await venues().clusters(prisma, 0.01);
+    const [centered] = await venues().clusters(prisma, 0.01, { cellCenters: true });
+
+    assert.deepEqual(mean, { id: '10:-4', lat: -0.0371234, lng: 0.1012345, count: 1 });
+    assert.equal(centered.lat.toFixed(3), '-0.035');
+    assert.equal(centered.lng.toFixed(3), '0.105');
+  });
+});